@@ -0,0 +1,345 @@
+/**
+ * advisor.js  –  Schema advisor: find the 13 Mistakes in a live database
+ *
+ * The Mistakes tab demonstrates each pitfall on scratch tables; this module
+ * looks for them in real ones. For one database it reads
+ *
+ *   system.tables / system.columns   schema, sorting keys, MV wiring
+ *   system.parts                     parts per partition, partition counts
+ *   system.data_skipping_indices     redundant or piled-up skip indices
+ *   system.mutations                 pending and frequent mutations
+ *   system.replicas                  readonly replicas
+ *   system.query_log                 filters actually used, memory-limit failures
+ *
+ * and samples String columns (first SAMPLE_ROWS rows) for cardinality and JSON
+ * payloads. Every finding names the mistake card it belongs to, a severity
+ * (high / medium / low), the evidence and a fix. A check that cannot run
+ * (e.g. query_log disabled) is reported in `skipped` instead of failing the
+ * whole report.
+ */
+
+const { auditExperimental } = require('./experimental-audit');
+
+const MISTAKES = {
+  '01': 'Too Many Parts',
+  '03': 'Mutation Pain',
+  '04': 'Mishandling Semi-Structured Data',
+  '05': 'Overuse of Nullable',
+  '07': 'Poor Primary Key Selection',
+  '08': 'Overuse of Data Skipping Indices',
+  '10': 'Readonly Tables',
+  '11': 'Memory Limit Exceeded for Query',
+  '12': 'Materialized View Pitfalls',
+  '13': 'Experimental Features in Production',
+};
+
+const LIMITS = {
+  partsPerPartition: { medium: 50, high: 300 },
+  partitionsPerTable: 1_000,
+  lowCardinalityMax: 10_000,     // distinct values below which String → LowCardinality pays off
+  highCardinalityRatio: 0.5,     // LowCardinality with more distinct values than this share of rows
+  jsonShare: 0.9,                // share of sampled values that look like JSON objects
+  nullableShare: 0.3,
+  skipIndicesPerTable: 3,
+  mutationAgeMinutes: 60,
+  mutationsPerDay: 10,
+  mvsPerSource: 10,
+  minQueryShapes: 5,             // query shapes needed before judging ORDER BY usage
+  leadingKeyUsage: 0.2,
+};
+const SAMPLE_ROWS = 100_000;
+const MAX_SAMPLED_TABLES = 50;
+const SEVERITY_ORDER = { high: 0, medium: 1, low: 2 };
+
+const ident = name => `\`${String(name).replace(/\\/g, '\\\\').replace(/`/g, '\\`')}\``;
+const isMergeTree = engine => /MergeTree$/.test(engine);
+const isStringType = type => /^(LowCardinality\()?(Nullable\()?String\)*$/.test(type);
+const wordIn = (text, word) => new RegExp(`(^|[^\\w.])\`?${word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\`?([^\\w]|$)`, 'i').test(text);
+
+const finding = (mistake, severity, object, evidence, tip) => ({
+  mistake, title: MISTAKES[mistake], link: `#mistake-${mistake}`, severity, object, evidence, tip,
+});
+
+async function rows(client, query, query_params = {}) {
+  const r = await client.query({ query, query_params, format: 'JSONEachRow' });
+  return r.json();
+}
+
+/** WHERE / PREWHERE part of a query, up to the next clause. */
+function filterText(query) {
+  const m = query.match(/\b(?:PRE)?WHERE\b([\s\S]*?)(?=\bGROUP\s+BY\b|\bORDER\s+BY\b|\bLIMIT\b|\bHAVING\b|\bSETTINGS\b|\bFORMAT\b|$)/i);
+  return m ? m[1] : '';
+}
+
+/** Columns referenced by the first ORDER BY expression (`toDate(ts)` → ts). */
+function leadingKeyColumns(sortingKey, columnNames) {
+  const first = sortingKey.split(',')[0] || '';
+  return columnNames.filter(c => wordIn(first, c));
+}
+
+// ─── Checks ───────────────────────────────────────────────────────────────────
+// Each takes the shared context and returns a list of findings.
+
+async function checkParts({ client, db }) {
+  const out = [];
+  const hot = await rows(client, `
+    SELECT table, partition, count() AS parts, sum(rows) AS rows
+    FROM system.parts WHERE active AND database = {db:String}
+    GROUP BY table, partition HAVING parts >= {min:UInt32}
+    ORDER BY parts DESC LIMIT 50`, { db, min: LIMITS.partsPerPartition.medium });
+  for (const p of hot) {
+    const parts = Number(p.parts);
+    out.push(finding('01', parts >= LIMITS.partsPerPartition.high ? 'high' : 'medium', `${db}.${p.table}`,
+      `${parts} active parts in partition ${p.partition} (${Number(p.rows).toLocaleString()} rows, ~${Math.round(Number(p.rows) / parts).toLocaleString()} per part)`,
+      'Batch inserts (10k–100k rows per INSERT) or enable async_insert; merges cannot keep up with many small inserts.'));
+  }
+  const wide = await rows(client, `
+    SELECT table, uniqExact(partition) AS partitions
+    FROM system.parts WHERE active AND database = {db:String}
+    GROUP BY table HAVING partitions > {max:UInt32}`, { db, max: LIMITS.partitionsPerTable });
+  for (const t of wide) {
+    out.push(finding('01', 'high', `${db}.${t.table}`, `${t.partitions} partitions`,
+      'The partition key is too granular — partition by month (toYYYYMM) or day at most, never by a high-cardinality column.'));
+  }
+  return out;
+}
+
+async function checkNullable({ db, tables, columns }) {
+  const out = [];
+  for (const t of tables.filter(t => isMergeTree(t.engine))) {
+    const cols = columns.filter(c => c.table === t.name);
+    const nullable = cols.filter(c => /Nullable\(/.test(c.type));
+    if (!nullable.length) continue;
+    const share = nullable.length / cols.length;
+    out.push(finding('05', share >= LIMITS.nullableShare || nullable.length >= 3 ? 'medium' : 'low', `${db}.${t.name}`,
+      `${nullable.length} of ${cols.length} columns are Nullable: ${nullable.map(c => c.name).join(', ')}`,
+      'Each Nullable column carries a null-map file. Use a DEFAULT (\'\', 0, \'unknown\') unless NULL really means something different from empty.'));
+  }
+  return out;
+}
+
+async function checkStringColumns({ client, db, tables, columns }) {
+  const out = [];
+  const candidates = tables
+    .filter(t => isMergeTree(t.engine) && Number(t.total_rows) >= 1_000)
+    .slice(0, MAX_SAMPLED_TABLES);
+  for (const t of candidates) {
+    const cols = columns.filter(c => c.table === t.name && isStringType(c.type));
+    if (!cols.length) continue;
+    const stats = cols.map((c, i) => `uniq(${ident(c.name)}) AS u${i}, avg(startsWith(${ident(c.name)}, '{') AND endsWith(${ident(c.name)}, '}')) AS j${i}`);
+    const [s] = await rows(client, `
+      SELECT count() AS n, ${stats.join(', ')}
+      FROM (SELECT ${cols.map(c => ident(c.name)).join(', ')} FROM ${ident(db)}.${ident(t.name)} LIMIT ${SAMPLE_ROWS})`);
+    const n = Number(s.n);
+    cols.forEach((c, i) => {
+      const distinct = Number(s[`u${i}`]);
+      const json = Number(s[`j${i}`]);
+      const object = `${db}.${t.name}.${c.name}`;
+      const lowCard = c.type.startsWith('LowCardinality(');
+      if (json >= LIMITS.jsonShare) {
+        out.push(finding('04', 'medium', object, `${Math.round(json * 100)}% of ${n.toLocaleString()} sampled values are JSON objects stored as ${c.type}`,
+          'Extract the keys you filter or group on into typed columns at insert time (or use a Map / JSON column) instead of JSONExtract* on every query.'));
+      } else if (!lowCard && distinct <= LIMITS.lowCardinalityMax) {
+        out.push(finding('05', 'medium', object, `${c.type} with ~${distinct.toLocaleString()} distinct values in ${n.toLocaleString()} sampled rows`,
+          `ALTER TABLE ${db}.${t.name} MODIFY COLUMN ${c.name} LowCardinality(${c.type}) — dictionary encoding shrinks it and speeds up filters and GROUP BY.`));
+      } else if (lowCard && distinct > LIMITS.lowCardinalityMax && distinct / n > LIMITS.highCardinalityRatio) {
+        out.push(finding('05', 'medium', object, `${c.type} with ~${distinct.toLocaleString()} distinct values in ${n.toLocaleString()} sampled rows`,
+          'The dictionary is almost as large as the data — switch back to plain String.'));
+      }
+    });
+  }
+  return out;
+}
+
+async function checkSortingKeys({ client, db, tables, columns }) {
+  const out = [];
+  const keyed = tables.filter(t => isMergeTree(t.engine));
+  for (const t of keyed.filter(t => !t.sorting_key && Number(t.total_rows) >= 100_000)) {
+    out.push(finding('07', 'medium', `${db}.${t.name}`, `ORDER BY tuple() on ${Number(t.total_rows).toLocaleString()} rows`,
+      'Without a sorting key every query scans the whole table. Order by the columns you filter on most, low cardinality first.'));
+  }
+
+  const shapes = await rows(client, `
+    SELECT t AS table, any(query) AS query, count() AS runs
+    FROM system.query_log ARRAY JOIN tables AS t
+    WHERE type = 'QueryFinish' AND query_kind = 'Select' AND is_initial_query
+      AND event_date >= today() - 7 AND t IN {tables:Array(String)}
+    GROUP BY t, normalized_query_hash
+    LIMIT 5000`, { tables: keyed.filter(t => t.sorting_key).map(t => `${db}.${t.name}`) });
+
+  for (const t of keyed.filter(t => t.sorting_key)) {
+    const queries = shapes.filter(s => s.table === `${db}.${t.name}`);
+    if (queries.length < LIMITS.minQueryShapes) continue;
+    const names = columns.filter(c => c.table === t.name).map(c => c.name);
+    const leading = leadingKeyColumns(t.sorting_key, names);
+    if (!leading.length) continue;
+    const filters = queries.map(q => filterText(q.query));
+    const used = filters.filter(f => leading.some(c => wordIn(f, c))).length;
+    if (used / queries.length >= LIMITS.leadingKeyUsage) continue;
+    const popular = names
+      .map(c => ({ c, n: filters.filter(f => wordIn(f, c)).length }))
+      .filter(x => x.n)
+      .sort((a, b) => b.n - a.n)
+      .slice(0, 3);
+    out.push(finding('07', 'medium', `${db}.${t.name}`,
+      `ORDER BY (${t.sorting_key}): ${leading.join(', ')} is filtered in ${used} of ${queries.length} query shapes from the last 7 days` +
+      (popular.length ? `; most filtered: ${popular.map(p => `${p.c} (${p.n})`).join(', ')}` : ''),
+      'Lead the sorting key with the columns queries actually filter on; for a second access pattern add a projection instead of a second table.'));
+  }
+  return out;
+}
+
+async function checkSkipIndices({ client, db, tables, columns }) {
+  const out = [];
+  const indices = await rows(client, `
+    SELECT table, name, type, expr FROM system.data_skipping_indices WHERE database = {db:String}`, { db });
+  for (const t of tables) {
+    const own = indices.filter(i => i.table === t.name);
+    if (own.length > LIMITS.skipIndicesPerTable) {
+      out.push(finding('08', 'low', `${db}.${t.name}`, `${own.length} skip indices: ${own.map(i => `${i.name} (${i.type})`).join(', ')}`,
+        'Every index costs insert time and disk. Check each one with EXPLAIN indexes = 1 and drop those that skip few granules.'));
+    }
+    if (!t.sorting_key) continue;
+    const leading = leadingKeyColumns(t.sorting_key, columns.filter(c => c.table === t.name).map(c => c.name));
+    for (const i of own.filter(i => leading.includes(i.expr.replace(/`/g, '')))) {
+      out.push(finding('08', 'low', `${db}.${t.name}.${i.name}`, `${i.type} index on ${i.expr}, which already leads ORDER BY (${t.sorting_key})`,
+        `The primary index already prunes on ${i.expr}. ALTER TABLE ${db}.${t.name} DROP INDEX ${i.name}.`));
+    }
+  }
+  return out;
+}
+
+async function checkMutations({ client, db }) {
+  const out = [];
+  const pending = await rows(client, `
+    SELECT table, mutation_id, command, parts_to_do, latest_fail_reason, dateDiff('minute', create_time, now()) AS age_min
+    FROM system.mutations WHERE database = {db:String} AND NOT is_done
+    ORDER BY create_time LIMIT 50`, { db });
+  for (const m of pending) {
+    const stuck = m.latest_fail_reason || Number(m.age_min) >= LIMITS.mutationAgeMinutes;
+    out.push(finding('03', stuck ? 'high' : 'medium', `${db}.${m.table}`,
+      `${m.mutation_id} pending for ${m.age_min} min, ${m.parts_to_do} parts to do: ${m.command}` +
+      (m.latest_fail_reason ? ` — failing: ${m.latest_fail_reason}` : ''),
+      stuck
+        ? `Fix the cause or KILL MUTATION WHERE database = '${db}' AND mutation_id = '${m.mutation_id}'.`
+        : 'Mutations rewrite whole parts; prefer lightweight DELETE, ReplacingMergeTree upserts or REPLACE PARTITION.'));
+  }
+  const busy = await rows(client, `
+    SELECT table, count() AS n FROM system.mutations
+    WHERE database = {db:String} AND create_time >= now() - INTERVAL 1 DAY
+    GROUP BY table HAVING n >= {min:UInt32}`, { db, min: LIMITS.mutationsPerDay });
+  for (const b of busy) {
+    out.push(finding('03', 'medium', `${db}.${b.table}`, `${b.n} mutations in the last 24 hours`,
+      'Frequent ALTER … UPDATE / DELETE means the data is being treated as mutable. Model changes as inserts (ReplacingMergeTree / CollapsingMergeTree).'));
+  }
+  return out;
+}
+
+async function checkMaterializedViews({ db, tables }) {
+  const out = [];
+  const byName = new Map(tables.map(t => [t.name, t]));
+  for (const mv of tables.filter(t => t.engine === 'MaterializedView')) {
+    // `TO [db.]target`, otherwise the implicit inner table
+    const to = mv.create_table_query.match(/\bTO\s+(`[^`]+`|\w+)(?:\.(`[^`]+`|\w+))?/i);
+    const [targetDb, targetName] = to
+      ? (to[2] ? [to[1], to[2]] : [db, to[1]]).map(s => s.replace(/`/g, ''))
+      : [db, [`.inner_id.${mv.uuid}`, `.inner.${mv.name}`].find(n => byName.has(n))];
+    const target = targetDb === db ? byName.get(targetName) : null;
+    const sources = tables.filter(t => t.dependencies_table.includes(mv.name));
+    if (!target || !sources.length) continue;
+    const sourceRows = sources.reduce((s, t) => s + Number(t.total_rows || 0), 0);
+    if (Number(target.total_rows) === 0 && sourceRows > 0) {
+      out.push(finding('12', 'high', `${db}.${mv.name}`,
+        `target ${targetName} is empty while ${sources.map(s => s.name).join(', ')} holds ${sourceRows.toLocaleString()} rows`,
+        `MVs only see new inserts. Backfill with INSERT INTO ${db}.${targetName} SELECT … FROM the source (chunked by date for large tables).`));
+    }
+  }
+  for (const t of tables.filter(t => t.dependencies_table.length >= LIMITS.mvsPerSource)) {
+    out.push(finding('12', 'medium', `${db}.${t.name}`, `${t.dependencies_table.length} materialized views attached`,
+      'Every INSERT runs each MV in turn. Merge views that share a GROUP BY, or set parallel_view_processing = 1.'));
+  }
+  return out;
+}
+
+async function checkReadonly({ client, db }) {
+  const replicas = await rows(client, `
+    SELECT table, zookeeper_exception FROM system.replicas WHERE database = {db:String} AND is_readonly`, { db });
+  return replicas.map(r => finding('10', 'high', `${db}.${r.table}`,
+    `is_readonly = 1${r.zookeeper_exception ? `: ${r.zookeeper_exception}` : ''}`,
+    'Check Keeper connectivity (system.zookeeper), then SYSTEM RESTART REPLICA — or SYSTEM RESTORE REPLICA if its Keeper metadata was lost.'));
+}
+
+async function checkMemoryFailures({ client, db }) {
+  const [m] = await rows(client, `
+    SELECT count() AS n, any(substr(query, 1, 200)) AS example
+    FROM system.query_log
+    WHERE type = 'ExceptionWhileProcessing' AND exception_code = 241
+      AND event_date >= today() - 7 AND has(databases, {db:String})`, { db });
+  if (!Number(m.n)) return [];
+  return [finding('11', Number(m.n) >= 10 ? 'high' : 'medium', db,
+    `${m.n} queries hit MEMORY_LIMIT_EXCEEDED in the last 7 days, e.g. ${m.example}`,
+    'Lower GROUP BY cardinality, use uniq() over uniqExact(), or set max_bytes_before_external_group_by / _sort so large queries spill to disk.')];
+}
+
+async function checkExperimental({ client, db }) {
+  const { findings } = await auditExperimental(client);
+  return findings
+    .filter(f => f.object === db || f.object.startsWith(`${db}.`))
+    .map(f => finding('13', f.risk, f.object, f.detail, f.tip));
+}
+
+const CHECKS = [
+  ['parts', checkParts],
+  ['nullable', checkNullable],
+  ['string_columns', checkStringColumns],
+  ['sorting_keys', checkSortingKeys],
+  ['skip_indices', checkSkipIndices],
+  ['mutations', checkMutations],
+  ['materialized_views', checkMaterializedViews],
+  ['readonly_replicas', checkReadonly],
+  ['memory_failures', checkMemoryFailures],
+  ['experimental', checkExperimental],
+];
+
+/** Databases worth advising on (everything but the system ones). */
+async function listDatabases(client) {
+  return (await rows(client, `
+    SELECT name FROM system.databases
+    WHERE name NOT IN ('system', 'INFORMATION_SCHEMA', 'information_schema') ORDER BY name`)).map(d => d.name);
+}
+
+/**
+ * Run every check against `db`. Returns null when the database does not exist.
+ */
+async function adviseDatabase(client, db) {
+  const databases = await listDatabases(client);
+  if (!databases.includes(db)) return null;
+  const [tables, columns] = await Promise.all([
+    rows(client, `
+      SELECT name, engine, sorting_key, total_rows, toString(uuid) AS uuid, create_table_query, dependencies_table
+      FROM system.tables WHERE database = {db:String} AND NOT is_temporary`, { db }),
+    rows(client, `SELECT table, name, type FROM system.columns WHERE database = {db:String} ORDER BY table, position`, { db }),
+  ]);
+  const ctx = { client, db, tables, columns };
+  const findings = [];
+  const skipped = [];
+  for (const [name, check] of CHECKS) {
+    try {
+      findings.push(...await check(ctx));
+    } catch (e) {
+      skipped.push({ check: name, error: e.message.split('\n')[0] });
+    }
+  }
+  findings.sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity] || a.mistake.localeCompare(b.mistake));
+  const count = severity => findings.filter(f => f.severity === severity).length;
+  return {
+    database: db,
+    databases,
+    scanned: { tables: tables.length, columns: columns.length },
+    summary: { high: count('high'), medium: count('medium'), low: count('low'), total: findings.length },
+    findings,
+    skipped,
+  };
+}
+
+module.exports = { adviseDatabase };
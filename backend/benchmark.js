@@ -0,0 +1,107 @@
+/**
+ * benchmark.js  –  Repeated server-side runs with stats from system.query_log
+ *
+ * Timing a single browser fetch mixes network jitter and cache state into the
+ * number. Here each query runs `warmups` untimed times and then `runs` timed
+ * times, interleaved (A, B, A, B, …) so background load hits every query
+ * equally. Every timed run gets its own query_id; after SYSTEM FLUSH LOGS the
+ * server-side metrics are read back from system.query_log by those ids:
+ *
+ *   query_duration_ms · read_rows · read_bytes · memory_usage
+ *
+ * and summarised as median, p95, stddev (plus mean / min / max).
+ */
+const crypto = require('crypto');
+
+const METRICS = ['query_duration_ms', 'read_rows', 'read_bytes', 'memory_usage'];
+
+/** Nearest-rank percentile of an ascending array. */
+function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+function summarize(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const n = sorted.length;
+  if (!n) return null;
+  const mean = sorted.reduce((s, v) => s + v, 0) / n;
+  const mid = Math.floor(n / 2);
+  return {
+    median: n % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2,
+    p95: percentile(sorted, 95),
+    stddev: Math.sqrt(sorted.reduce((s, v) => s + (v - mean) ** 2, 0) / n),
+    mean,
+    min: sorted[0],
+    max: sorted[n - 1],
+  };
+}
+
+/**
+ * Run each of `queries` ([{ label, sql }]) and return per-query runs + stats.
+ * `client` executes the SQL (the sandbox); `admin` flushes and reads query_log.
+ * With `queryCache` false the query cache and uncompressed cache are bypassed
+ * so every run does the real work. Aborting `signal` cancels the run in flight
+ * and stops the loop (the route aborts when the browser goes away).
+ */
+async function runBenchmark(client, admin, queries, { runs, warmups, queryCache, signal }) {
+  const clickhouse_settings = queryCache
+    ? { use_query_cache: 1 }
+    : { use_query_cache: 0, use_uncompressed_cache: 0 };
+  const batch = crypto.randomUUID();
+  const results = queries.map(q => ({ label: q.label, sql: q.sql, first_row: null, runs: [] }));
+
+  // Every result is read to the end so the timing covers the whole query, but
+  // only the first row is kept. Failures are tagged with the query's label so
+  // the UI can say which side broke.
+  const execute = async (q, query_id) => {
+    signal?.throwIfAborted();
+    try {
+      const r = await client.query({ query: q.sql, format: 'JSONEachRow', query_id, clickhouse_settings, abort_signal: signal });
+      let first = null;
+      for await (const rows of r.stream()) {
+        if (first === null && rows.length) first = rows[0].json();
+      }
+      return first;
+    } catch (e) {
+      e.benchmarkLabel = q.label;
+      throw e;
+    }
+  };
+
+  for (let i = 0; i < warmups; i++) {
+    for (const [n, q] of queries.entries()) await execute(q, `bench-${batch}-q${n}-w${i}`);
+  }
+  for (let i = 0; i < runs; i++) {
+    for (const [n, q] of queries.entries()) {
+      const query_id = `bench-${batch}-q${n}-r${i}`;
+      const first = await execute(q, query_id);
+      if (i === 0) results[n].first_row = first;
+      results[n].runs.push({ query_id });
+    }
+  }
+
+  await admin.command({ query: 'SYSTEM FLUSH LOGS' });
+  const r = await admin.query({
+    query: `SELECT query_id, ${METRICS.join(', ')}
+            FROM system.query_log
+            WHERE type = 'QueryFinish' AND startsWith(query_id, {prefix:String})
+              AND event_date >= yesterday()`,
+    query_params: { prefix: `bench-${batch}-` },
+    format: 'JSONEachRow',
+  });
+  const logged = new Map((await r.json()).map(row => [row.query_id, row]));
+
+  for (const res of results) {
+    res.runs = res.runs.map(({ query_id }) => {
+      const row = logged.get(query_id) || {};
+      return { query_id, ...Object.fromEntries(METRICS.map(m => [m, row[m] === undefined ? null : Number(row[m])])) };
+    });
+    const found = res.runs.filter(run => run.query_duration_ms !== null);
+    res.stats = Object.fromEntries(METRICS.map(m => [m, summarize(found.map(run => run[m]))]));
+    res.logged_runs = found.length;
+  }
+  return results;
+}
+
+module.exports = { runBenchmark, summarize };
@@ -0,0 +1,180 @@
+/**
+ * challenge-packs.js  –  SQL Challenge packs loaded from backend/challenges/
+ *
+ * Every *.json / *.yaml / *.yml file in that directory is one pack:
+ *
+ *   id: logs-triage                      # slug, unique across packs
+ *   title: Log triage drills
+ *   description: …                       # optional
+ *   author: Platform team                # optional
+ *   version: 1                           # optional
+ *   requires: [demo.app_logs]            # tables every challenge needs (database.table)
+ *   setup: |                             # optional DDL, run as admin before validation
+ *     CREATE TABLE IF NOT EXISTS …;
+ *   challenges:
+ *     - id: 1                            # number or slug, unique within the pack
+ *       title: …
+ *       difficulty: Beginner             # Beginner | Intermediate | Advanced
+ *       table: app_logs                  # shown on the card
+ *       why_it_matters: …                # optional
+ *       prompt: …
+ *       hint: …
+ *       solution: SELECT …
+ *       grading: { ordered: true, float_tolerance: 0.001, alias_tolerant: true }
+ *       requires: [demo.app_logs]        # optional, added to the pack's list
+ *
+ * Packs are loaded once at startup. validatePacks() then runs each pack's
+ * setup, checks its tables exist, grants the sandbox user SELECT on them and
+ * runs every solution, recording the outcome on the challenge (`validation`).
+ * Files that fail to parse or break the format are skipped and reported.
+ */
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+
+const PACK_DIR = path.join(__dirname, 'challenges');
+const PACK_ID = /^[a-z0-9][a-z0-9-]{0,63}$/;
+const CHALLENGE_ID = /^[A-Za-z0-9][A-Za-z0-9-]{0,63}$/;
+const TABLE_NAME = /^[A-Za-z_][A-Za-z0-9_]*\.[A-Za-z_][A-Za-z0-9_]*$/;
+const DIFFICULTIES = ['Beginner', 'Intermediate', 'Advanced'];
+const GRADING_KEYS = { ordered: 'boolean', float_tolerance: 'number', alias_tolerant: 'boolean' };
+
+let packs = [];
+let loadErrors = [];
+
+/** Return a list of format problems (empty when the pack is valid). */
+function checkPack(pack) {
+  const problems = [];
+  const need = (obj, key, where) => {
+    if (typeof obj[key] !== 'string' || !obj[key].trim()) problems.push(`${where}: "${key}" is required`);
+  };
+  const tables = (list, where) => {
+    if (list === undefined) return;
+    if (!Array.isArray(list) || list.some(t => typeof t !== 'string' || !TABLE_NAME.test(t))) {
+      problems.push(`${where}: "requires" must be a list of database.table names`);
+    }
+  };
+  if (!pack || typeof pack !== 'object') return ['pack must be an object'];
+  if (typeof pack.id !== 'string' || !PACK_ID.test(pack.id)) problems.push('pack: "id" must be a lowercase slug');
+  need(pack, 'title', 'pack');
+  tables(pack.requires, 'pack');
+  if (pack.setup !== undefined && typeof pack.setup !== 'string' && !Array.isArray(pack.setup)) {
+    problems.push('pack: "setup" must be a string or a list of statements');
+  }
+  if (!Array.isArray(pack.challenges) || !pack.challenges.length) {
+    problems.push('pack: "challenges" must be a non-empty list');
+    return problems;
+  }
+  const seen = new Set();
+  pack.challenges.forEach((c, i) => {
+    const where = `challenges[${i}]`;
+    if (!c || typeof c !== 'object') { problems.push(`${where}: must be an object`); return; }
+    if (!CHALLENGE_ID.test(String(c.id ?? ''))) problems.push(`${where}: "id" must be a number or slug`);
+    else if (seen.has(String(c.id))) problems.push(`${where}: duplicate id ${c.id}`);
+    seen.add(String(c.id));
+    for (const key of ['title', 'prompt', 'hint', 'solution']) need(c, key, where);
+    if (!DIFFICULTIES.includes(c.difficulty)) problems.push(`${where}: "difficulty" must be one of ${DIFFICULTIES.join(', ')}`);
+    tables(c.requires, where);
+    for (const [key, value] of Object.entries(c.grading || {})) {
+      if (!GRADING_KEYS[key]) problems.push(`${where}: unknown grading rule "${key}"`);
+      else if (typeof value !== GRADING_KEYS[key]) problems.push(`${where}: grading.${key} must be a ${GRADING_KEYS[key]}`);
+    }
+  });
+  return problems;
+}
+
+function parsePackFile(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  return file.endsWith('.json') ? JSON.parse(text) : YAML.parse(text);
+}
+
+/** (Re)read every pack file. Invalid files end up in loadErrors instead of packs. */
+function loadChallengePacks(dir = PACK_DIR) {
+  packs = [];
+  loadErrors = [];
+  const files = fs.existsSync(dir) ? fs.readdirSync(dir).filter(f => /\.(json|ya?ml)$/.test(f)).sort() : [];
+  for (const name of files) {
+    let pack;
+    try {
+      pack = parsePackFile(path.join(dir, name));
+    } catch (e) {
+      loadErrors.push({ file: name, errors: [`parse error: ${e.message}`] });
+      continue;
+    }
+    const problems = checkPack(pack);
+    if (!problems.length && packs.some(p => p.id === pack.id)) problems.push(`pack id "${pack.id}" is already used`);
+    if (problems.length) {
+      loadErrors.push({ file: name, errors: problems });
+      continue;
+    }
+    packs.push({
+      ...pack,
+      file: name,
+      requires: pack.requires || [],
+      validation: { status: 'pending' },
+      challenges: pack.challenges.map(c => ({ ...c, requires: c.requires || [], grading: c.grading || {}, validation: { status: 'pending' } })),
+    });
+  }
+  return { packs, errors: loadErrors };
+}
+
+const setupStatements = setup => (Array.isArray(setup) ? setup : String(setup || '').split(/;\s*(?:\n|$)/))
+  .map(s => s.trim())
+  .filter(Boolean);
+
+/**
+ * Prepare and check every loaded pack against the live database.
+ * `admin` runs setup DDL, table checks and grants; `sandbox` runs solutions
+ * exactly as learners' queries will run. `grantRead(tables)` may be null
+ * when there is no separate sandbox user.
+ */
+async function validatePacks(admin, sandbox, grantRead) {
+  for (const pack of packs) {
+    try {
+      for (const query of setupStatements(pack.setup)) await admin.command({ query });
+      const tables = [...new Set([...pack.requires, ...pack.challenges.flatMap(c => c.requires)])];
+      const r = await admin.query({
+        query: `SELECT concat(database, '.', name) AS t FROM system.tables
+                WHERE concat(database, '.', name) IN {tables:Array(String)}`,
+        query_params: { tables },
+        format: 'JSONEachRow',
+      });
+      const present = new Set((await r.json()).map(row => row.t));
+      const absent = tables.filter(t => !present.has(t));
+      if (absent.length) throw new Error(`missing tables: ${absent.join(', ')}`);
+      pack.tables = tables;
+      if (grantRead && tables.length) await grantRead(tables);
+      pack.validation = { status: 'ok' };
+    } catch (e) {
+      pack.validation = { status: 'error', error: e.message };
+      for (const c of pack.challenges) c.validation = { status: 'skipped', error: 'pack setup failed' };
+      continue;
+    }
+    for (const c of pack.challenges) {
+      try {
+        const r = await sandbox.query({ query: c.solution.trim().replace(/;\s*$/, ''), format: 'JSONEachRow' });
+        const rows = await r.json();
+        c.validation = rows.length ? { status: 'ok', rows: rows.length } : { status: 'warning', rows: 0, error: 'solution returns no rows' };
+      } catch (e) {
+        c.validation = { status: 'error', error: e.message };
+      }
+    }
+  }
+  return packs;
+}
+
+/** Tables the validated packs need the sandbox user to read, to re-grant after it is recreated. */
+function packTables() {
+  return [...new Set(packs.flatMap(p => p.tables || []))];
+}
+
+function listChallengePacks() {
+  return { packs, errors: loadErrors };
+}
+
+function getChallenge(packId, challengeId) {
+  const pack = packs.find(p => p.id === packId);
+  return pack?.challenges.find(c => String(c.id) === String(challengeId)) || null;
+}
+
+module.exports = { PACK_ID, CHALLENGE_ID, loadChallengePacks, validatePacks, packTables, listChallengePacks, getChallenge };
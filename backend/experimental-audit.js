@@ -0,0 +1,139 @@
+/**
+ * experimental-audit.js  –  Which experimental features is this server using?
+ *
+ * Mistake ⑬'s live check. Scans the server for:
+ *
+ *   system.settings             allow_experimental_* switched on for the API's user
+ *   system.merge_tree_settings  allow_experimental_* switched on server-wide
+ *   system.tables               tables whose CREATE sets allow_experimental_*, or
+ *                               experimental engines (LiveView, WindowView, …)
+ *   system.databases            experimental database engines
+ *   system.columns              experimental types (Object, JSON, Variant, …)
+ *   system.data_skipping_indices experimental index types (annoy, inverted, …)
+ *
+ * Types that have since gone GA (JSON / Variant / Dynamic in 25.3) are only
+ * reported as low risk when the server is new enough. Each finding carries a
+ * remediation tip.
+ */
+
+const USER_DATABASES = `database NOT IN ('system', 'INFORMATION_SCHEMA', 'information_schema')`;
+
+// `ga` is the first release where the feature is production-ready
+const TYPE_RULES = [
+  {
+    pattern: /\bObject\(/, feature: "Object('json')",
+    tip: 'Deprecated and replaced by the new JSON type. Copy the data into typed columns (or JSON on 25.3+) with INSERT … SELECT before upgrading.',
+  },
+  {
+    pattern: /\bJSON\b/, feature: 'JSON', ga: [25, 3],
+    tip: 'Extract the paths you filter or group on into typed columns; recreate the table on a 25.3+ server before relying on it.',
+  },
+  {
+    pattern: /\bVariant\(/, feature: 'Variant', ga: [25, 3],
+    tip: 'Split the alternatives into separate typed columns, or upgrade to 25.3+ where Variant is production-ready.',
+  },
+  {
+    pattern: /\bDynamic\b/, feature: 'Dynamic', ga: [25, 3],
+    tip: 'Store values in a typed column, or upgrade to 25.3+ where Dynamic is production-ready.',
+  },
+  {
+    pattern: /\bTime(64)?\b/, feature: 'Time / Time64',
+    tip: 'Store the time of day as an integer (seconds or milliseconds since midnight) or use DateTime.',
+  },
+];
+// Cheap server-side filter; TYPE_RULES decide. `[^e]Time` skips DateTime.
+const TYPE_PREFILTER = 'Object|JSON|Variant|Dynamic|(^|[^e])Time';
+
+const INDEX_TYPES = ['annoy', 'usearch', 'vector_similarity', 'inverted', 'full_text', 'gin', 'text'];
+const TABLE_ENGINES = ['LiveView', 'WindowView', 'MaterializedPostgreSQL'];
+const DATABASE_ENGINES = ['MaterializedMySQL', 'MaterializedPostgreSQL'];
+
+const RISK_ORDER = { high: 0, medium: 1, low: 2 };
+
+const versionAtLeast = (version, [major, minor]) => {
+  const [a, b] = version.split('.').map(Number);
+  return a > major || (a === major && b >= minor);
+};
+
+const rows = async (client, query) => (await client.query({ query, format: 'JSONEachRow' })).json();
+
+async function auditExperimental(client) {
+  const [[{ version }], settings, mergeTree, tables, databases, columns, indices] = await Promise.all([
+    rows(client, 'SELECT version() AS version'),
+    rows(client, `SELECT name, value, default FROM system.settings
+                  WHERE changed AND startsWith(name, 'allow_experimental_') AND value NOT IN ('0', 'false')`),
+    rows(client, `SELECT name, value FROM system.merge_tree_settings
+                  WHERE changed AND startsWith(name, 'allow_experimental_') AND value NOT IN ('0', 'false')`),
+    rows(client, `SELECT database, name, engine, extractAll(create_table_query, 'allow_experimental_[a-z0-9_]+') AS flags
+                  FROM system.tables
+                  WHERE ${USER_DATABASES} AND (engine IN (${TABLE_ENGINES.map(e => `'${e}'`).join(', ')}) OR notEmpty(flags))`),
+    rows(client, `SELECT name, engine FROM system.databases WHERE engine IN (${DATABASE_ENGINES.map(e => `'${e}'`).join(', ')})`),
+    rows(client, `SELECT database, table, name, type FROM system.columns
+                  WHERE ${USER_DATABASES} AND match(type, '${TYPE_PREFILTER}')
+                  ORDER BY database, table, name`),
+    rows(client, `SELECT database, table, name, type FROM system.data_skipping_indices
+                  WHERE ${USER_DATABASES} AND type IN (${INDEX_TYPES.map(t => `'${t}'`).join(', ')})`),
+  ]);
+
+  const findings = [];
+  for (const s of settings) {
+    findings.push({
+      category: 'setting', risk: 'high', object: s.name, detail: `${s.value} (default ${s.default})`,
+      tip: 'Remove it from the user\'s settings profile and any SET / SETTINGS clauses. Flags needed to create a table are not needed to query it.',
+    });
+  }
+  for (const s of mergeTree) {
+    findings.push({
+      category: 'merge_tree_setting', risk: 'high', object: s.name, detail: s.value,
+      tip: 'Remove it from the <merge_tree> section of the server config so new tables cannot pick it up.',
+    });
+  }
+  for (const t of tables) {
+    const table = `${t.database}.${t.name}`;
+    if (TABLE_ENGINES.includes(t.engine)) {
+      findings.push({
+        category: 'engine', risk: 'high', object: table, detail: `ENGINE = ${t.engine}`,
+        tip: t.engine === 'MaterializedPostgreSQL'
+          ? 'Replicate through a CDC pipeline (e.g. ClickPipes or Debezium + Kafka) into a MergeTree table instead.'
+          : 'Replace it with a Materialized View into an aggregating MergeTree table and query that.',
+      });
+    }
+    for (const flag of new Set(t.flags)) {
+      findings.push({
+        category: 'table_setting', risk: 'medium', object: table, detail: `SETTINGS ${flag}`,
+        tip: `ALTER TABLE ${table} RESET SETTING ${flag} — or recreate the table without it if the feature is in use.`,
+      });
+    }
+  }
+  for (const d of databases) {
+    findings.push({
+      category: 'engine', risk: 'high', object: d.name, detail: `DATABASE ENGINE = ${d.engine}`,
+      tip: 'Replicate through a CDC pipeline into MergeTree tables instead of an experimental database engine.',
+    });
+  }
+  for (const c of columns) {
+    const rule = TYPE_RULES.find(r => r.pattern.test(c.type));
+    if (!rule) continue;
+    const ga = rule.ga && versionAtLeast(version, rule.ga);
+    findings.push({
+      category: 'column', risk: ga ? 'low' : 'high', object: `${c.database}.${c.table}.${c.name}`, detail: c.type,
+      tip: ga ? `${rule.feature} is production-ready since ${rule.ga.join('.')}. Make sure the table was created on a GA build.` : rule.tip,
+    });
+  }
+  for (const i of indices) {
+    findings.push({
+      category: 'index', risk: 'high', object: `${i.database}.${i.table}.${i.name}`, detail: `TYPE ${i.type}`,
+      tip: `ALTER TABLE ${i.database}.${i.table} DROP INDEX ${i.name} — its on-disk format can change between releases.`,
+    });
+  }
+  findings.sort((a, b) => RISK_ORDER[a.risk] - RISK_ORDER[b.risk] || a.object.localeCompare(b.object));
+
+  const count = risk => findings.filter(f => f.risk === risk).length;
+  return {
+    version,
+    summary: { high: count('high'), medium: count('medium'), low: count('low'), total: findings.length },
+    findings,
+  };
+}
+
+module.exports = { auditExperimental };
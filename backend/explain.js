@@ -0,0 +1,103 @@
+/**
+ * explain.js  –  Structured EXPLAIN output for the Query Explainer tab
+ *
+ * For one SELECT, runs three EXPLAIN variants and reshapes them for the UI:
+ *
+ *   EXPLAIN PLAN json = 1, indexes = 1, actions = 1   → plan tree + index pruning
+ *   EXPLAIN PIPELINE                                   → processor pipeline (text)
+ *   EXPLAIN ESTIMATE                                   → parts / rows / marks per table
+ *
+ * The plan is required; PIPELINE and ESTIMATE are best-effort (ESTIMATE only
+ * works for MergeTree reads) and their failures are reported per section.
+ */
+
+/** EXPLAIN output is one string column; JSON plans may be split across rows. */
+async function explainLines(client, query, query_params) {
+  const r = await client.query({ query, query_params, format: 'JSONEachRow' });
+  return (await r.json()).map(row => row.explain);
+}
+
+const num = v => (v === undefined ? null : Number(v));
+
+/** Reshape one "Indexes" entry of a ReadFromMergeTree step. */
+function toIndex(ix) {
+  return {
+    type: ix.Type,                       // MinMax | Partition | PrimaryKey | Skip
+    name: ix.Name || null,               // skip index name
+    keys: ix.Keys || [],
+    condition: ix.Condition || null,
+    parts: { initial: num(ix['Initial Parts']), selected: num(ix['Selected Parts']) },
+    granules: { initial: num(ix['Initial Granules']), selected: num(ix['Selected Granules']) },
+  };
+}
+
+/** Reshape a plan node recursively, keeping the parts the UI explains. */
+function toNode(plan) {
+  const node = {
+    type: plan['Node Type'],
+    description: plan.Description || null,
+    children: (plan.Plans || []).map(toNode),
+  };
+  if (plan.Expression) {
+    const actions = plan.Expression.Actions || [];
+    node.actions = {
+      count: actions.length,
+      functions: [...new Set(actions.filter(a => a['Node Type'] === 'FUNCTION').map(a => a['Function']).filter(Boolean))],
+      outputs: (plan.Expression.Outputs || []).map(o => o.Name),
+    };
+  }
+  if (plan.Keys) node.keys = plan.Keys;
+  if (plan.Aggregates) node.aggregates = plan.Aggregates.map(a => a.Name);
+  if (plan['Sort Description']) node.sort = plan['Sort Description'].map(s => `${s.Column}${s.Ascending ? '' : ' DESC'}`);
+  if (plan.Limit !== undefined) node.limit = num(plan.Limit);
+  if (plan['Node Type'] === 'ReadFromMergeTree') {
+    node.indexes = (plan.Indexes || []).map(toIndex);
+    // Index steps run in order, so the first one sees every part and the last one what is read
+    const first = node.indexes[0];
+    const last = node.indexes[node.indexes.length - 1];
+    if (first) {
+      node.read = {
+        parts: { initial: first.parts.initial, selected: last.parts.selected },
+        granules: { initial: first.granules.initial, selected: last.granules.selected },
+      };
+    }
+  }
+  return node;
+}
+
+/** Flatten the index steps of every ReadFromMergeTree node into one table. */
+function collectIndexes(node, out = []) {
+  for (const ix of node.indexes || []) out.push({ table: node.description, ...ix });
+  for (const child of node.children) collectIndexes(child, out);
+  return out;
+}
+
+async function planOf(client, body, options, query_params) {
+  const lines = await explainLines(client, `EXPLAIN PLAN json = 1, ${options} ${body}`, query_params);
+  const [root] = JSON.parse(lines.join('\n'));
+  return toNode(root.Plan);
+}
+
+async function explainQuery(client, sql) {
+  const body = sql.trim().replace(/;\s*$/, '');
+  const plan = await planOf(client, body, 'indexes = 1, actions = 1');
+
+  const result = { plan, indexes: collectIndexes(plan), pipeline: null, estimate: null, errors: {} };
+  try {
+    result.pipeline = await explainLines(client, `EXPLAIN PIPELINE ${body}`);
+  } catch (e) { result.errors.pipeline = e.message; }
+  try {
+    const r = await client.query({ query: `EXPLAIN ESTIMATE ${body}`, format: 'JSONEachRow' });
+    result.estimate = (await r.json()).map(e => ({
+      database: e.database, table: e.table, parts: num(e.parts), rows: num(e.rows), marks: num(e.marks),
+    }));
+  } catch (e) { result.errors.estimate = e.message; }
+  return result;
+}
+
+/** Only the index pruning steps — used by the Mistakes demos and log search. */
+async function explainIndexes(client, sql, query_params) {
+  return collectIndexes(await planOf(client, sql.trim().replace(/;\s*$/, ''), 'indexes = 1', query_params));
+}
+
+module.exports = { explainQuery, explainIndexes };
@@ -0,0 +1,198 @@
+/**
+ * grader.js  –  Automatic grading for the SQL Challenges tab
+ *
+ * The learner's SQL and the challenge's reference solution both run in the
+ * sandbox; the two result sets are then compared:
+ *
+ *   ordered          rows must come back in the same order (ORDER BY is part of the task)
+ *   float_tolerance  numbers match when |a − b| ≤ tolerance × max(1, |a|, |b|)
+ *   alias_tolerant   columns that are not matched by name are paired by position,
+ *                    so `count() AS n` passes where the solution says `AS total`
+ *
+ * Rules come from the challenge's `grading` block in its pack. A failed grade
+ * carries a diff: missing / extra columns and missing / extra rows.
+ */
+
+const DEFAULT_GRADING = { ordered: false, float_tolerance: 0.001, alias_tolerant: true };
+const MAX_GRADE_ROWS = 10_000;
+const MAX_DIFF_ROWS = 20;
+const PREVIEW_ROWS = 100;
+
+const NUMERIC_TYPE = /^(Nullable\()?(LowCardinality\()?(U?Int|Float|Decimal)/;
+
+/**
+ * Run SQL and return `{ columns: [{ name, type }], rows: [[…]] }`. With `limit`
+ * the query is wrapped so ClickHouse stops after that many rows (the sandbox's
+ * own result limits are CONST and cannot be lowered per query).
+ */
+async function runCompact(client, sql, query_id, limit) {
+  const query = sql.trim().replace(/;\s*$/, '');
+  const r = await client.query({
+    query: limit ? `SELECT * FROM (\n${query}\n) LIMIT ${limit}` : query,
+    format: 'JSONCompact',
+    query_id,
+  });
+  const { meta, data } = await r.json();
+  return { columns: meta, rows: data };
+}
+
+/**
+ * Pair each expected column with an actual column index: by name first
+ * (case-insensitive), then — if alias-tolerant — leftovers by position.
+ */
+function matchColumns(expected, actual, aliasTolerant) {
+  const used = new Set();
+  const pairs = expected.map(col => {
+    const i = actual.findIndex((a, j) => !used.has(j) && a.name.toLowerCase() === col.name.toLowerCase());
+    if (i >= 0) used.add(i);
+    return i;
+  });
+  const renamed = [];
+  if (aliasTolerant) {
+    const free = actual.map((_, j) => j).filter(j => !used.has(j));
+    pairs.forEach((i, k) => {
+      if (i >= 0 || !free.length) return;
+      const j = free.includes(k) ? k : free[0];
+      free.splice(free.indexOf(j), 1);
+      used.add(j);
+      pairs[k] = j;
+      renamed.push({ expected: expected[k].name, actual: actual[j].name });
+    });
+  }
+  return {
+    pairs,
+    renamed,
+    missing: expected.filter((_, k) => pairs[k] < 0).map(c => c.name),
+    extra: actual.filter((_, j) => !used.has(j)).map(c => c.name),
+  };
+}
+
+function valuesEqual(a, b, numeric, tolerance) {
+  if (a === null || b === null) return a === b;
+  if (numeric) {
+    const x = Number(a), y = Number(b);
+    if (Number.isFinite(x) && Number.isFinite(y)) return Math.abs(x - y) <= tolerance * Math.max(1, Math.abs(x), Math.abs(y));
+  }
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Unordered match in roughly O(n log n): rows are bucketed in a Map by their
+ * non-numeric values (compared exactly), and each bucket is sorted by its first
+ * numeric column so only expected rows within tolerance of an actual row's
+ * value are compared with `same`. Returns the indices left unmatched on each side.
+ */
+function matchUnordered(exp, act, numeric, tolerance, same) {
+  const sortCol = numeric.indexOf(true);
+  const valueOf = row => (sortCol < 0 || row[sortCol] === null ? NaN : Number(row[sortCol]));
+  const keyOf = row => JSON.stringify([Number.isFinite(valueOf(row)), ...row.filter((_, k) => !numeric[k])]);
+
+  const buckets = new Map();
+  exp.forEach((row, j) => {
+    const entry = { x: valueOf(row), j };
+    const bucket = buckets.get(keyOf(row));
+    if (bucket) bucket.push(entry);
+    else buckets.set(keyOf(row), [entry]);
+  });
+  for (const bucket of buckets.values()) bucket.sort((p, q) => p.x - q.x);
+
+  const extra = [];
+  act.forEach((row, i) => {
+    const bucket = buckets.get(keyOf(row)) || [];
+    const x = valueOf(row);
+    let from = 0;
+    let upper = Infinity;
+    if (Number.isFinite(x) && tolerance < 1) {
+      // Widest |x − b| that can still satisfy valuesEqual's relative tolerance
+      const w = tolerance * Math.max(1, Math.abs(x)) / (1 - tolerance) + Number.EPSILON;
+      let lo = 0;
+      let hi = bucket.length;
+      while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (bucket[mid].x < x - w) lo = mid + 1;
+        else hi = mid;
+      }
+      from = lo;
+      upper = x + w;
+    }
+    const inWindow = k => k < bucket.length && !(bucket[k].x > upper);
+    let hit = from;
+    while (inWindow(hit) && !same(exp[bucket[hit].j], row)) hit++;
+    // Matched rows leave the bucket, so duplicates never get rescanned
+    if (inWindow(hit)) bucket.splice(hit, 1);
+    else extra.push(i);
+  });
+  const missing = [...buckets.values()].flat().map(e => e.j).sort((p, q) => p - q);
+  return { missing, extra };
+}
+
+/** Compare two result sets; `pairs[k]` is the actual column for expected column k. */
+function compareRows(expected, actual, pairs, numeric, { ordered, float_tolerance }) {
+  const project = row => pairs.map(j => row[j]);
+  const exp = expected.rows;
+  const act = actual.rows.map(project);
+  const same = (e, a) => e.every((v, k) => valuesEqual(v, a[k], numeric[k], float_tolerance));
+
+  const missing = [];
+  const extra = [];
+  if (ordered) {
+    for (let i = 0; i < Math.max(exp.length, act.length); i++) {
+      if (i < exp.length && i < act.length && same(exp[i], act[i])) continue;
+      if (i < exp.length) missing.push({ position: i + 1, row: exp[i] });
+      if (i < act.length) extra.push({ position: i + 1, row: act[i] });
+    }
+  } else {
+    const unmatched = matchUnordered(exp, act, numeric, float_tolerance, same);
+    unmatched.extra.forEach(i => extra.push({ position: i + 1, row: act[i] }));
+    unmatched.missing.forEach(j => missing.push({ position: j + 1, row: exp[j] }));
+  }
+  return { missing, extra };
+}
+
+/**
+ * Grade `sql` against a challenge from a pack (see challenge-packs.js). Both
+ * queries run on `client` (the sandbox); SQL errors in the learner's query
+ * propagate to the caller.
+ */
+async function gradeChallenge(client, challenge, sql, { query_id } = {}) {
+  const grading = { ...DEFAULT_GRADING, ...challenge.grading };
+  // One row past the cap is enough to know the answer is too big to grade
+  const actual = await runCompact(client, sql, query_id, MAX_GRADE_ROWS + 1);
+  const expected = await runCompact(client, challenge.solution);
+  const truncated = actual.rows.length > MAX_GRADE_ROWS;
+
+  const preview = {
+    columns: actual.columns,
+    rows: actual.rows.slice(0, PREVIEW_ROWS).map(r => Object.fromEntries(actual.columns.map((c, i) => [c.name, r[i]]))),
+    total: actual.rows.length,
+    truncated,
+  };
+  const result = { challenge_id: challenge.id, grading, preview, rows: { expected: expected.rows.length, actual: actual.rows.length } };
+
+  if (truncated) {
+    return { ...result, pass: false, reason: `Result has more than ${MAX_GRADE_ROWS.toLocaleString('en')} rows — the expected answer has ${expected.rows.length}.` };
+  }
+  const columns = matchColumns(expected.columns, actual.columns, grading.alias_tolerant);
+  result.columns = { missing: columns.missing, extra: columns.extra, renamed: columns.renamed };
+  if (columns.missing.length || columns.extra.length) {
+    return { ...result, pass: false, reason: 'The columns do not match the expected result.', expected_columns: expected.columns.map(c => c.name) };
+  }
+
+  const numeric = expected.columns.map(c => NUMERIC_TYPE.test(c.type));
+  const { missing, extra } = compareRows(expected, actual, columns.pairs, numeric, grading);
+  const pass = !missing.length && !extra.length;
+  return {
+    ...result,
+    pass,
+    reason: pass ? null : grading.ordered && expected.rows.length === actual.rows.length
+      ? 'Some rows differ or are in the wrong order.'
+      : 'Some rows differ from the expected result.',
+    expected_columns: expected.columns.map(c => c.name),
+    missing_rows: missing.slice(0, MAX_DIFF_ROWS),
+    extra_rows: extra.slice(0, MAX_DIFF_ROWS),
+    missing_count: missing.length,
+    extra_count: extra.length,
+  };
+}
+
+module.exports = { gradeChallenge };
@@ -0,0 +1,101 @@
+/**
+ * lessons.js  –  Scratch objects owned by the interactive lessons
+ *
+ * The live demos in the Mistakes tab create `demo.mistake_*` tables and views.
+ * Each has its own reset endpoint, but an abandoned or failed run leaves its
+ * tables behind. LESSONS records which lesson owns which objects; any other
+ * `demo.mistake_*` object is listed as an orphan and cleaned up the same way.
+ *
+ * Age comes from system.tables.metadata_modification_time (every demo run
+ * recreates its tables), so the registry needs no state of its own and
+ * survives restarts. startScratchSweeper() drops objects older than
+ * SCRATCH_TTL_MINUTES (default 60, env LESSON_SCRATCH_TTL_MINUTES).
+ */
+
+const SCRATCH_DATABASE = 'demo';
+const SCRATCH_PREFIX = 'mistake_';
+const SCRATCH_TTL_MINUTES = Number(process.env.LESSON_SCRATCH_TTL_MINUTES) || 60;
+const SWEEP_INTERVAL_MS = 10 * 60_000;
+
+const LESSONS = [
+  { key: 'parts', mistake: '01', objects: ['mistake_parts_demo', 'mistake_parts_good'] },
+  { key: 'horizontal', mistake: '02', objects: ['mistake_horizontal_events'] },
+  { key: 'mutation', mistake: '03', objects: ['mistake_mutation_logs', 'mistake_mutation_fixed', 'mistake_mutation_rmt', 'mistake_mutation_staging'] },
+  { key: 'json', mistake: '04', objects: ['mistake_json_raw', 'mistake_json_typed', 'mistake_json_map', 'mistake_json_native'] },
+  { key: 'nullable', mistake: '05', objects: ['mistake_nullable_bad', 'mistake_nullable_good'] },
+  { key: 'dedup', mistake: '06', objects: ['mistake_dedup_good', 'mistake_dedup_bad'] },
+  { key: 'skipidx', mistake: '08', objects: ['mistake_skipidx_plain', 'mistake_skipidx_bad', 'mistake_skipidx_good'] },
+  { key: 'mv', mistake: '12', objects: ['mistake_mv_demo', 'mistake_mv_target'] },
+];
+
+const ownerOf = name => LESSONS.find(l => l.objects.includes(name)) || null;
+
+/** Every scratch object on the server with its owner, size and age. */
+async function listScratch(client) {
+  const r = await client.query({
+    query: `
+      SELECT database, name, engine, total_rows, total_bytes,
+        metadata_modification_time AS created,
+        dateDiff('second', metadata_modification_time, now()) AS age_seconds
+      FROM system.tables
+      WHERE database = {db:String} AND startsWith(name, {prefix:String})
+      ORDER BY name`,
+    query_params: { db: SCRATCH_DATABASE, prefix: SCRATCH_PREFIX },
+    format: 'JSONEachRow',
+  });
+  return (await r.json()).map(t => {
+    const owner = ownerOf(t.name);
+    const age = Number(t.age_seconds);
+    return {
+      lesson: owner?.key ?? null,
+      mistake: owner?.mistake ?? null,
+      database: t.database,
+      name: t.name,
+      engine: t.engine,
+      rows: t.total_rows === null ? null : Number(t.total_rows),
+      bytes: t.total_bytes === null ? null : Number(t.total_bytes),
+      created: t.created,
+      ageSeconds: age,
+      expiresInSeconds: Math.max(0, SCRATCH_TTL_MINUTES * 60 - age),
+    };
+  });
+}
+
+/**
+ * Drop the given scratch objects, views first so no MV is left pointing at a
+ * dropped target. Returns the names dropped and per-object errors.
+ */
+async function dropScratch(client, objects) {
+  const isView = o => /View$/.test(o.engine);
+  const ordered = [...objects.filter(isView), ...objects.filter(o => !isView(o))];
+  const dropped = [];
+  const errors = [];
+  for (const o of ordered) {
+    try {
+      await client.command({ query: `DROP ${isView(o) ? 'VIEW' : 'TABLE'} IF EXISTS ${o.database}.${o.name}` });
+      dropped.push(`${o.database}.${o.name}`);
+    } catch (e) {
+      errors.push({ object: `${o.database}.${o.name}`, error: e.message.split('\n')[0] });
+    }
+  }
+  return { dropped, errors };
+}
+
+/** Drop scratch objects past their TTL now and every SWEEP_INTERVAL_MS. */
+function startScratchSweeper(client, log = console) {
+  const sweep = async () => {
+    try {
+      const expired = (await listScratch(client)).filter(o => o.expiresInSeconds === 0);
+      if (!expired.length) return;
+      const { dropped, errors } = await dropScratch(client, expired);
+      if (dropped.length) log.log(`🧹 Dropped ${dropped.length} expired lesson scratch object(s): ${dropped.join(', ')}`);
+      for (const e of errors) log.warn(`⚠️  Could not drop ${e.object}: ${e.error}`);
+    } catch (e) {
+      log.warn(`⚠️  Lesson scratch sweep failed: ${e.message}`);
+    }
+  };
+  sweep();
+  setInterval(sweep, SWEEP_INTERVAL_MS).unref();
+}
+
+module.exports = { LESSONS, SCRATCH_TTL_MINUTES, listScratch, dropScratch, startScratchSweeper };
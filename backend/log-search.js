@@ -0,0 +1,103 @@
+/**
+ * log-search.js  –  Structured search syntax for app_logs
+ *
+ * Parses the Logging tab's search box into WHERE conditions on a where()
+ * builder (query-builder.js); every value is bound as a query parameter.
+ *
+ *   timeout                  message ILIKE '%timeout%'      substring, any case
+ *   time*  "gateway timeout" message ILIKE '%time%', '%gateway timeout%'
+ *   =timeout                 hasToken(message, 'timeout')   whole token, exact case
+ *   ="gateway timeout"       message LIKE '%gateway timeout%'  exact case
+ *   level:ERROR              level = 'ERROR'
+ *   host:host-0*             host LIKE 'host-0%'
+ *   duration_ms:>500         also >=, <, <=, = and 100..500
+ *   timestamp:>="2024-06-01 10:00:00"
+ *   -retry  -service:auth    NOT (…)
+ *   usage:95                 message ILIKE '%usage:95%'      unknown field → plain text
+ *
+ * Terms are AND-ed. ILIKE cannot use a skip index; the exact-case `=` forms
+ * (hasToken, LIKE) are what tokenbf_v1 / ngrambf_v1 indices on message can
+ * prune with (see seed.js, LOG_SEARCH_INDEX).
+ */
+
+const { ValidationError, escapeLike } = require('./query-builder');
+
+const FIELDS = {
+  level: { kind: 'keyword', normalize: v => v.toUpperCase() },
+  service: { kind: 'keyword' },
+  host: { kind: 'keyword' },
+  trace_id: { kind: 'keyword' },
+  message: { kind: 'text' },
+  duration_ms: { kind: 'number' },
+  timestamp: { kind: 'time' },
+};
+
+// [-][field:][op]("quoted" | bare)
+const TERM = /\s*(-)?(?:([A-Za-z_]+):)?(>=|<=|>|<|=)?(?:"([^"]*)"|(\S+))/y;
+const TOKEN = /^[A-Za-z0-9]+$/;   // hasToken needs a single alphanumeric token
+const MAX_TERMS = 20;
+
+const fail = message => new ValidationError('search', message);
+
+/** Split the search text into `{ negate, field, op, value, quoted }` terms. */
+function parseLogSearch(text) {
+  const terms = [];
+  TERM.lastIndex = 0;
+  let m;
+  while (TERM.lastIndex < text.length && (m = TERM.exec(text))) {
+    if (!m[0].trim()) break;
+    const [, negate, field, op, quoted, bare] = m;
+    if (field && !FIELDS[field]) {
+      // Not a field we know ("exception:NullPointerError", "usage:95"): search the text as typed
+      terms.push({ negate: Boolean(negate), field: 'message', op: null, value: `${field}:${op || ''}${quoted ?? bare}`, quoted: quoted !== undefined });
+      continue;
+    }
+    terms.push({ negate: Boolean(negate), field: field || 'message', op: op || null, value: quoted ?? bare, quoted: quoted !== undefined });
+  }
+  if (terms.length > MAX_TERMS) throw fail(`At most ${MAX_TERMS} search terms`);
+  return terms;
+}
+
+const likePattern = value => escapeLike(value).replace(/\*/g, '%');
+
+/** SQL for one term, binding its values on `w`. */
+function termSql(w, { field, op, value, quoted }) {
+  const { kind, normalize } = FIELDS[field];
+  if (kind === 'text') {
+    if (op && op !== '=') throw fail(`${field} does not support ${op}`);
+    if (!op) return `message ILIKE ${w.bind('String', `%${likePattern(value)}%`)}`;
+    if (!quoted && TOKEN.test(value)) return `hasToken(message, ${w.bind('String', value)})`;
+    return `message LIKE ${w.bind('String', `%${likePattern(value)}%`)}`;
+  }
+  if (kind === 'keyword') {
+    if (op && op !== '=') throw fail(`${field} does not support ${op}`);
+    const v = normalize ? normalize(value) : value;
+    return !quoted && v.includes('*')
+      ? `${field} LIKE ${w.bind('String', likePattern(v))}`
+      : `${field} = ${w.bind('String', v)}`;
+  }
+  // number / time: comparison or lo..hi range
+  const type = kind === 'number' ? 'UInt32' : 'String';
+  const parse = kind === 'number'
+    ? v => {
+      if (!/^\d+$/.test(v)) throw fail(`${field} needs a whole number, got "${v}"`);
+      return Number(v);
+    }
+    : v => v;
+  const bind = v => (kind === 'number' ? w.bind(type, parse(v)) : `parseDateTimeBestEffort(${w.bind(type, v)})`);
+  const range = !op && value.match(/^(.+)\.\.(.+)$/);
+  if (range) return `${field} BETWEEN ${bind(range[1])} AND ${bind(range[2])}`;
+  return `${field} ${op || '='} ${bind(value)}`;
+}
+
+/** Add the parsed search to `w` and return the terms (for display). */
+function applyLogSearch(w, text) {
+  const terms = parseLogSearch(text);
+  for (const t of terms) {
+    const sql = termSql(w, t);
+    w.add(t.negate ? `NOT (${sql})` : sql);
+  }
+  return terms;
+}
+
+module.exports = { parseLogSearch, applyLogSearch };
@@ -0,0 +1,137 @@
+/**
+ * query-builder.js  –  Safe SQL building for the Express routes in server.js
+ *
+ * Every value that comes from a request (query string or JSON body) is
+ * validated here and then bound through ClickHouse `query_params` as a typed
+ * placeholder ({name:Type}) — it is never spliced into the SQL text.
+ *
+ *   const p = validate.int(req.query.hours, { name: 'hours', min: 1, max: 720, fallback: 24 });
+ *   const w = where().eq('level', 'String', level).ilike('message', search);
+ *   ch.query({ query: `SELECT … WHERE ${w}`, query_params: w.params, format: 'JSONEachRow' });
+ */
+
+// ─── Errors ───────────────────────────────────────────────────────────────────
+class ValidationError extends Error {
+  constructor(param, message, details = {}) {
+    super(message);
+    this.name = 'ValidationError';
+    this.param = param;
+    this.details = details;
+  }
+}
+
+/**
+ * Send an error in the shape every route uses: `{ error }` with HTTP 400.
+ * Validation failures additionally carry `code`, `param` and any details
+ * (allowed range / values) so the UI can point at the offending input.
+ */
+function sendError(res, e) {
+  if (e instanceof ValidationError) {
+    return res.status(400).json({ error: e.message, code: 'VALIDATION_ERROR', param: e.param, ...e.details });
+  }
+  return res.status(400).json({ error: e.message });
+}
+
+// ─── Validators ───────────────────────────────────────────────────────────────
+const isMissing = v => v === undefined || v === null || v === '';
+
+const validate = {
+  /** Whole number within [min, max]. Missing → fallback. */
+  int(value, { name, min, max, fallback }) {
+    if (isMissing(value)) {
+      if (fallback === undefined) throw new ValidationError(name, `${name} is required`);
+      return fallback;
+    }
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < min || n > max) {
+      throw new ValidationError(name, `${name} must be an integer between ${min} and ${max}`, { min, max });
+    }
+    return n;
+  },
+
+  /** Finite number within [min, max]. Missing → fallback. */
+  number(value, { name, min, max, fallback }) {
+    if (isMissing(value)) {
+      if (fallback === undefined) throw new ValidationError(name, `${name} is required`);
+      return fallback;
+    }
+    const n = Number(value);
+    if (!Number.isFinite(n) || n < min || n > max) {
+      throw new ValidationError(name, `${name} must be a number between ${min} and ${max}`, { min, max });
+    }
+    return n;
+  },
+
+  /** One of a fixed list of values. Missing → fallback. */
+  oneOf(value, { name, allowed, fallback }) {
+    if (isMissing(value)) {
+      if (fallback === undefined) throw new ValidationError(name, `${name} is required`);
+      return fallback;
+    }
+    if (!allowed.includes(value)) {
+      throw new ValidationError(name, `${name} must be one of: ${allowed.join(', ')}`, { allowed });
+    }
+    return value;
+  },
+
+  /** Plain string, bounded length, optional pattern. Missing → fallback. */
+  string(value, { name, maxLength = 200, pattern, fallback }) {
+    if (isMissing(value)) {
+      if (fallback === undefined) throw new ValidationError(name, `${name} is required`);
+      return fallback;
+    }
+    if (typeof value !== 'string') throw new ValidationError(name, `${name} must be a string`);
+    if (value.length > maxLength) {
+      throw new ValidationError(name, `${name} must be at most ${maxLength} characters`, { maxLength });
+    }
+    if (pattern && !pattern.test(value)) {
+      throw new ValidationError(name, `${name} has an invalid format`, { pattern: String(pattern) });
+    }
+    return value;
+  },
+};
+
+// ─── WHERE builder ────────────────────────────────────────────────────────────
+/** Escape LIKE wildcards so user text is matched literally. */
+const escapeLike = s => s.replace(/[\\%_]/g, c => `\\${c}`);
+
+/**
+ * Collect AND-ed conditions and their query_params. Interpolating the builder
+ * in a template string yields the WHERE body (or `1=1` when empty); pass
+ * `.params` as `query_params`.
+ */
+function where(params = {}) {
+  const conditions = [];
+  let seq = 0;
+  const builder = {
+    params,
+
+    /** Register a value and return its `{pN:Type}` placeholder. */
+    bind(type, value) {
+      const key = `p${seq++}`;
+      params[key] = value;
+      return `{${key}:${type}}`;
+    },
+
+    /** Add a condition that contains no user input (or uses bind()). */
+    add(condition) {
+      conditions.push(condition);
+      return builder;
+    },
+
+    eq(column, type, value) {
+      return builder.add(`${column} = ${builder.bind(type, value)}`);
+    },
+
+    ilike(column, value) {
+      return builder.add(`${column} ILIKE ${builder.bind('String', `%${escapeLike(value)}%`)}`);
+    },
+
+    toString() {
+      return conditions.length ? conditions.join(' AND ') : '1=1';
+    },
+  };
+  return builder;
+}
+
+module.exports = { ValidationError, sendError, validate, where, escapeLike };
@@ -0,0 +1,205 @@
+/**
+ * query-stream.js  –  Server-side cursors over JSONEachRow result streams
+ *
+ * POST /api/query/stream opens a cursor: the query runs once, ClickHouse
+ * streams JSONEachRowWithProgress back, and rows are pulled from that stream
+ * one page at a time. Progress lines in the stream carry running totals, so the
+ * last page reports the final read_rows / read_bytes. Pages go to the browser
+ * as NDJSON lines:
+ *
+ *   {"type":"meta","cursor":"…","query_id":"…","summary":{…},"columns":[{"name","type"}]}   first page only
+ *   {"type":"rows","rows":[…]}                                   one or more chunks
+ *   {"type":"page","cursor":"…","offset":0,"returned":500,"has_more":true}
+ *   … last page: "has_more":false, "total_rows", "summary" (final progress), "truncated"
+ *
+ * With `rowLimit` the query runs with result_overflow_mode = 'break', so a
+ * result past the limit ends early (flagged `truncated`) instead of failing
+ * halfway through paging.
+ *
+ * Between pages the stream is simply not read, so back-pressure pauses it.
+ * Idle cursors are closed after CURSOR_TTL_MS, which aborts the query.
+ *
+ * Every open cursor holds one socket from the client's HTTP pool (10 by
+ * default), so at most MAX_CURSORS are open at once and MAX_CURSORS_PER_CLIENT
+ * per caller; cursorLimitReached() tells the route when to answer 429.
+ */
+const crypto = require('crypto');
+
+const CURSOR_TTL_MS = 60_000;
+const CHUNK_ROWS = 100;
+const MAX_CURSORS = 6;             // leaves sockets in the pool for /api/query and cancels
+const MAX_CURSORS_PER_CLIENT = 2;
+const cursors = new Map();
+const opening = new Map();         // owner → cursors whose query is still starting
+
+const numbers = raw => Object.fromEntries(Object.entries(raw).map(([k, v]) => [k, Number(v)]));
+
+/**
+ * Yield the data rows of a JSONEachRowWithProgress stream, keeping the latest
+ * progress totals on `c.progress`. Newer servers report a mid-stream exception
+ * as its own line; older ones append it as text, which fails JSON parsing.
+ */
+async function* rowsOf(stream, c) {
+  for await (const chunk of stream) {
+    for (const line of chunk) {
+      const obj = line.json();
+      if (obj.row) yield obj.row;
+      else if (obj.progress) c.progress = numbers(obj.progress);
+      else if (obj.exception) throw new Error(obj.exception);
+    }
+  }
+}
+
+/** Parse X-ClickHouse-Summary into numbers (read_rows, read_bytes, result_rows, …). */
+function parseSummary(headers) {
+  try {
+    return numbers(JSON.parse(headers['x-clickhouse-summary'] || '{}'));
+  } catch {
+    return {};
+  }
+}
+
+/** Column names and types without running the query; null if it cannot be described. */
+async function describeColumns(client, sql) {
+  try {
+    const r = await client.query({ query: `DESCRIBE TABLE (${sql.trim().replace(/;\s*$/, '')})`, format: 'JSONEachRow' });
+    return (await r.json()).map(col => ({ name: col.name, type: col.type }));
+  } catch {
+    return null;
+  }
+}
+
+function closeCursor(id) {
+  const c = cursors.get(id);
+  if (!c) return;
+  clearTimeout(c.timer);
+  c.stream.destroy();
+  cursors.delete(id);
+}
+
+const openCount = owner => [...cursors.values()].filter(c => c.owner === owner).length + (opening.get(owner) || 0);
+
+/** Message explaining why `owner` cannot open another cursor right now, or null. */
+function cursorLimitReached(owner) {
+  const total = cursors.size + [...opening.values()].reduce((s, n) => s + n, 0);
+  if (total >= MAX_CURSORS) {
+    return `The server already has ${MAX_CURSORS} result streams open — try again in a moment.`;
+  }
+  if (openCount(owner) >= MAX_CURSORS_PER_CLIENT) {
+    return `You already have ${MAX_CURSORS_PER_CLIENT} result streams open — scroll them to the end or run a new query to close them.`;
+  }
+  return null;
+}
+
+function touch(c) {
+  clearTimeout(c.timer);
+  c.timer = setTimeout(() => closeCursor(c.id), CURSOR_TTL_MS);
+}
+
+/**
+ * Run `sql` and park its result stream behind a cursor id, keeping the column
+ * types (from DESCRIBE) so the UI can pick chart axes. Pass the client's
+ * `query_id` so the run can be cancelled with KILL QUERY while it executes.
+ * Rows stream as ClickHouse produces them, so the summary header only covers
+ * the work done before the first block was sent. Call cursorLimitReached()
+ * first; the slot is reserved before the query starts.
+ */
+async function openCursor(client, sql, { query_id, owner, rowLimit } = {}) {
+  opening.set(owner, (opening.get(owner) || 0) + 1);
+  const c = {
+    id: crypto.randomUUID(),
+    owner,
+    rowLimit,
+    progress: {},
+    offset: 0,
+    peeked: null,
+    done: false,
+    busy: false,
+  };
+  try {
+    const described = await describeColumns(client, sql);
+    const result = await client.query({
+      query: sql,
+      format: 'JSONEachRowWithProgress',
+      query_id,
+      clickhouse_settings: rowLimit ? { result_overflow_mode: 'break' } : {},
+    });
+    c.stream = result.stream();
+    c.rows = rowsOf(c.stream, c);
+    // Read the first row now so an immediate failure is an HTTP error, not a broken page
+    c.peeked = await c.rows.next();
+    if (c.peeked.done) c.done = true;
+    c.query_id = result.query_id;
+    c.summary = parseSummary(result.response_headers);
+    c.columns = described || Object.keys(c.peeked.value || {}).map(name => ({ name, type: null }));
+  } catch (e) {
+    c.stream?.destroy();
+    throw e;
+  } finally {
+    const n = opening.get(owner) - 1;
+    if (n) opening.set(owner, n);
+    else opening.delete(owner);
+  }
+  cursors.set(c.id, c);
+  touch(c);
+  return c;
+}
+
+function getCursor(id) {
+  return cursors.get(id) || null;
+}
+
+/**
+ * Write up to `pageSize` rows from the cursor to `res` as NDJSON. A stream
+ * error becomes an `error` line built by `describeError` (the route's mapping
+ * of ClickHouse errors to `{ error, code, hint }`).
+ */
+async function writePage(c, res, pageSize, { withMeta = false, describeError = e => ({ error: e.message }) } = {}) {
+  c.busy = true;
+  res.setHeader('Content-Type', 'application/x-ndjson');
+  if (withMeta) {
+    res.write(JSON.stringify({ type: 'meta', cursor: c.id, query_id: c.query_id, summary: c.summary, columns: c.columns }) + '\n');
+  }
+  const offset = c.offset;
+  let chunk = [];
+  let returned = 0;
+  try {
+    while (returned < pageSize && !c.done) {
+      const next = c.peeked || await c.rows.next();
+      c.peeked = null;
+      if (next.done) { c.done = true; break; }
+      chunk.push(next.value);
+      returned++;
+      if (chunk.length === CHUNK_ROWS) {
+        res.write(JSON.stringify({ type: 'rows', rows: chunk }) + '\n');
+        chunk = [];
+      }
+    }
+    if (chunk.length) res.write(JSON.stringify({ type: 'rows', rows: chunk }) + '\n');
+    c.offset += returned;
+    // Read one row ahead so has_more is exact when the page ends on the last row
+    if (!c.done) {
+      c.peeked = await c.rows.next();
+      if (c.peeked.done) c.done = true;
+    }
+    const has_more = !c.done;
+    const page = { type: 'page', cursor: has_more ? c.id : null, offset, returned, has_more };
+    if (!has_more) {
+      Object.assign(page, {
+        total_rows: c.offset,
+        summary: { ...c.summary, ...c.progress },
+        truncated: Boolean(c.rowLimit) && c.offset >= c.rowLimit,
+      });
+    }
+    res.end(JSON.stringify(page) + '\n');
+  } catch (e) {
+    c.done = true;
+    res.end(JSON.stringify({ type: 'error', ...describeError(e) }) + '\n');
+  } finally {
+    c.busy = false;
+    if (c.done) closeCursor(c.id);
+    else touch(c);
+  }
+}
+
+module.exports = { openCursor, getCursor, closeCursor, cursorLimitReached, writePage };
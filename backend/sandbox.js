@@ -0,0 +1,161 @@
+/**
+ * sandbox.js  –  Read-only, resource-capped ClickHouse user for learner SQL
+ *
+ * POST /api/query runs whatever the SQL Playground, SQL Challenges and the
+ * Benchmark Showdown send it. Instead of the admin `ch` client (which can DROP
+ * the seeded demo tables) those queries run as a dedicated `playground` user
+ * whose settings profile pins readonly=2 plus hard resource limits.
+ *
+ * The user and profile are (re)created at server startup by setupSandbox().
+ * Set QUERY_SANDBOX=0 to skip this and run playground SQL as the admin user.
+ */
+const crypto = require('crypto');
+const { createClient } = require('@clickhouse/client');
+
+const SANDBOX_ENABLED = process.env.QUERY_SANDBOX !== '0';
+const SANDBOX_USER = process.env.PLAYGROUND_USER || 'playground';
+const SANDBOX_PASSWORD = process.env.PLAYGROUND_PASSWORD || crypto.randomBytes(18).toString('hex');
+const SANDBOX_PROFILE = `${SANDBOX_USER}_profile`;
+
+// Each limit carries the ClickHouse error type it produces and a learner-facing hint
+const SANDBOX_LIMITS = {
+  max_execution_time: {
+    value: Number(process.env.PLAYGROUND_MAX_EXECUTION_TIME) || 15,
+    unit: 'seconds',
+    errorTypes: ['TIMEOUT_EXCEEDED'],
+    hint: 'Filter on the ORDER BY prefix or a narrower time range so less data is scanned.',
+  },
+  max_result_rows: {
+    value: Number(process.env.PLAYGROUND_MAX_RESULT_ROWS) || 50_000,
+    unit: 'rows returned',
+    errorTypes: ['TOO_MANY_ROWS_OR_BYTES'],
+    hint: 'Add a LIMIT, or aggregate with GROUP BY instead of returning raw rows.',
+  },
+  max_memory_usage: {
+    value: Number(process.env.PLAYGROUND_MAX_MEMORY_USAGE) || 1_000_000_000,
+    unit: 'bytes',
+    errorTypes: ['MEMORY_LIMIT_EXCEEDED'],
+    hint: 'Reduce GROUP BY cardinality, use uniq() instead of uniqExact(), or cap groupArray(N).',
+  },
+  max_rows_to_read: {
+    value: Number(process.env.PLAYGROUND_MAX_ROWS_TO_READ) || 100_000_000,
+    unit: 'rows read',
+    errorTypes: ['TOO_MANY_ROWS'],
+    hint: 'Add a WHERE clause on the primary key or partition key so ClickHouse can skip granules.',
+  },
+};
+
+// System tables the lessons, presets and challenges query from the playground.
+// Anything else in `system` (users, grants, processes, …) stays unreadable;
+// query_log additionally gets a row policy so learners only see their own runs.
+const SANDBOX_SYSTEM_TABLES = [
+  'one', 'numbers', 'databases', 'tables', 'columns', 'functions', 'settings',
+  'parts', 'parts_columns', 'merges', 'mutations', 'data_skipping_indices',
+  'replicas', 'dictionaries', 'query_log', 'asynchronous_insert_log',
+];
+
+const PERMISSION_ERRORS = {
+  READONLY: 'The playground is read-only: INSERT, ALTER, CREATE and DROP are not allowed here.',
+  ACCESS_DENIED: 'The playground user can only read the demo database and the system tables the lessons use.',
+  SETTING_CONSTRAINT_VIOLATION: 'Sandbox limits are fixed and cannot be raised with SETTINGS.',
+};
+
+/** (Re)create the settings profile and user, then grant read-only access. */
+async function setupSandbox(ch, database = 'demo') {
+  const limits = Object.entries(SANDBOX_LIMITS).map(([name, l]) => `${name} = ${l.value} CONST`);
+  // result_overflow_mode is not CONST: its only other value, 'break', returns fewer
+  // rows, and result streams and exports use it to stop cleanly at max_result_rows
+  const statements = [
+    `CREATE SETTINGS PROFILE OR REPLACE ${SANDBOX_PROFILE} SETTINGS
+       readonly = 2,
+       ${limits.join(',\n       ')},
+       result_overflow_mode = 'throw',
+       read_overflow_mode = 'throw' CONST,
+       timeout_overflow_mode = 'throw' CONST`,
+    `CREATE USER OR REPLACE ${SANDBOX_USER}
+       IDENTIFIED WITH sha256_password BY '${SANDBOX_PASSWORD.replace(/[\\']/g, c => `\\${c}`)}'
+       DEFAULT DATABASE ${database}
+       SETTINGS PROFILE '${SANDBOX_PROFILE}'`,
+    `GRANT SELECT, SHOW TABLES, SHOW COLUMNS, dictGet ON ${database}.* TO ${SANDBOX_USER}`,
+    ...SANDBOX_SYSTEM_TABLES.map(t => `GRANT SELECT ON system.${t} TO ${SANDBOX_USER}`),
+    // The second policy keeps query_log fully visible to every other user
+    `CREATE ROW POLICY OR REPLACE ${SANDBOX_USER}_own_queries ON system.query_log
+       FOR SELECT USING user = currentUser() TO ${SANDBOX_USER}`,
+    `CREATE ROW POLICY OR REPLACE ${SANDBOX_USER}_others_unfiltered ON system.query_log
+       FOR SELECT USING 1 TO ALL EXCEPT ${SANDBOX_USER}`,
+  ];
+  for (const query of statements) await ch.command({ query });
+}
+
+/** Let the sandbox user read extra tables, e.g. those a challenge pack requires. */
+async function grantSandboxRead(ch, tables) {
+  for (const table of tables) {
+    const [db, name] = table.split('.');
+    await ch.command({ query: `GRANT SELECT ON \`${db}\`.\`${name}\` TO ${SANDBOX_USER}` });
+  }
+}
+
+/**
+ * Predicate `(database, table) => boolean`: can the sandbox user SELECT the
+ * whole table? Read from system.grants, so pack grants count too.
+ */
+async function sandboxCanRead(ch) {
+  if (!SANDBOX_ENABLED) return () => true;
+  const r = await ch.query({
+    query: `SELECT database, table FROM system.grants
+            WHERE user_name = {user:String} AND access_type = 'SELECT' AND column IS NULL AND NOT is_partial_revoke`,
+    query_params: { user: SANDBOX_USER },
+    format: 'JSONEachRow',
+  });
+  const grants = await r.json();
+  return (database, table) => grants.some(g => (g.database === null || g.database === database) && (g.table === null || g.table === table));
+}
+
+/** Client that authenticates as the sandbox user. It must not send limit settings — they are CONST. */
+function createSandboxClient() {
+  return createClient({
+    url: `http://${process.env.CLICKHOUSE_HOST || 'localhost'}:${process.env.CLICKHOUSE_PORT || 8123}`,
+    database: process.env.CLICKHOUSE_DB || 'demo',
+    username: SANDBOX_USER,
+    password: SANDBOX_PASSWORD,
+  });
+}
+
+/**
+ * Map a ClickHouse error from a sandboxed query to a structured body the UI can
+ * explain. Returns null for ordinary SQL errors (syntax, unknown column, …).
+ */
+function describeSandboxError(e) {
+  // An exception that hits a result stream mid-way arrives as text: "… (TIMEOUT_EXCEEDED) (version …)"
+  const type = e.type || e.message.match(/\(([A-Z][A-Z_]+)\)/)?.[1] || '';
+  if (PERMISSION_ERRORS[type]) {
+    return { error: e.message, code: 'SANDBOX_READONLY', hint: PERMISSION_ERRORS[type] };
+  }
+  const entries = Object.entries(SANDBOX_LIMITS);
+  // Some error types are shared by several limits — prefer the setting named in the message
+  const hit = entries.find(([name]) => e.message.includes(name))
+    || entries.find(([, l]) => l.errorTypes.includes(type));
+  if (hit) {
+    const [name, l] = hit;
+    return {
+      error: e.message,
+      code: 'SANDBOX_LIMIT',
+      limit: name,
+      value: l.value,
+      unit: l.unit,
+      hint: `Sandbox limit hit: ${name} = ${l.value.toLocaleString()} ${l.unit}. ${l.hint}`,
+    };
+  }
+  return null;
+}
+
+module.exports = {
+  SANDBOX_ENABLED,
+  SANDBOX_USER,
+  SANDBOX_LIMITS,
+  setupSandbox,
+  grantSandboxRead,
+  sandboxCanRead,
+  createSandboxClient,
+  describeSandboxError,
+};
@@ -130,6 +130,49 @@ const DDL = [
    ENGINE = CollapsingMergeTree(sign)
    ORDER BY (date, team)
    COMMENT 'Budget corrections – CollapsingMergeTree demo'`,
+
+    // 7. Playground saved queries – ReplacingMergeTree (every edit is a new version)
+    `CREATE TABLE IF NOT EXISTS demo.saved_queries
+   (
+     id          UUID,
+     name        String,
+     sql         String,
+     tags        Array(LowCardinality(String)),
+     starred     UInt8 DEFAULT 0,
+     created_at  DateTime DEFAULT now(),
+     updated_at  DateTime64(3) DEFAULT now64(3),
+     is_deleted  UInt8 DEFAULT 0   -- tombstone: latest version wins, deleted rows are filtered
+   )
+   ENGINE = ReplacingMergeTree(updated_at)
+   ORDER BY id
+   COMMENT 'SQL Playground saved queries – ReplacingMergeTree versioned rows'`,
+
+    // 8. Playground query history – MergeTree with TTL; stats come from system.query_log
+    `CREATE TABLE IF NOT EXISTS demo.query_history
+   (
+     query_id    String,
+     sql         String,
+     started_at  DateTime64(3) DEFAULT now64(3)
+   )
+   ENGINE = MergeTree()
+   ORDER BY (started_at, query_id)
+   TTL toDateTime(started_at) + INTERVAL 30 DAY
+   COMMENT 'SQL Playground run history – joined to system.query_log by query_id'`,
+
+    // 9. User-defined dashboards – ReplacingMergeTree; layout is a JSON document of SQL panels
+    `CREATE TABLE IF NOT EXISTS demo.dashboards
+   (
+     id          UUID,
+     name        String,
+     description String DEFAULT '',
+     layout      String,           -- JSON: { variables: [...], panels: [...] }
+     created_at  DateTime DEFAULT now(),
+     updated_at  DateTime64(3) DEFAULT now64(3),
+     is_deleted  UInt8 DEFAULT 0
+   )
+   ENGINE = ReplacingMergeTree(updated_at)
+   ORDER BY id
+   COMMENT 'Dashboards tab – panels with SQL + chart config'`,
 ];
 
 // ─── Seed Data ────────────────────────────────────────────────────────────────
@@ -175,6 +218,44 @@ async function seedLogs(n = 50_000) {
     await ch.insert({ table: 'demo.app_logs', values: rows, format: 'JSONEachRow' });
 }
 
+// Request paths for multi-service traces: each service calls the next one
+const TRACE_PATHS = [
+    ['frontend', 'api-gateway', 'auth-service'],
+    ['frontend', 'api-gateway', 'auth-service', 'payment-service'],
+    ['frontend', 'api-gateway', 'recommendation-engine', 'ml-inference'],
+    ['api-gateway', 'data-pipeline'],
+];
+
+// Each hop logs "Request received" when called and "Request processed in Nms"
+// (duration_ms = N) when done, so spans can be rebuilt from the lines alone.
+async function seedTraces(n = 2_000) {
+    console.log(`  🧵 Seeding ${n} multi-service traces…`);
+    const fmtTs = ms => new Date(ms).toISOString().replace('T', ' ').slice(0, 19);
+    const rows = [];
+    for (let i = 0; i < n; i++) {
+        const path = pick(TRACE_PATHS);
+        const trace_id = `trace-${Math.random().toString(36).slice(2, 10)}`;
+        const failed = Math.random() < 0.05;
+        // Innermost call first: every caller waits for its callee plus its own work
+        const offsets = path.map((_, h) => (h ? rndInt(2, 40) : 0));
+        const durations = [];
+        durations[path.length - 1] = rndInt(20, 600) * (Math.random() < 0.1 ? 8 : 1);
+        for (let h = path.length - 2; h >= 0; h--) durations[h] = offsets[h + 1] + durations[h + 1] + rndInt(5, 120);
+
+        let start = Date.now() - rnd(0, 48) * 3_600_000;
+        path.forEach((service, h) => {
+            start += offsets[h];
+            const host = pick(HOSTS);
+            const last = h === path.length - 1;
+            rows.push({ timestamp: fmtTs(start), level: 'DEBUG', service, host, message: 'Request received', trace_id, duration_ms: 0 });
+            rows.push(failed && last
+                ? { timestamp: fmtTs(start + durations[h]), level: 'ERROR', service, host, message: service === 'payment-service' ? 'Payment gateway timeout' : 'Service unreachable', trace_id, duration_ms: durations[h] }
+                : { timestamp: fmtTs(start + durations[h]), level: 'INFO', service, host, message: `Request processed in ${durations[h]}ms`, trace_id, duration_ms: durations[h] });
+        });
+    }
+    await ch.insert({ table: 'demo.app_logs', values: rows, format: 'JSONEachRow' });
+}
+
 async function seedCosts(n = 10_000) {
     console.log(`  💰 Seeding ${n} cost & usage records…`);
     const rows = [];
@@ -222,6 +303,64 @@ async function seedBudgetLimits() {
     await ch.insert({ table: 'demo.budget_limits', values: rows, format: 'JSONEachRow' });
 }
 
+// Example team dashboard; a fixed id so re-seeding replaces it instead of adding a copy
+async function seedDashboards() {
+    console.log('\n  🧩 Seeding example dashboard…');
+    const layout = {
+        variables: [
+            { name: 'service', type: 'String', default: 'api-gateway', options: SERVICES },
+        ],
+        panels: [
+            {
+                id: 'events', title: 'Events per hour — {service}', w: 8, h: 1,
+                chart: { type: 'stacked', x: 'hour', y: ['events'], group: 'event_type' },
+                sql: `SELECT toStartOfHour(timestamp) AS hour, event_type, count() AS events
+FROM telemetry_events
+WHERE service = {service} AND timestamp >= now() - INTERVAL {hours} HOUR
+GROUP BY hour, event_type
+ORDER BY hour`,
+            },
+            {
+                id: 'mix', title: 'Event mix', w: 4, h: 1,
+                chart: { type: 'pie', x: 'event_type', y: ['events'] },
+                sql: `SELECT event_type, count() AS events
+FROM telemetry_events
+WHERE service = {service} AND timestamp >= now() - INTERVAL {hours} HOUR
+GROUP BY event_type
+ORDER BY events DESC`,
+            },
+            {
+                id: 'latency', title: 'p95 latency (ms)', w: 6, h: 1,
+                chart: { type: 'line', x: 'hour', y: ['p95_ms'] },
+                sql: `SELECT toStartOfHour(timestamp) AS hour, quantile(0.95)(duration_ms) AS p95_ms
+FROM telemetry_events
+WHERE service = {service} AND timestamp >= now() - INTERVAL {hours} HOUR
+GROUP BY hour
+ORDER BY hour`,
+            },
+            {
+                id: 'cost', title: 'Cost by team (USD)', w: 6, h: 1,
+                chart: { type: 'bar', x: 'team', y: ['cost_usd'] },
+                sql: `SELECT team, round(sum(cost_usd), 2) AS cost_usd
+FROM cost_usage
+WHERE service = {service} AND timestamp >= now() - INTERVAL {hours} HOUR
+GROUP BY team
+ORDER BY cost_usd DESC`,
+            },
+        ],
+    };
+    await ch.insert({
+        table: 'demo.dashboards',
+        values: [{
+            id: '00000000-0000-4000-8000-000000000001',
+            name: 'Service overview',
+            description: 'Traffic, latency and spend for one service — pick it in the {service} variable.',
+            layout: JSON.stringify(layout),
+        }],
+        format: 'JSONEachRow',
+    });
+}
+
 // ─────────────────────────────────────────────────────────────────────────────
 // 🛍️  SHOPPERS PARADISE — DDL
 // ─────────────────────────────────────────────────────────────────────────────
@@ -561,6 +700,26 @@ async function seedProductCatalog() {
     process.stdout.write('.');
 }
 
+// ─── Full-text skip index on app_logs.message ────────────────────────────────
+// The Logging tab's exact-case search terms use these: =word becomes hasToken()
+// (tokenbf_v1 prunes on it) and ="phrase" becomes LIKE '%…%' (ngrambf_v1 prunes
+// on it). Plain words are ILIKE and read every granule.
+// LOG_SEARCH_INDEX=tokenbf (default) | ngrambf | none
+const LOG_SEARCH_INDEXES = {
+    tokenbf: 'idx_message_tokens message TYPE tokenbf_v1(32768, 3, 0) GRANULARITY 1',
+    ngrambf: 'idx_message_ngrams message TYPE ngrambf_v1(3, 32768, 3, 0) GRANULARITY 1',
+};
+
+async function addLogSearchIndex() {
+    const choice = process.env.LOG_SEARCH_INDEX || 'tokenbf';
+    const index = LOG_SEARCH_INDEXES[choice];
+    if (!index) return;
+    const name = index.split(' ')[0];
+    await ch.command({ query: `ALTER TABLE demo.app_logs ADD INDEX IF NOT EXISTS ${index}` });
+    await ch.command({ query: `ALTER TABLE demo.app_logs MATERIALIZE INDEX ${name}` });
+    process.stdout.write(`\n  🔎 ${name} on demo.app_logs.message`);
+}
+
 // ─── Main ─────────────────────────────────────────────────────────────────────
 async function main() {
     console.log('\n🔧 Running DDL…');
@@ -568,6 +727,7 @@ async function main() {
         await ch.command({ query: ddl });
         process.stdout.write('.');
     }
+    await addLogSearchIndex();
     console.log('\n\n🛍️  Running Shoppers Paradise DDL…');
     for (const ddl of SP_DDL) {
         await ch.command({ query: ddl });
@@ -673,9 +833,11 @@ async function main() {
     console.log('🌱 Seeding core demo data…');
     await seedTelemetry();
     await seedLogs();
+    await seedTraces();
     await seedCosts();
     await seedErrorSummary();
     await seedBudgetLimits();
+    await seedDashboards();
 
     console.log('\n\n🛍️  Seeding Shoppers Paradise data…');
     await seedPriceEvents();
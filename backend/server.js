@@ -1,9 +1,24 @@
+const crypto = require('crypto');
+const { pipeline } = require('stream');
 const { createClient } = require('@clickhouse/client');
 const express = require('express');
 const cors = require('cors');
+const { ValidationError, sendError, validate, where, escapeLike } = require('./query-builder');
+const { SANDBOX_ENABLED, SANDBOX_USER, SANDBOX_LIMITS, setupSandbox, grantSandboxRead, sandboxCanRead, createSandboxClient, describeSandboxError } = require('./sandbox');
+const { openCursor, getCursor, closeCursor, cursorLimitReached, writePage } = require('./query-stream');
+const { explainQuery, explainIndexes } = require('./explain');
+const { runBenchmark, summarize } = require('./benchmark');
+const { gradeChallenge } = require('./grader');
+const { auditExperimental } = require('./experimental-audit');
+const { adviseDatabase } = require('./advisor');
+const { parseLogSearch, applyLogSearch } = require('./log-search');
+const { LESSONS, SCRATCH_TTL_MINUTES, listScratch, dropScratch, startScratchSweeper } = require('./lessons');
+const { PACK_ID, CHALLENGE_ID, loadChallengePacks, validatePacks, packTables, listChallengePacks, getChallenge } = require('./challenge-packs');
 
 const app = express();
-app.use(cors());
+app.use(cors({ exposedHeaders: ['Content-Disposition'] }));
+// `{ rows }` exports carry a whole card's data, well past the default 100kb
+app.use('/api/query/export', express.json({ limit: '20mb' }));
 app.use(express.json());
 
 const ch = createClient({
@@ -26,6 +41,20 @@ const ch_node2 = createClient({
   clickhouse_settings: { max_execution_time: 30 },
 });
 
+// Playground SQL runs as a read-only, resource-capped user (see sandbox.js)
+const ch_sandbox = SANDBOX_ENABLED ? createSandboxClient() : ch;
+let sandboxReady = null;
+const ensureSandbox = () => {
+  if (!SANDBOX_ENABLED) return Promise.resolve();
+  if (!sandboxReady) {
+    // CREATE USER OR REPLACE drops earlier grants, so challenge pack tables are granted again
+    sandboxReady = setupSandbox(ch)
+      .then(() => grantSandboxRead(ch, packTables()))
+      .catch(e => { sandboxReady = null; throw e; });
+  }
+  return sandboxReady;
+};
+
 // ─── Health Check ────────────────────────────────────────────────────────────
 app.get('/api/health', async (req, res) => {
   try {
@@ -38,15 +67,601 @@ app.get('/api/health', async (req, res) => {
 });
 
 // ─── Generic Query Endpoint ──────────────────────────────────────────────────
+// Clients tag each run with their own query_id so it can be cancelled mid-flight
+const QUERY_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const queryIdOf = body => validate.string(body.query_id, { name: 'query_id', maxLength: 64, pattern: QUERY_ID_PATTERN, fallback: undefined });
+
+// Error body for a failed playground query: sandbox limit, cancellation, or plain SQL error
+const playgroundError = e => describeSandboxError(e)
+  || (e.type === 'QUERY_WAS_CANCELLED' ? { error: 'Query was cancelled.', code: 'QUERY_CANCELLED' } : { error: e.message });
+
 app.post('/api/query', async (req, res) => {
   const { sql } = req.body;
   if (!sql) return res.status(400).json({ error: 'sql is required' });
   try {
-    const result = await ch.query({ query: sql, format: 'JSONEachRow' });
+    await ensureSandbox();
+  } catch (e) {
+    return res.status(503).json({ error: `Query sandbox unavailable: ${e.message}`, code: 'SANDBOX_UNAVAILABLE' });
+  }
+  let query_id;
+  try { query_id = queryIdOf(req.body); } catch (e) { return sendError(res, e); }
+  try {
+    const result = await ch_sandbox.query({ query: sql, format: 'JSONEachRow', query_id });
     const rows = await result.json();
-    res.json({ rows, count: rows.length });
+    res.json({ rows, count: rows.length, query_id: result.query_id });
   } catch (e) {
-    res.status(400).json({ error: e.message });
+    res.status(400).json(playgroundError(e));
+  }
+});
+
+// Cancel a running query by id. The sandbox user is readonly, so KILL runs as admin.
+// Any client's query can be killed from the DBA tab and ids are free-form, so
+// only the length is checked; the id is bound as a query parameter.
+app.post('/api/query/:id/cancel', async (req, res) => {
+  try {
+    const id = validate.string(req.params.id, { name: 'id', maxLength: 1000 });
+    const r = await ch.query({
+      query: 'KILL QUERY WHERE query_id = {id:String} ASYNC',
+      query_params: { id },
+      format: 'JSONEachRow',
+    });
+    const killed = await r.json();
+    if (!killed.length) {
+      return res.status(404).json({ error: 'No running query with that id — it may have already finished.', code: 'QUERY_NOT_RUNNING' });
+    }
+    res.json({ ok: true, query_id: id, status: killed[0].kill_status });
+  } catch (e) { sendError(res, e); }
+});
+
+// ─── Streaming Query Endpoint (NDJSON pages behind a server-side cursor) ─────
+app.post('/api/query/stream', async (req, res) => {
+  const { sql } = req.body;
+  if (!sql) return res.status(400).json({ error: 'sql is required' });
+  try {
+    await ensureSandbox();
+  } catch (e) {
+    return res.status(503).json({ error: `Query sandbox unavailable: ${e.message}`, code: 'SANDBOX_UNAVAILABLE' });
+  }
+  try {
+    const pageSize = validate.int(req.body.page_size, { name: 'page_size', min: 1, max: 5000, fallback: 500 });
+    const query_id = queryIdOf(req.body) || crypto.randomUUID();
+    const full = cursorLimitReached(req.ip);
+    if (full) return res.status(429).json({ error: full, code: 'TOO_MANY_CURSORS' });
+    recordHistory(query_id, sql);
+    const rowLimit = SANDBOX_ENABLED ? SANDBOX_LIMITS.max_result_rows.value : undefined;
+    const cursor = await openCursor(ch_sandbox, sql, { query_id, owner: req.ip, rowLimit });
+    await writePage(cursor, res, pageSize, { withMeta: true, describeError: playgroundError });
+  } catch (e) {
+    if (e instanceof ValidationError) return sendError(res, e);
+    res.status(400).json(playgroundError(e));
+  }
+});
+
+// Next page for an open cursor
+app.get('/api/query/stream/:cursor', async (req, res) => {
+  try {
+    const pageSize = validate.int(req.query.page_size, { name: 'page_size', min: 1, max: 5000, fallback: 500 });
+    const cursor = getCursor(req.params.cursor);
+    if (!cursor) return res.status(404).json({ error: 'Cursor expired or already exhausted — run the query again.', code: 'CURSOR_NOT_FOUND' });
+    if (cursor.busy) return res.status(409).json({ error: 'A page for this cursor is already being read.', code: 'CURSOR_BUSY' });
+    await writePage(cursor, res, pageSize, { describeError: playgroundError });
+  } catch (e) { sendError(res, e); }
+});
+
+// Close a cursor early (aborts the underlying ClickHouse stream)
+app.delete('/api/query/stream/:cursor', (req, res) => {
+  closeCursor(req.params.cursor);
+  res.json({ ok: true });
+});
+
+// ─── Result Export (ClickHouse output formats streamed as a file download) ───
+const EXPORT_FORMATS = {
+  CSVWithNames: { ext: 'csv', type: 'text/csv' },
+  TSV: { ext: 'tsv', type: 'text/tab-separated-values' },
+  Parquet: { ext: 'parquet', type: 'application/vnd.apache.parquet' },
+  JSONEachRow: { ext: 'ndjson', type: 'application/x-ndjson' },
+  Arrow: { ext: 'arrow', type: 'application/vnd.apache.arrow.file' },
+};
+
+/**
+ * Body is either `{ sql }` (runs in the sandbox, like the playground) or
+ * `{ rows }` — rows a page already has, e.g. a Shoppers Paradise card. Rows are
+ * re-read through the `format()` table function so ClickHouse still writes the
+ * Parquet / Arrow file; that query text is fixed, so it runs as admin.
+ */
+app.post('/api/query/export', async (req, res) => {
+  try {
+    const format = validate.oneOf(req.query.format, { name: 'format', allowed: Object.keys(EXPORT_FORMATS), fallback: 'CSVWithNames' });
+    const base = validate.string(req.body.filename, { name: 'filename', maxLength: 100, fallback: 'query' })
+      .replace(/[^\w.-]+/g, '-').replace(/^[-.]+|[-.]+$/g, '') || 'query';
+    const stamp = new Date().toISOString().slice(0, 19).replace(/[-:]/g, '').replace('T', '-');
+
+    let client = ch_sandbox;
+    let query;
+    let query_params;
+    const clickhouse_settings = { default_format: format };
+    if (Array.isArray(req.body.rows)) {
+      client = ch;
+      query = 'SELECT * FROM format(JSONEachRow, {data:String})';
+      query_params = { data: req.body.rows.map(r => JSON.stringify(r)).join('\n') };
+      clickhouse_settings.input_format_json_try_infer_numbers_from_strings = 1;
+    } else {
+      query = validate.string(req.body.sql, { name: 'sql', maxLength: 100_000 });
+      // Buffer the whole result in ClickHouse: a sandbox limit hit while streaming would
+      // otherwise arrive after the headers, leaving a cut-off file that looks complete
+      clickhouse_settings.wait_end_of_query = 1;
+      try {
+        await ensureSandbox();
+      } catch (e) {
+        return res.status(503).json({ error: `Query sandbox unavailable: ${e.message}`, code: 'SANDBOX_UNAVAILABLE' });
+      }
+    }
+
+    const result = await client.exec({ query, query_params, clickhouse_settings });
+    const { ext, type } = EXPORT_FORMATS[format];
+    res.setHeader('Content-Type', type);
+    res.setHeader('Content-Disposition', `attachment; filename="${base}-${stamp}.${ext}"`);
+    // Destroying the ClickHouse stream when the browser goes away cancels the query
+    pipeline(result.stream, res, err => { if (err) result.stream.destroy(); });
+  } catch (e) {
+    if (e instanceof ValidationError) return sendError(res, e);
+    res.status(400).json(playgroundError(e));
+  }
+});
+
+// Sandbox limits, so the UI can show learners what they are running under
+app.get('/api/query/sandbox', (req, res) => {
+  res.json({
+    enabled: SANDBOX_ENABLED,
+    user: SANDBOX_ENABLED ? SANDBOX_USER : null,
+    readonly: SANDBOX_ENABLED ? 2 : 0,
+    limits: SANDBOX_ENABLED
+      ? Object.fromEntries(Object.entries(SANDBOX_LIMITS).map(([k, l]) => [k, { value: l.value, unit: l.unit }]))
+      : {},
+  });
+});
+
+// ─── Query Explainer (EXPLAIN PLAN / PIPELINE / ESTIMATE, see explain.js) ────
+app.post('/api/explain', async (req, res) => {
+  const { sql } = req.body;
+  if (!sql) return res.status(400).json({ error: 'sql is required' });
+  try {
+    await ensureSandbox();
+  } catch (e) {
+    return res.status(503).json({ error: `Query sandbox unavailable: ${e.message}`, code: 'SANDBOX_UNAVAILABLE' });
+  }
+  try {
+    res.json(await explainQuery(ch_sandbox, sql));
+  } catch (e) {
+    res.status(400).json(playgroundError(e));
+  }
+});
+
+// ─── Benchmark Runner (repeated runs, stats from system.query_log) ───────────
+// Body: { queries: [{ label, sql }], runs, warmups, query_cache }
+app.post('/api/benchmark', async (req, res) => {
+  let queries, runs, warmups;
+  try {
+    if (!Array.isArray(req.body.queries) || req.body.queries.length < 1 || req.body.queries.length > 4) {
+      throw new ValidationError('queries', 'queries must be an array of 1 to 4 { label, sql } objects', { min: 1, max: 4 });
+    }
+    queries = req.body.queries.map((q, i) => ({
+      label: validate.string(q?.label, { name: `queries[${i}].label`, maxLength: 100, fallback: String.fromCharCode(65 + i) }),
+      sql: validate.string(q?.sql, { name: `queries[${i}].sql`, maxLength: 20_000 }),
+    }));
+    runs = validate.int(req.body.runs, { name: 'runs', min: 1, max: 50, fallback: 10 });
+    warmups = validate.int(req.body.warmups, { name: 'warmups', min: 0, max: 10, fallback: 2 });
+  } catch (e) { return sendError(res, e); }
+  try {
+    await ensureSandbox();
+  } catch (e) {
+    return res.status(503).json({ error: `Query sandbox unavailable: ${e.message}`, code: 'SANDBOX_UNAVAILABLE' });
+  }
+  const query_cache = req.body.query_cache === true;
+  // Stop issuing runs once the browser has gone away
+  const aborter = new AbortController();
+  res.on('close', () => { if (!res.writableEnded) aborter.abort(); });
+  try {
+    const results = await runBenchmark(ch_sandbox, ch, queries, { runs, warmups, queryCache: query_cache, signal: aborter.signal });
+    res.json({ runs, warmups, query_cache, results });
+  } catch (e) {
+    if (aborter.signal.aborted) return;
+    res.status(400).json({ ...playgroundError(e), label: e.benchmarkLabel });
+  }
+});
+
+// ─── SQL Challenge Packs (backend/challenges/*.json|yaml, see challenge-packs.js) ─
+loadChallengePacks();
+
+app.get('/api/challenge-packs', (req, res) => {
+  res.json(listChallengePacks());
+});
+
+// Grade learner SQL against the challenge's reference solution
+app.post('/api/challenge-packs/:pack/challenges/:id/grade', async (req, res) => {
+  const { sql } = req.body;
+  if (!sql) return res.status(400).json({ error: 'sql is required' });
+  let challenge, query_id;
+  try {
+    const pack = validate.string(req.params.pack, { name: 'pack', maxLength: 64, pattern: PACK_ID });
+    const id = validate.string(req.params.id, { name: 'id', maxLength: 64, pattern: CHALLENGE_ID });
+    challenge = getChallenge(pack, id);
+    query_id = queryIdOf(req.body);
+  } catch (e) { return sendError(res, e); }
+  if (!challenge) return res.status(404).json({ error: 'Challenge not found', code: 'CHALLENGE_NOT_FOUND' });
+  try {
+    await ensureSandbox();
+  } catch (e) {
+    return res.status(503).json({ error: `Query sandbox unavailable: ${e.message}`, code: 'SANDBOX_UNAVAILABLE' });
+  }
+  try {
+    res.json(await gradeChallenge(ch_sandbox, challenge, sql, { query_id }));
+  } catch (e) {
+    res.status(400).json(playgroundError(e));
+  }
+});
+
+// ─── Saved Queries (demo.saved_queries, ReplacingMergeTree) ──────────────────
+// Every create / edit / delete inserts a new version; reads use FINAL and skip tombstones.
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const TAG_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+const SAVED_COLUMNS = 'id, name, sql, tags, starred, created_at, updated_at';
+
+const savedIdOf = v => validate.string(v, { name: 'id', maxLength: 36, pattern: UUID_PATTERN });
+const tagsOf = v => {
+  if (!Array.isArray(v) || v.length > 10) {
+    throw new ValidationError('tags', 'tags must be an array of at most 10 strings', { maxItems: 10 });
+  }
+  return [...new Set(v.map(t => validate.string(t, { name: 'tags', maxLength: 32, pattern: TAG_PATTERN }).toLowerCase()))];
+};
+
+async function getSavedQuery(id) {
+  const r = await ch.query({
+    query: `SELECT ${SAVED_COLUMNS} FROM demo.saved_queries FINAL WHERE id = {id:UUID} AND is_deleted = 0`,
+    query_params: { id },
+    format: 'JSONEachRow',
+  });
+  return (await r.json())[0] || null;
+}
+
+async function writeSavedQuery(row, is_deleted = 0) {
+  await ch.insert({
+    table: 'saved_queries',
+    values: [{ id: row.id, name: row.name, sql: row.sql, tags: row.tags, starred: row.starred ? 1 : 0, created_at: row.created_at, is_deleted }],
+    format: 'JSONEachRow',
+  });
+}
+
+app.get('/api/saved-queries', async (req, res) => {
+  try {
+    const search = validate.string(req.query.search, { name: 'search', fallback: '' });
+    const tag = validate.string(req.query.tag, { name: 'tag', maxLength: 32, pattern: TAG_PATTERN, fallback: '' });
+    const starred = validate.oneOf(req.query.starred, { name: 'starred', allowed: ['0', '1'], fallback: '' });
+    const w = where().add('is_deleted = 0');
+    if (search) {
+      const like = w.bind('String', `%${escapeLike(search)}%`);
+      w.add(`(name ILIKE ${like} OR sql ILIKE ${like})`);
+    }
+    if (tag) w.add(`has(tags, ${w.bind('String', tag.toLowerCase())})`);
+    if (starred) w.eq('starred', 'UInt8', Number(starred));
+    const r = await ch.query({
+      query: `
+        SELECT ${SAVED_COLUMNS} FROM demo.saved_queries FINAL
+        WHERE ${w}
+        ORDER BY starred DESC, updated_at DESC
+        LIMIT 200
+      `,
+      query_params: w.params,
+      format: 'JSONEachRow',
+    });
+    res.json(await r.json());
+  } catch (e) { sendError(res, e); }
+});
+
+// Tag cloud for the sidebar filter
+app.get('/api/saved-queries/tags', async (req, res) => {
+  try {
+    const r = await ch.query({
+      query: `
+        SELECT arrayJoin(tags) AS tag, count() AS count
+        FROM demo.saved_queries FINAL
+        WHERE is_deleted = 0
+        GROUP BY tag
+        ORDER BY count DESC, tag
+      `,
+      format: 'JSONEachRow',
+    });
+    res.json(await r.json());
+  } catch (e) { sendError(res, e); }
+});
+
+app.get('/api/saved-queries/:id', async (req, res) => {
+  try {
+    const row = await getSavedQuery(savedIdOf(req.params.id));
+    if (!row) return res.status(404).json({ error: 'Saved query not found', code: 'SAVED_QUERY_NOT_FOUND' });
+    res.json(row);
+  } catch (e) { sendError(res, e); }
+});
+
+app.post('/api/saved-queries', async (req, res) => {
+  try {
+    const row = {
+      id: crypto.randomUUID(),
+      name: validate.string(req.body.name, { name: 'name' }),
+      sql: validate.string(req.body.sql, { name: 'sql', maxLength: 100_000 }),
+      tags: req.body.tags === undefined ? [] : tagsOf(req.body.tags),
+      starred: Boolean(req.body.starred),
+    };
+    await writeSavedQuery(row);
+    res.status(201).json(await getSavedQuery(row.id));
+  } catch (e) { sendError(res, e); }
+});
+
+// Rename, re-tag, star/unstar or edit the SQL — only the fields sent are changed
+app.patch('/api/saved-queries/:id', async (req, res) => {
+  try {
+    const current = await getSavedQuery(savedIdOf(req.params.id));
+    if (!current) return res.status(404).json({ error: 'Saved query not found', code: 'SAVED_QUERY_NOT_FOUND' });
+    const b = req.body;
+    const row = {
+      ...current,
+      name: b.name === undefined ? current.name : validate.string(b.name, { name: 'name' }),
+      sql: b.sql === undefined ? current.sql : validate.string(b.sql, { name: 'sql', maxLength: 100_000 }),
+      tags: b.tags === undefined ? current.tags : tagsOf(b.tags),
+      starred: b.starred === undefined ? current.starred : Boolean(b.starred),
+    };
+    await writeSavedQuery(row);
+    res.json(await getSavedQuery(row.id));
+  } catch (e) { sendError(res, e); }
+});
+
+app.delete('/api/saved-queries/:id', async (req, res) => {
+  try {
+    const current = await getSavedQuery(savedIdOf(req.params.id));
+    if (!current) return res.status(404).json({ error: 'Saved query not found', code: 'SAVED_QUERY_NOT_FOUND' });
+    await writeSavedQuery(current, 1);
+    res.json({ ok: true, id: current.id });
+  } catch (e) { sendError(res, e); }
+});
+
+// ─── Query History (demo.query_history ⋈ system.query_log) ───────────────────
+// Playground runs are recorded by query_id; duration, rows read and errors are
+// looked up in system.query_log at read time, so nothing is duplicated.
+function recordHistory(query_id, sql) {
+  ch.insert({ table: 'query_history', values: [{ query_id, sql }], format: 'JSONEachRow' })
+    .catch(e => console.warn(`⚠️  query history not recorded: ${e.message}`));
+}
+
+app.get('/api/query-history', async (req, res) => {
+  try {
+    const limit = validate.int(req.query.limit, { name: 'limit', min: 1, max: 500, fallback: 100 });
+    const search = validate.string(req.query.search, { name: 'search', fallback: '' });
+    const status = validate.oneOf(req.query.status, { name: 'status', allowed: ['ok', 'error', 'pending'], fallback: '' });
+    const w = where({ limit });
+    if (search) w.ilike('sql', search);
+    if (status) w.params.status = status;
+    const r = await ch.query({
+      query: `
+        SELECT
+          h.query_id AS query_id, h.sql AS sql, h.started_at AS started_at,
+          multiIf(l.query_id = '', 'pending', l.exception != '', 'error', 'ok') AS status,
+          l.query_duration_ms AS duration_ms,
+          l.read_rows         AS read_rows,
+          l.read_bytes        AS read_bytes,
+          l.result_rows       AS result_rows,
+          substr(l.exception, 1, 500) AS error
+        FROM (SELECT query_id, sql, started_at FROM demo.query_history WHERE ${w}) AS h
+        LEFT JOIN (
+          SELECT query_id, query_duration_ms, read_rows, read_bytes, result_rows, exception
+          FROM system.query_log
+          WHERE type != 'QueryStart'
+            AND event_date >= today() - 30
+            AND query_id IN (SELECT query_id FROM demo.query_history)
+        ) AS l ON h.query_id = l.query_id
+        WHERE ${status ? 'status = {status:String}' : '1=1'}
+        ORDER BY h.started_at DESC
+        LIMIT {limit:UInt32}
+      `,
+      query_params: w.params,
+      format: 'JSONEachRow',
+    });
+    res.json(await r.json());
+  } catch (e) { sendError(res, e); }
+});
+
+app.delete('/api/query-history/:query_id', async (req, res) => {
+  try {
+    const query_id = validate.string(req.params.query_id, { name: 'query_id', maxLength: 64, pattern: QUERY_ID_PATTERN });
+    await ch.command({ query: 'DELETE FROM demo.query_history WHERE query_id = {query_id:String}', query_params: { query_id } });
+    res.json({ ok: true, query_id });
+  } catch (e) { sendError(res, e); }
+});
+
+app.delete('/api/query-history', async (req, res) => {
+  try {
+    await ch.command({ query: 'TRUNCATE TABLE demo.query_history' });
+    res.json({ ok: true });
+  } catch (e) { sendError(res, e); }
+});
+
+// ─── Dashboards (demo.dashboards, ReplacingMergeTree like saved queries) ──────
+// layout = { variables: [{ name, type, default, options? }], panels: [{ id, title, sql, chart, w, h }] }.
+// Panel SQL refers to variables as {name}; {hours} is the dashboard's global time range.
+const DASHBOARD_COLUMNS = 'id, name, description, layout, created_at, updated_at';
+const VARIABLE_TYPES = ['String', 'UInt32', 'Int64', 'Float64', 'Date', 'DateTime'];
+const VARIABLE_NAME = /^[a-z_][a-z0-9_]{0,31}$/;
+const PANEL_ID = /^[A-Za-z0-9_-]{1,32}$/;
+const CHART_TYPES = ['line', 'bar', 'stacked', 'pie'];
+
+function validateLayout(layout) {
+  if (!layout || typeof layout !== 'object') throw new ValidationError('layout', 'layout must be an object');
+  const { variables = [], panels = [] } = layout;
+  if (!Array.isArray(variables) || variables.length > 10) {
+    throw new ValidationError('layout.variables', 'layout.variables must be an array of at most 10 variables', { maxItems: 10 });
+  }
+  if (!Array.isArray(panels) || panels.length > 24) {
+    throw new ValidationError('layout.panels', 'layout.panels must be an array of at most 24 panels', { maxItems: 24 });
+  }
+  return {
+    variables: variables.map(v => {
+      const name = validate.string(v.name, { name: 'variables.name', maxLength: 32, pattern: VARIABLE_NAME });
+      if (name === 'hours') throw new ValidationError('variables.name', '{hours} is the built-in time range and cannot be redefined');
+      const out = {
+        name,
+        type: validate.oneOf(v.type, { name: 'variables.type', allowed: VARIABLE_TYPES, fallback: 'String' }),
+        default: validate.string(v.default == null ? '' : String(v.default), { name: 'variables.default', fallback: '' }),
+      };
+      if (Array.isArray(v.options)) out.options = v.options.slice(0, 50).map(o => validate.string(String(o), { name: 'variables.options' }));
+      return out;
+    }),
+    panels: panels.map(p => ({
+      id: validate.string(p.id, { name: 'panels.id', maxLength: 32, pattern: PANEL_ID }),
+      title: validate.string(p.title, { name: 'panels.title', maxLength: 120, fallback: 'Untitled panel' }),
+      sql: validate.string(p.sql, { name: 'panels.sql', maxLength: 20_000 }),
+      chart: p.chart && typeof p.chart === 'object' ? {
+        type: validate.oneOf(p.chart.type, { name: 'panels.chart.type', allowed: CHART_TYPES, fallback: 'line' }),
+        x: validate.string(p.chart.x, { name: 'panels.chart.x', maxLength: 128, fallback: '' }),
+        y: Array.isArray(p.chart.y) ? p.chart.y.slice(0, 12).map(y => validate.string(y, { name: 'panels.chart.y', maxLength: 128 })) : [],
+        ...(p.chart.group ? { group: validate.string(p.chart.group, { name: 'panels.chart.group', maxLength: 128 }) } : {}),
+      } : null,
+      w: validate.int(p.w, { name: 'panels.w', min: 2, max: 12, fallback: 6 }),
+      h: validate.int(p.h, { name: 'panels.h', min: 1, max: 4, fallback: 1 }),
+    })),
+  };
+}
+
+/**
+ * Replace `{name}` in panel SQL with typed query_params placeholders. Values are
+ * bound, never spliced; an unknown name is a validation error.
+ */
+function bindVariables(sql, vars) {
+  const query_params = {};
+  const query = sql.replace(/\{([A-Za-z_]\w*)\}/g, (_, name) => {
+    const v = vars[name];
+    if (!v) throw new ValidationError('variables', `Unknown variable {${name}}`, { variable: name });
+    query_params[`v_${name}`] = v.value;
+    return `{v_${name}:${v.type}}`;
+  });
+  return { query, query_params };
+}
+
+function variableValue(name, type, value) {
+  if (type === 'UInt32') return validate.int(value, { name, min: 0, max: 4_294_967_295 });
+  if (type === 'Int64') return validate.int(value, { name, min: Number.MIN_SAFE_INTEGER, max: Number.MAX_SAFE_INTEGER });
+  if (type === 'Float64') return validate.number(value, { name, min: -Number.MAX_VALUE, max: Number.MAX_VALUE });
+  if (type === 'Date') return validate.string(value, { name, pattern: /^\d{4}-\d{2}-\d{2}$/ });
+  if (type === 'DateTime') return validate.string(value, { name, pattern: /^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}(:\d{2})?$/ });
+  return validate.string(String(value ?? ''), { name, fallback: '' });
+}
+
+const parseDashboard = row => row && { ...row, layout: JSON.parse(row.layout) };
+
+async function getDashboard(id) {
+  const r = await ch.query({
+    query: `SELECT ${DASHBOARD_COLUMNS} FROM demo.dashboards FINAL WHERE id = {id:UUID} AND is_deleted = 0`,
+    query_params: { id },
+    format: 'JSONEachRow',
+  });
+  return parseDashboard((await r.json())[0]);
+}
+
+async function writeDashboard(d, is_deleted = 0) {
+  await ch.insert({
+    table: 'dashboards',
+    values: [{ id: d.id, name: d.name, description: d.description, layout: JSON.stringify(d.layout), created_at: d.created_at, is_deleted }],
+    format: 'JSONEachRow',
+  });
+}
+
+app.get('/api/dashboards', async (req, res) => {
+  try {
+    const r = await ch.query({
+      query: `
+        SELECT id, name, description, JSONLength(layout, 'panels') AS panel_count, updated_at
+        FROM demo.dashboards FINAL
+        WHERE is_deleted = 0
+        ORDER BY name
+      `,
+      format: 'JSONEachRow',
+    });
+    res.json(await r.json());
+  } catch (e) { sendError(res, e); }
+});
+
+app.get('/api/dashboards/:id', async (req, res) => {
+  try {
+    const d = await getDashboard(savedIdOf(req.params.id));
+    if (!d) return res.status(404).json({ error: 'Dashboard not found', code: 'DASHBOARD_NOT_FOUND' });
+    res.json(d);
+  } catch (e) { sendError(res, e); }
+});
+
+app.post('/api/dashboards', async (req, res) => {
+  try {
+    const d = {
+      id: crypto.randomUUID(),
+      name: validate.string(req.body.name, { name: 'name' }),
+      description: validate.string(req.body.description, { name: 'description', maxLength: 500, fallback: '' }),
+      layout: validateLayout(req.body.layout || {}),
+    };
+    await writeDashboard(d);
+    res.status(201).json(await getDashboard(d.id));
+  } catch (e) { sendError(res, e); }
+});
+
+app.patch('/api/dashboards/:id', async (req, res) => {
+  try {
+    const current = await getDashboard(savedIdOf(req.params.id));
+    if (!current) return res.status(404).json({ error: 'Dashboard not found', code: 'DASHBOARD_NOT_FOUND' });
+    const b = req.body;
+    const d = {
+      ...current,
+      name: b.name === undefined ? current.name : validate.string(b.name, { name: 'name' }),
+      description: b.description === undefined ? current.description : validate.string(b.description, { name: 'description', maxLength: 500, fallback: '' }),
+      layout: b.layout === undefined ? current.layout : validateLayout(b.layout),
+    };
+    await writeDashboard(d);
+    res.json(await getDashboard(d.id));
+  } catch (e) { sendError(res, e); }
+});
+
+app.delete('/api/dashboards/:id', async (req, res) => {
+  try {
+    const current = await getDashboard(savedIdOf(req.params.id));
+    if (!current) return res.status(404).json({ error: 'Dashboard not found', code: 'DASHBOARD_NOT_FOUND' });
+    await writeDashboard(current, 1);
+    res.json({ ok: true, id: current.id });
+  } catch (e) { sendError(res, e); }
+});
+
+// Run one panel's SQL with the dashboard's variables bound. Runs in the sandbox,
+// so the editor can preview unsaved panels with the same guarantees as the playground.
+app.post('/api/dashboards/query', async (req, res) => {
+  try {
+    const sql = validate.string(req.body.sql, { name: 'sql', maxLength: 20_000 });
+    const vars = {
+      hours: { type: 'UInt32', value: validate.int(req.body.hours, { name: 'hours', min: 1, max: 8760, fallback: 24 }) },
+    };
+    for (const [name, v] of Object.entries(req.body.variables || {})) {
+      if (!VARIABLE_NAME.test(name) || name === 'hours') continue;
+      const type = validate.oneOf(v?.type, { name: `${name}.type`, allowed: VARIABLE_TYPES, fallback: 'String' });
+      vars[name] = { type, value: variableValue(name, type, v?.value) };
+    }
+    const { query, query_params } = bindVariables(sql, vars);
+    try {
+      await ensureSandbox();
+    } catch (e) {
+      return res.status(503).json({ error: `Query sandbox unavailable: ${e.message}`, code: 'SANDBOX_UNAVAILABLE' });
+    }
+    const result = await ch_sandbox.query({ query, query_params, format: 'JSONCompactEachRowWithNamesAndTypes' });
+    const [names = [], types = [], ...data] = await result.json();
+    res.json({
+      columns: names.map((name, i) => ({ name, type: types[i] })),
+      rows: data.map(values => Object.fromEntries(names.map((n, i) => [n, values[i]]))),
+    });
+  } catch (e) {
+    if (e instanceof ValidationError) return sendError(res, e);
+    res.status(400).json(playgroundError(e));
   }
 });
 
@@ -88,8 +703,8 @@ app.post('/api/telemetry/event', async (req, res) => {
 
 // ─── TELEMETRY: Dashboard stats ───────────────────────────────────────────────
 app.get('/api/telemetry/stats', async (req, res) => {
-  const { hours = 24 } = req.query;
   try {
+    const hours = validate.int(req.query.hours, { name: 'hours', min: 1, max: 720, fallback: 24 });
     const [events, funnel, topServices] = await Promise.all([
       ch.query({
         query: `
@@ -97,21 +712,23 @@ app.get('/api/telemetry/stats', async (req, res) => {
                  event_type,
                  count() AS cnt
           FROM telemetry_events
-          WHERE timestamp >= now() - INTERVAL ${hours} HOUR
+          WHERE timestamp >= now() - INTERVAL {hours:UInt32} HOUR
           GROUP BY hour, event_type
           ORDER BY hour
         `,
+        query_params: { hours },
         format: 'JSONEachRow',
       }),
       ch.query({
         query: `
           SELECT event_type, count() AS cnt, uniq(user_id) AS unique_users
           FROM telemetry_events
-          WHERE timestamp >= now() - INTERVAL ${hours} HOUR
+          WHERE timestamp >= now() - INTERVAL {hours:UInt32} HOUR
           GROUP BY event_type
           ORDER BY cnt DESC
           LIMIT 10
         `,
+        query_params: { hours },
         format: 'JSONEachRow',
       }),
       ch.query({
@@ -132,35 +749,202 @@ app.get('/api/telemetry/stats', async (req, res) => {
       topServices: await topServices.json(),
     });
   } catch (e) {
-    res.status(400).json({ error: e.message });
+    sendError(res, e);
   }
 });
 
 // ─── LOGGING: Query logs ──────────────────────────────────────────────────────
+/** app_logs level / service / search filters shared by the table, live tail and patterns. */
+function logFilter({ level, service, search }, params) {
+  const w = where(params);
+  if (level && level !== 'all') w.eq('level', 'String', validate.string(level, { name: 'level', maxLength: 16 }));
+  if (service && service !== 'all') w.eq('service', 'String', validate.string(service, { name: 'service', maxLength: 64 }));
+  search = validate.string(search, { name: 'search', maxLength: 500, fallback: '' });
+  if (search) applyLogSearch(w, search);  // structured syntax, see log-search.js
+  return w;
+}
+
 app.get('/api/logs', async (req, res) => {
-  const { level, service, limit = 100, search = '' } = req.query;
   try {
-    const conditions = ['1=1'];
-    if (level && level !== 'all') conditions.push(`level = '${level}'`);
-    if (service && service !== 'all') conditions.push(`service = '${service}'`);
-    if (search) conditions.push(`message ILIKE '%${search}%'`);
+    const limit = validate.int(req.query.limit, { name: 'limit', min: 1, max: 1000, fallback: 100 });
+    const w = logFilter(req.query, { limit });
 
     const result = await ch.query({
       query: `
         SELECT timestamp, level, service, host, message, trace_id, duration_ms
         FROM app_logs
-        WHERE ${conditions.join(' AND ')}
+        WHERE ${w}
         ORDER BY timestamp DESC
-        LIMIT ${Math.min(Number(limit), 1000)}
+        LIMIT {limit:UInt32}
       `,
+      query_params: w.params,
       format: 'JSONEachRow',
     });
     res.json(await result.json());
   } catch (e) {
-    res.status(400).json({ error: e.message });
+    sendError(res, e);
   }
 });
 
+// ─── LOGGING: Context around one line (same host and/or service) ─────────────
+// app_logs is ORDER BY (level, service, timestamp). Listing every level turns
+// `service = X AND timestamp BETWEEN …` into one primary-key range per level
+// instead of a full scan; the ±window keeps host-only lookups to few granules.
+const LOG_LEVELS = ['DEBUG', 'INFO', 'WARN', 'ERROR'];
+const CONTEXT_WINDOW_HOURS = 6;
+const DATETIME = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/;
+
+app.get('/api/logs/context', async (req, res) => {
+  try {
+    const timestamp = validate.string(req.query.timestamp, { name: 'timestamp', maxLength: 19, pattern: DATETIME });
+    const host = validate.string(req.query.host, { name: 'host', maxLength: 64, fallback: '' });
+    const service = validate.string(req.query.service, { name: 'service', maxLength: 64, fallback: '' });
+    const before = validate.int(req.query.before, { name: 'before', min: 0, max: 500, fallback: 50 });
+    const after = validate.int(req.query.after, { name: 'after', min: 0, max: 500, fallback: 50 });
+    if (!host && !service) throw new ValidationError('host', 'Pass host, service or both');
+
+    const w = where({ timestamp, before, after, levels: LOG_LEVELS, window: CONTEXT_WINDOW_HOURS });
+    w.add('level IN {levels:Array(String)}');
+    if (service) w.eq('service', 'String', service);
+    if (host) w.eq('host', 'String', host);
+    w.add('timestamp BETWEEN {timestamp:DateTime} - INTERVAL {window:UInt32} HOUR AND {timestamp:DateTime} + INTERVAL {window:UInt32} HOUR');
+    const lines = async (cmp, order, limit) => (await (await ch.query({
+      query: `
+        SELECT timestamp, level, service, host, message, trace_id, duration_ms
+        FROM app_logs
+        WHERE ${w} AND timestamp ${cmp} {timestamp:DateTime}
+        ORDER BY timestamp ${order}
+        LIMIT ${limit}
+      `,
+      query_params: w.params,
+      format: 'JSONEachRow',
+    })).json());
+
+    const [earlier, at, later] = await Promise.all([
+      lines('<', 'DESC', '{before:UInt32}'),
+      lines('=', 'ASC', 100),
+      lines('>', 'ASC', '{after:UInt32}'),
+    ]);
+    res.json({
+      timestamp, host: host || null, service: service || null,
+      before: earlier.length, after: later.length,
+      lines: [
+        ...earlier.reverse().map(l => ({ ...l, position: 'before' })),
+        ...at.map(l => ({ ...l, position: 'at' })),
+        ...later.map(l => ({ ...l, position: 'after' })),
+      ],
+    });
+  } catch (e) { sendError(res, e); }
+});
+
+// How well the skip indices prune for the current filters (EXPLAIN indexes = 1)
+app.get('/api/logs/search/explain', async (req, res) => {
+  try {
+    const w = logFilter(req.query, {});
+    const steps = await explainIndexes(ch, `SELECT count() FROM app_logs WHERE ${w}`, w.params);
+    const total = steps[0]?.granules.initial ?? null;
+    const read = steps.length ? steps[steps.length - 1].granules.selected : null;
+    res.json({
+      terms: parseLogSearch(req.query.search || ''),
+      where: String(w),
+      params: w.params,
+      granules: { total, read },
+      skippedPct: total ? Math.round(100 * (1 - read / total)) : 0,
+      indexes: steps.map(s => ({ type: s.type, name: s.name, condition: s.condition, granules: s.granules })),
+    });
+  } catch (e) { sendError(res, e); }
+});
+
+// ─── LOGGING: Live tail (Server-Sent Events) ──────────────────────────────────
+// Polls app_logs past a high-water mark on `timestamp` and pushes new rows as
+// `logs` events. timestamp has second precision, so rows already sent for the
+// high-water second are excluded by row hash rather than with a strict `>`.
+// Each event's SSE id is the high-water mark, so a reconnecting EventSource
+// resumes from Last-Event-ID instead of from max(timestamp). The server does not
+// know which rows of that second were sent, so it resends them and the client
+// drops the ids it already has.
+const LOG_STREAM = { pollMs: 1_000, retryMs: 5_000, heartbeatMs: 15_000, batch: 500, max: 30, maxPerClient: 3 };
+// Every open stream polls ClickHouse each second: open streams per client IP
+const liveStreams = new Map();
+const LOG_ROW_ID = 'toString(cityHash64(timestamp, level, service, host, message, trace_id, duration_ms))';
+
+app.get('/api/logs/stream', async (req, res) => {
+  let w;
+  try { w = logFilter(req.query, { batch: LOG_STREAM.batch }); } catch (e) { return sendError(res, e); }
+  // An unusable id just means a fresh start, not an error the EventSource would give up on
+  const lastEventId = DATETIME.test(req.get('Last-Event-ID') || '') ? req.get('Last-Event-ID') : null;
+  const open = [...liveStreams.values()].reduce((s, n) => s + n, 0);
+  if (open >= LOG_STREAM.max || (liveStreams.get(req.ip) || 0) >= LOG_STREAM.maxPerClient) {
+    return res.status(429).json({
+      error: open >= LOG_STREAM.max
+        ? `The server already has ${LOG_STREAM.max} live tails open — try again in a moment.`
+        : `You already have ${LOG_STREAM.maxPerClient} live tails open — stop one in another tab first.`,
+      code: 'TOO_MANY_STREAMS',
+    });
+  }
+  liveStreams.set(req.ip, (liveStreams.get(req.ip) || 0) + 1);
+
+  res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive', 'X-Accel-Buffering': 'no' });
+  res.flushHeaders();
+  let closed = false;
+  let timer;
+  const send = (event, data, id) => {
+    if (!closed) res.write(`${id ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), LOG_STREAM.heartbeatMs);
+  req.on('close', () => {
+    closed = true;
+    clearTimeout(timer);
+    clearInterval(heartbeat);
+    const n = liveStreams.get(req.ip) - 1;
+    if (n) liveStreams.set(req.ip, n);
+    else liveStreams.delete(req.ip);
+  });
+
+  const rowsOf = async query => (await ch.query({ query, query_params: w.params, format: 'JSONEachRow' })).json();
+  let hwm;   // newest timestamp sent so far
+  let seen;  // ids of rows already sent with timestamp = hwm
+
+  const poll = async () => {
+    let delay = LOG_STREAM.pollMs;
+    try {
+      if (hwm === undefined && lastEventId) {
+        // Reconnect: pick up where the previous connection stopped
+        hwm = lastEventId;
+        seen = [];
+        send('ready', { hwm, resumed: true }, hwm);
+      } else if (hwm === undefined) {
+        // Start after the newest matching row, which the table already shows
+        [{ hwm }] = await rowsOf(`SELECT toString(max(timestamp)) AS hwm FROM app_logs WHERE ${w}`);
+        w.params.hwm = hwm;
+        seen = (await rowsOf(`SELECT ${LOG_ROW_ID} AS id FROM app_logs WHERE ${w} AND timestamp = {hwm:DateTime}`)).map(r => r.id);
+        send('ready', { hwm }, hwm);
+      } else {
+        Object.assign(w.params, { hwm, seen });
+        const rows = await rowsOf(`
+          SELECT timestamp, level, service, host, message, trace_id, duration_ms, ${LOG_ROW_ID} AS id
+          FROM app_logs
+          WHERE ${w} AND (timestamp > {hwm:DateTime} OR (timestamp = {hwm:DateTime} AND NOT has({seen:Array(String)}, id)))
+          ORDER BY timestamp, id
+          LIMIT {batch:UInt32}`);
+        if (rows.length) {
+          const last = rows[rows.length - 1].timestamp;
+          const atLast = rows.filter(r => r.timestamp === last).map(r => r.id);
+          seen = last === hwm ? [...seen, ...atLast] : atLast;
+          hwm = last;
+          send('logs', { rows, hwm }, hwm);
+          if (rows.length === LOG_STREAM.batch) delay = 0;  // more waiting, catch up
+        }
+      }
+    } catch (e) {
+      send('stream-error', { error: e.message.split('\n')[0] });
+      delay = LOG_STREAM.retryMs;
+    }
+    if (!closed) timer = setTimeout(poll, delay);
+  };
+  poll();
+});
+
 // ─── LOGGING: Summary stats ───────────────────────────────────────────────────
 app.get('/api/logs/summary', async (req, res) => {
   try {
@@ -210,10 +994,158 @@ app.get('/api/logs/summary', async (req, res) => {
   }
 });
 
+// ─── LOGGING: Pattern clustering (messages normalized to templates) ───────────
+// Variable parts are replaced server-side, most specific first, so
+// 'User user-42 logged in' and 'User user-7 logged in' share one template.
+const LOG_TEMPLATE = [
+  ['[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}', '<uuid>'],
+  ['[0-9]{1,3}[.][0-9]{1,3}[.][0-9]{1,3}[.][0-9]{1,3}', '<ip>'],
+  ['0x[0-9a-fA-F]+|[0-9a-fA-F]{16,}', '<hex>'],
+  ['[0-9]+([.][0-9]+)?', '<num>'],
+].reduce((expr, [pattern, placeholder]) => `replaceRegexpAll(${expr}, '${pattern}', '${placeholder}')`, 'message');
+
+app.get('/api/logs/patterns', async (req, res) => {
+  try {
+    const hours = validate.int(req.query.hours, { name: 'hours', min: 1, max: 168, fallback: 24 });
+    const limit = validate.int(req.query.limit, { name: 'limit', min: 1, max: 200, fallback: 50 });
+    // Scan at least 25h so "new in the last hour" can be checked against the day before
+    const w = logFilter(req.query, { hours, limit, scan: Math.max(hours, 25) });
+    const result = await ch.query({
+      query: `
+        SELECT template,
+          sumIf(n, slot >= 0) AS total,
+          toString(minIf(slot_first, slot >= 0)) AS first_seen,
+          toString(maxIf(slot_last, slot >= 0)) AS last_seen,
+          groupArrayIf((slot, n), slot >= 0) AS buckets,
+          groupUniqArrayArray(slot_levels) AS levels,
+          groupUniqArrayArray(slot_services) AS services,
+          any(slot_example) AS example,
+          sum(slot_last_hour) AS last_hour,
+          sum(slot_last_hour) > 0 AND sum(slot_previous_day) = 0 AS is_new
+        FROM (
+          SELECT ${LOG_TEMPLATE} AS template,
+            dateDiff('hour', toStartOfHour(now() - INTERVAL {hours:UInt32} HOUR), toStartOfHour(timestamp)) AS slot,
+            count() AS n,
+            min(timestamp) AS slot_first,
+            max(timestamp) AS slot_last,
+            groupUniqArray(level) AS slot_levels,
+            groupUniqArray(service) AS slot_services,
+            any(message) AS slot_example,
+            countIf(timestamp >= now() - INTERVAL 1 HOUR) AS slot_last_hour,
+            countIf(timestamp < now() - INTERVAL 1 HOUR AND timestamp >= now() - INTERVAL 25 HOUR) AS slot_previous_day
+          FROM app_logs
+          WHERE timestamp >= now() - INTERVAL {scan:UInt32} HOUR AND ${w}
+          GROUP BY template, slot
+        )
+        GROUP BY template
+        HAVING total > 0
+        ORDER BY total DESC
+        LIMIT {limit:UInt32}
+      `,
+      query_params: w.params,
+      format: 'JSONEachRow',
+    });
+    const templates = (await result.json()).map(t => {
+      const sparkline = new Array(hours + 1).fill(0);
+      for (const [slot, n] of t.buckets) sparkline[slot] = Number(n);
+      return {
+        template: t.template, count: Number(t.total), first_seen: t.first_seen, last_seen: t.last_seen,
+        levels: t.levels, services: t.services, example: t.example,
+        last_hour: Number(t.last_hour), is_new: Boolean(t.is_new), sparkline,
+      };
+    });
+    res.json({ hours, templates, newTemplates: templates.filter(t => t.is_new).length });
+  } catch (e) { sendError(res, e); }
+});
+
+// ─── LOGGING: Traces (app_logs lines stitched by trace_id) ────────────────────
+// A line's duration_ms is the work that finished at its timestamp, so it covers
+// [timestamp - duration_ms, timestamp]. A service's span is the union of its
+// lines; timestamps are whole seconds, so offsets are approximate.
+const TRACE_ID = /^[\w.:-]+$/;
+const LINE_START_MS = 'toInt64(toUnixTimestamp(timestamp)) * 1000 - duration_ms';
+
+app.get('/api/traces', async (req, res) => {
+  try {
+    const minDurationMs = validate.int(req.query.minDurationMs, { name: 'minDurationMs', min: 0, max: 3_600_000, fallback: 1000 });
+    const hours = validate.int(req.query.hours, { name: 'hours', min: 1, max: 168, fallback: 24 });
+    const limit = validate.int(req.query.limit, { name: 'limit', min: 1, max: 200, fallback: 50 });
+    const service = validate.string(req.query.service, { name: 'service', maxLength: 64, fallback: 'all' });
+    const result = await ch.query({
+      query: `
+        SELECT trace_id,
+          toString(min(timestamp)) AS started,
+          min(${LINE_START_MS}) AS start_ms,
+          max(toInt64(toUnixTimestamp(timestamp)) * 1000) AS end_ms,
+          end_ms - start_ms AS trace_ms,
+          argMin(service, ${LINE_START_MS}) AS root_service,
+          groupUniqArray(service) AS services,
+          count() AS lines,
+          countIf(level = 'ERROR') AS errors
+        FROM app_logs
+        WHERE timestamp >= now() - INTERVAL {hours:UInt32} HOUR
+        GROUP BY trace_id
+        HAVING trace_ms >= {minDurationMs:UInt32}${service === 'all' ? '' : ' AND has(services, {service:String})'}
+        ORDER BY trace_ms DESC
+        LIMIT {limit:UInt32}
+      `,
+      query_params: { minDurationMs, hours, limit, service },
+      format: 'JSONEachRow',
+    });
+    res.json((await result.json()).map(t => ({
+      trace_id: t.trace_id, started: t.started, duration_ms: Number(t.trace_ms),
+      root_service: t.root_service, services: t.services, lines: Number(t.lines), errors: Number(t.errors),
+    })));
+  } catch (e) { sendError(res, e); }
+});
+
+app.get('/api/traces/:trace_id', async (req, res) => {
+  try {
+    const traceId = validate.string(req.params.trace_id, { name: 'trace_id', maxLength: 128, pattern: TRACE_ID });
+    const result = await ch.query({
+      query: `
+        SELECT timestamp, toUnixTimestamp(timestamp) AS ts, level, service, host, message, duration_ms
+        FROM app_logs
+        WHERE trace_id = {traceId:String}
+        ORDER BY timestamp, duration_ms
+        LIMIT 10000
+      `,
+      query_params: { traceId },
+      format: 'JSONEachRow',
+    });
+    const rows = await result.json();
+    if (!rows.length) return res.status(404).json({ error: 'No log lines for that trace id', code: 'TRACE_NOT_FOUND' });
+
+    const lines = rows.map(r => ({ ...r, end_ms: r.ts * 1000, start_ms: r.ts * 1000 - r.duration_ms }));
+    const startMs = Math.min(...lines.map(l => l.start_ms));
+    const endMs = Math.max(...lines.map(l => l.end_ms));
+    const spans = new Map();
+    for (const l of lines) {
+      const s = spans.get(l.service) || { service: l.service, hosts: [], start_ms: l.start_ms, end_ms: l.end_ms, lines: 0, errors: 0 };
+      s.start_ms = Math.min(s.start_ms, l.start_ms);
+      s.end_ms = Math.max(s.end_ms, l.end_ms);
+      s.lines++;
+      if (l.level === 'ERROR') s.errors++;
+      if (!s.hosts.includes(l.host)) s.hosts.push(l.host);
+      spans.set(l.service, s);
+    }
+    res.json({
+      trace_id: traceId,
+      started: rows[0].timestamp,
+      duration_ms: endMs - startMs,
+      errors: lines.filter(l => l.level === 'ERROR').length,
+      spans: [...spans.values()]
+        .sort((a, b) => a.start_ms - b.start_ms || b.end_ms - a.end_ms)
+        .map(({ start_ms, end_ms, ...s }) => ({ ...s, offset_ms: start_ms - startMs, duration_ms: end_ms - start_ms })),
+      lines: lines.map(({ ts, start_ms, end_ms, ...l }) => ({ ...l, offset_ms: end_ms - startMs })),
+    });
+  } catch (e) { sendError(res, e); }
+});
+
 // ─── COST & USAGE ─────────────────────────────────────────────────────────────
 app.get('/api/costs', async (req, res) => {
-  const { days = 30, group_by = 'service' } = req.query;
   try {
+    const days = validate.int(req.query.days, { name: 'days', min: 1, max: 365, fallback: 30 });
     const [daily, byService, byTeam, alerts] = await Promise.all([
       ch.query({
         query: `
@@ -222,9 +1154,10 @@ app.get('/api/costs', async (req, res) => {
                  sum(tokens_used) AS total_tokens,
                  sum(api_calls) AS total_calls
           FROM cost_usage
-          WHERE timestamp >= now() - INTERVAL ${days} DAY
+          WHERE timestamp >= now() - INTERVAL {days:UInt32} DAY
           GROUP BY day ORDER BY day
         `,
+        query_params: { days },
         format: 'JSONEachRow',
       }),
       ch.query({
@@ -235,9 +1168,10 @@ app.get('/api/costs', async (req, res) => {
                  sum(api_calls) AS total_calls,
                  avg(cost_usd / api_calls) AS avg_cost_per_call
           FROM cost_usage
-          WHERE timestamp >= now() - INTERVAL ${days} DAY
+          WHERE timestamp >= now() - INTERVAL {days:UInt32} DAY
           GROUP BY service ORDER BY total_cost DESC
         `,
+        query_params: { days },
         format: 'JSONEachRow',
       }),
       ch.query({
@@ -246,9 +1180,10 @@ app.get('/api/costs', async (req, res) => {
                  sum(cost_usd) AS total_cost,
                  sum(api_calls) AS total_calls
           FROM cost_usage
-          WHERE timestamp >= now() - INTERVAL ${days} DAY
+          WHERE timestamp >= now() - INTERVAL {days:UInt32} DAY
           GROUP BY team ORDER BY total_cost DESC
         `,
+        query_params: { days },
         format: 'JSONEachRow',
       }),
       ch.query({
@@ -271,7 +1206,7 @@ app.get('/api/costs', async (req, res) => {
       alerts: await alerts.json(),
     });
   } catch (e) {
-    res.status(400).json({ error: e.message });
+    sendError(res, e);
   }
 });
 
@@ -509,14 +1444,15 @@ app.get('/api/cluster/distributed-query', async (req, res) => {
 
 // ─── CLUSTER: Insert a row and check which shard it landed on ─────────────────
 app.post('/api/cluster/insert-and-route', async (req, res) => {
-  const { user_id = 'demo-user', service = 'frontend' } = req.body;
-  const hash = parseInt(
-    BigInt.asUintN(32, BigInt(
-      user_id.split('').reduce((h, c) => Math.imul(31, h) + c.charCodeAt(0) | 0, 0)
-    )).toString()
-  );
-  const expectedShard = (hash % 2 === 0) ? 'node2 (shard 02)' : 'node1 (shard 01)';
   try {
+    const user_id = validate.string(req.body.user_id, { name: 'user_id', maxLength: 64, fallback: 'demo-user' });
+    const service = validate.string(req.body.service, { name: 'service', maxLength: 64, fallback: 'frontend' });
+    const hash = parseInt(
+      BigInt.asUintN(32, BigInt(
+        user_id.split('').reduce((h, c) => Math.imul(31, h) + c.charCodeAt(0) | 0, 0)
+      )).toString()
+    );
+    const expectedShard = (hash % 2 === 0) ? 'node2 (shard 02)' : 'node1 (shard 01)';
     await ch_node1.insert({
       table: 'cluster_demo.events_distributed',
       values: [{
@@ -530,14 +1466,14 @@ app.post('/api/cluster/insert-and-route', async (req, res) => {
     });
     // Check actual distribution
     const [c1, c2] = await Promise.all([
-      ch_node1.query({ query: `SELECT count() AS rows FROM cluster_demo.events_local WHERE user_id='${user_id}'`, format: 'JSONEachRow' }),
-      ch_node2.query({ query: `SELECT count() AS rows FROM cluster_demo.events_local WHERE user_id='${user_id}'`, format: 'JSONEachRow' }),
+      ch_node1.query({ query: `SELECT count() AS rows FROM cluster_demo.events_local WHERE user_id = {user_id:String}`, query_params: { user_id }, format: 'JSONEachRow' }),
+      ch_node2.query({ query: `SELECT count() AS rows FROM cluster_demo.events_local WHERE user_id = {user_id:String}`, query_params: { user_id }, format: 'JSONEachRow' }),
     ]);
     const shard1 = (await c1.json())[0]?.rows || 0;
     const shard2 = (await c2.json())[0]?.rows || 0;
     const actualShard = shard1 > 0 ? 'node1 (shard 01)' : 'node2 (shard 02)';
     res.json({ user_id, service, shardKey: `murmurHash3_32("${user_id}")`, expectedShard, actualShard, node1Rows: Number(shard1), node2Rows: Number(shard2) });
-  } catch (e) { res.status(400).json({ error: e.message }); }
+  } catch (e) { sendError(res, e); }
 });
 
 // ─── CLUSTER: Replication verification ───────────────────────────────────────
@@ -597,6 +1533,101 @@ app.post('/api/cluster/replicate-demo', async (req, res) => {
   } catch (e) { res.status(400).json({ error: e.message }); }
 });
 
+// ─── CLUSTER: Keeper-loss drill (mistake #10, readonly replicas) ─────────────
+// A scratch ReplicatedMergeTree on both nodes. "Break" detaches node1's copy,
+// removes replica-1's metadata from Keeper and re-attaches it, so node1 comes up
+// readonly exactly as after losing Keeper state; an INSERT there is rejected
+// while node2 keeps accepting writes. "Restore" rebuilds the metadata with
+// SYSTEM RESTORE REPLICA. Only the scratch table is touched.
+const DRILL_TABLE = 'cluster_demo.keeper_drill';
+const DRILL_ZK_PATH = '/clickhouse/tables/ha/keeper_drill';
+const DRILL_NODES = [
+  { node: 'node1', replica: 'replica-1', client: ch_node1 },
+  { node: 'node2', replica: 'replica-2', client: ch_node2 },
+];
+const drillInsert = node => `INSERT INTO ${DRILL_TABLE} (message) VALUES ('write on ${node} at ${new Date().toISOString()}')`;
+
+/** Run one drill statement and record it; `expectError` steps succeed by failing. */
+async function drillStep(steps, node, query, { expectError = false } = {}) {
+  const t0 = Date.now();
+  try {
+    await node.client.command({ query });
+    steps.push({ node: node.node, sql: query, ok: !expectError, ms: Date.now() - t0 });
+  } catch (e) {
+    steps.push({ node: node.node, sql: query, ok: expectError, ms: Date.now() - t0, error: e.message.split('\n')[0] });
+    if (!expectError) throw Object.assign(e, { drillSteps: steps });
+  }
+}
+
+async function drillStatus() {
+  return Promise.all(DRILL_NODES.map(async n => {
+    try {
+      const r = await n.client.query({
+        query: `SELECT is_readonly, is_session_expired, zookeeper_exception, active_replicas, total_replicas
+                FROM system.replicas WHERE database = 'cluster_demo' AND table = 'keeper_drill'`,
+        format: 'JSONEachRow',
+      });
+      const row = (await r.json())[0];
+      if (!row) return { node: n.node, replica: n.replica, exists: false };
+      const c = await n.client.query({ query: `SELECT count() AS rows FROM ${DRILL_TABLE}`, format: 'JSONEachRow' });
+      row.rows = (await c.json())[0].rows;
+      return {
+        node: n.node, replica: n.replica, exists: true,
+        is_readonly: Number(row.is_readonly) === 1, is_session_expired: Number(row.is_session_expired) === 1,
+        zookeeper_exception: row.zookeeper_exception, active_replicas: Number(row.active_replicas),
+        total_replicas: Number(row.total_replicas), rows: Number(row.rows),
+      };
+    } catch (e) {
+      return { node: n.node, replica: n.replica, exists: false, error: e.message };
+    }
+  }));
+}
+
+const drillError = (res, e) => res.status(400).json({ error: e.message, steps: e.drillSteps || [] });
+
+app.post('/api/cluster/readonly-drill/break', async (req, res) => {
+  const steps = [];
+  const [node1, node2] = DRILL_NODES;
+  try {
+    // Start from a clean table so the drill can be re-run in any state
+    for (const n of DRILL_NODES) await n.client.command({ query: `DROP TABLE IF EXISTS ${DRILL_TABLE} SYNC` });
+    for (const n of DRILL_NODES) {
+      await drillStep(steps, n, `CREATE TABLE ${DRILL_TABLE} (timestamp DateTime DEFAULT now(), message String, replica String DEFAULT getMacro('replica')) ENGINE = ReplicatedMergeTree('${DRILL_ZK_PATH}', '{replica}') ORDER BY timestamp`);
+    }
+    await drillStep(steps, node1, drillInsert('node1'));
+    await drillStep(steps, node1, `DETACH TABLE ${DRILL_TABLE}`);
+    await drillStep(steps, node1, `SYSTEM DROP REPLICA '${node1.replica}' FROM ZKPATH '${DRILL_ZK_PATH}'`);
+    await drillStep(steps, node1, `ATTACH TABLE ${DRILL_TABLE}`);
+    await drillStep(steps, node1, drillInsert('node1'), { expectError: true });
+    await drillStep(steps, node2, drillInsert('node2'));
+    res.json({ steps, replicas: await drillStatus() });
+  } catch (e) { drillError(res, e); }
+});
+
+app.post('/api/cluster/readonly-drill/restore', async (req, res) => {
+  const steps = [];
+  const [node1, node2] = DRILL_NODES;
+  try {
+    await drillStep(steps, node1, `SYSTEM RESTORE REPLICA ${DRILL_TABLE}`);
+    await drillStep(steps, node1, `SYSTEM SYNC REPLICA ${DRILL_TABLE}`);
+    await drillStep(steps, node1, drillInsert('node1'));
+    await drillStep(steps, node2, `SYSTEM SYNC REPLICA ${DRILL_TABLE}`);
+    res.json({ steps, replicas: await drillStatus() });
+  } catch (e) { drillError(res, e); }
+});
+
+// Polled by the Cluster tab while the drill runs
+app.get('/api/cluster/readonly-drill/status', async (req, res) => {
+  res.json({ replicas: await drillStatus() });
+});
+
+app.post('/api/cluster/readonly-drill/reset', async (req, res) => {
+  try {
+    for (const n of DRILL_NODES) await n.client.command({ query: `DROP TABLE IF EXISTS ${DRILL_TABLE} SYNC` });
+    res.json({ ok: true, message: `Dropped ${DRILL_TABLE} on both nodes and its Keeper metadata.` });
+  } catch (e) { res.status(400).json({ error: e.message }); }
+});
+
 // ─── 13 MISTAKES: Live Demo Endpoints ────────────────────────────────────────
 
 // #01 – Too Many Parts: show live part counts per table
@@ -948,6 +1979,408 @@ app.post('/api/mistakes/parts-reset', async (req, res) => {
   } catch (e) { res.status(400).json({ error: e.message }); }
 });
 
+// ── #02 Going Horizontal Too Early ────────────────────────────────────────────
+// The same generated rows (user_id 'lab-…') go into a single-node scratch
+// table (demo.mistake_horizontal_events, same columns as the shard tables) and,
+// through the Distributed table, into both shards.
+// The same aggregation then runs on each side; latency comes from the
+// initiator's query_log and network bytes are summed over every query the
+// request fanned out to (matched by initial_query_id on each node).
+const HORIZONTAL_RUNS = 5;
+const HORIZONTAL_TABLE = 'demo.mistake_horizontal_events';
+const HORIZONTAL_ROWS_SQL = `
+  SELECT
+    toDateTime({base:UInt32} - number % 172800) AS timestamp,
+    ['frontend', 'api-gateway', 'auth-service', 'payment-service', 'ml-inference'][number % 5 + 1] AS service,
+    ['page_view', 'click', 'search', 'purchase', 'signup'][intHash32(number) % 5 + 1] AS event_type,
+    concat('lab-', toString(intHash64(number) % 5000)) AS user_id,
+    toUInt32(cityHash64(number) % 3000) AS value
+  FROM numbers({rows:UInt32})`;
+const horizontalQuery = (table, value) => `SELECT service, event_type, count() AS events, uniq(user_id) AS users, round(avg(${value}), 2) AS avg_value
+FROM ${table}
+WHERE startsWith(user_id, 'lab-')
+GROUP BY service, event_type
+ORDER BY service, event_type`;
+const HORIZONTAL_SIDES = {
+  single: {
+    client: ch, nodes: [ch], query: horizontalQuery(HORIZONTAL_TABLE, 'value'),
+    overhead: { servers: 1, keeper: false, tables: [HORIZONTAL_TABLE] },
+  },
+  cluster: {
+    client: ch_node1, nodes: [ch_node1, ch_node2], query: horizontalQuery('cluster_demo.events_distributed', 'value'),
+    overhead: { servers: 2, keeper: true, tables: ['cluster_demo.events_local (×2 shards)', 'cluster_demo.events_distributed'] },
+  },
+};
+
+async function horizontalLabRows() {
+  const count = async (client, table) => Number((await (await client.query({
+    query: `SELECT count() AS n FROM ${table} WHERE startsWith(user_id, 'lab-')`, format: 'JSONEachRow',
+  })).json())[0].n);
+  const singleExists = Number((await (await ch.query({ query: `EXISTS TABLE ${HORIZONTAL_TABLE}`, format: 'JSONEachRow' })).json())[0].result);
+  return {
+    single: singleExists ? await count(ch, HORIZONTAL_TABLE) : 0,
+    cluster: await count(ch_node1, 'cluster_demo.events_distributed'),
+  };
+}
+
+// The single-node side is a scratch table (dropped by the reset and the lesson
+// sweeper); the shards keep their lab rows in the shared cluster tables.
+async function deleteHorizontalClusterRows() {
+  for (const node of [ch_node1, ch_node2]) {
+    await node.command({ query: `DELETE FROM cluster_demo.events_local WHERE startsWith(user_id, 'lab-')` });
+  }
+}
+
+/** Run one side's query HORIZONTAL_RUNS times and summarise latency, network bytes and fan-out. */
+async function profileHorizontal(side) {
+  const { client, nodes, query, overhead } = HORIZONTAL_SIDES[side];
+  const prefix = `horizontal-${crypto.randomUUID()}-`;
+  let result = null;
+  for (let i = 0; i < HORIZONTAL_RUNS; i++) {
+    const r = await client.query({ query, query_id: `${prefix}${i}`, format: 'JSONEachRow', clickhouse_settings: { use_query_cache: 0 } });
+    result = await r.json();
+  }
+  const logged = [];
+  for (const node of nodes) {
+    await node.command({ query: 'SYSTEM FLUSH LOGS' });
+    const r = await node.query({
+      query: `SELECT initial_query_id, is_initial_query, query_duration_ms, read_rows,
+                ProfileEvents['NetworkSendBytes'] + ProfileEvents['NetworkReceiveBytes'] AS network_bytes
+              FROM system.query_log
+              WHERE type = 'QueryFinish' AND event_date >= yesterday() AND startsWith(initial_query_id, {prefix:String})`,
+      query_params: { prefix }, format: 'JSONEachRow',
+    });
+    logged.push(...await r.json());
+  }
+  const runs = Array.from({ length: HORIZONTAL_RUNS }, (_, i) => {
+    const rows = logged.filter(l => l.initial_query_id === `${prefix}${i}`);
+    const initial = rows.find(l => Number(l.is_initial_query) === 1);
+    const shardRows = rows.length > 1 ? rows.filter(l => Number(l.is_initial_query) !== 1) : rows;
+    return {
+      latencyMs: initial ? Number(initial.query_duration_ms) : null,
+      networkBytes: rows.reduce((s, l) => s + Number(l.network_bytes), 0),
+      queries: rows.length,
+      readRows: shardRows.reduce((s, l) => s + Number(l.read_rows), 0),
+    };
+  }).filter(run => run.latencyMs !== null);
+  const median = key => summarize(runs.map(run => run[key]))?.median ?? null;
+  return {
+    runs: runs.length,
+    latencyMs: median('latencyMs'),
+    networkBytes: median('networkBytes'),
+    queriesPerRun: median('queries'),
+    readRows: median('readRows'),
+    overhead,
+    query,
+    result,
+  };
+}
+
+async function runHorizontalSide(side, res, text) {
+  try {
+    const rows = await horizontalLabRows();
+    if (!rows.single || !rows.cluster) {
+      return res.status(400).json({ error: 'No lab data yet — pick a size and click ⬆ Load data first.' });
+    }
+    res.json({ ...text, labRows: rows[side], ...await profileHorizontal(side) });
+  } catch (e) { res.status(400).json({ error: e.message }); }
+}
+
+// Load the same generated rows on both sides (replacing earlier lab rows)
+app.post('/api/mistakes/horizontal-load', async (req, res) => {
+  let rows;
+  try {
+    rows = validate.int(req.body.rows, { name: 'rows', min: 1_000, max: 5_000_000, fallback: 100_000 });
+  } catch (e) { return sendError(res, e); }
+  try {
+    const query_params = { rows, base: Math.floor(Date.now() / 1000) };
+    await ch.command({ query: `DROP TABLE IF EXISTS ${HORIZONTAL_TABLE}` });
+    await ch.command({
+      query: `
+      CREATE TABLE ${HORIZONTAL_TABLE}
+      (timestamp DateTime, service LowCardinality(String), event_type LowCardinality(String), user_id String, value Float64)
+      ENGINE = MergeTree PARTITION BY toYYYYMM(timestamp) ORDER BY (service, timestamp)
+    ` });
+    await deleteHorizontalClusterRows();
+    const t0 = Date.now();
+    await ch.command({
+      query: `INSERT INTO ${HORIZONTAL_TABLE} (timestamp, service, event_type, user_id, value)
+              SELECT timestamp, service, event_type, user_id, value FROM (${HORIZONTAL_ROWS_SQL})`,
+      query_params,
+    });
+    const singleMs = Date.now() - t0;
+    const t1 = Date.now();
+    await ch_node1.command({
+      query: `INSERT INTO cluster_demo.events_distributed (timestamp, service, event_type, user_id, value)
+              SELECT timestamp, service, event_type, user_id, value FROM (${HORIZONTAL_ROWS_SQL})`,
+      query_params, clickhouse_settings: { insert_distributed_sync: 1 },
+    });
+    res.json({ rows, loadMs: { single: singleMs, cluster: Date.now() - t1 }, labRows: await horizontalLabRows() });
+  } catch (e) { res.status(400).json({ error: e.message }); }
+});
+app.post('/api/mistakes/horizontal-wrong', (req, res) => runHorizontalSide('cluster', res, {
+  approach: '2 shards behind a Distributed table (+ Keeper)',
+  warning: 'Every query fans out to both shards, waits for the slowest one, ships partial aggregates over the network and merges them on the initiator. Until a single node runs out of CPU, RAM or disk, that is pure overhead.',
+}));
+app.post('/api/mistakes/horizontal-fixed', (req, res) => runHorizontalSide('single', res, {
+  approach: 'One node, one MergeTree table',
+  tip: 'The same aggregation on one machine uses all its cores with no fan-out. Scale vertically first; shard when one node genuinely cannot hold the data or keep up with the query load.',
+}));
+app.post('/api/mistakes/horizontal-reset', async (req, res) => {
+  try {
+    await ch.command({ query: `DROP TABLE IF EXISTS ${HORIZONTAL_TABLE}` });
+    await deleteHorizontalClusterRows();
+    res.json({ ok: true, message: `Dropped ${HORIZONTAL_TABLE} and deleted the lab rows (user_id 'lab-…') from both shards.` });
+  } catch (e) { res.status(400).json({ error: e.message }); }
+});
+
+// ── #03 Mutation Pain ─────────────────────────────────────────────────────────
+// A scratch copy of app_logs (4 inserts × daily partitions → many parts). The
+// wrong run queues one ALTER … UPDATE per service; each rewrites every part, and
+// the UI polls /api/mistakes/mutation-progress to animate parts_to_do.
+const MUTATION_COLUMNS = `timestamp DateTime, level LowCardinality(String), service LowCardinality(String),
+      host LowCardinality(String), message String, trace_id String, duration_ms UInt32`;
+const MUTATION_COLUMN_NAMES = 'timestamp, level, service, host, message, trace_id, duration_ms';
+const MUTATION_TABLES = ['mistake_mutation_logs', 'mistake_mutation_fixed', 'mistake_mutation_rmt', 'mistake_mutation_staging'];
+
+async function createMutationCopy(table, engine = 'MergeTree()', extra = '') {
+  await ch.command({ query: `DROP TABLE IF EXISTS demo.${table}` });
+  await ch.command({
+    query: `
+    CREATE TABLE demo.${table} (${MUTATION_COLUMNS}${extra})
+    ENGINE = ${engine} PARTITION BY toDate(timestamp) ORDER BY (service, timestamp, trace_id)
+  ` });
+  for (let i = 0; i < 4; i++) {
+    await ch.command({ query: `INSERT INTO demo.${table} (${MUTATION_COLUMN_NAMES}) SELECT ${MUTATION_COLUMN_NAMES} FROM demo.app_logs` });
+  }
+}
+
+const activeParts = async table => Number((await (await ch.query({
+  query: `SELECT count() AS parts FROM system.parts WHERE active AND database = 'demo' AND table = {table:String}`,
+  query_params: { table }, format: 'JSONEachRow',
+})).json())[0].parts);
+
+app.post('/api/mistakes/mutation-wrong', async (req, res) => {
+  try {
+    await ch.command({ query: `KILL MUTATION WHERE database = 'demo' AND table = 'mistake_mutation_logs'` }).catch(() => { });
+    await createMutationCopy('mistake_mutation_logs');
+    const parts = await activeParts('mistake_mutation_logs');
+    const services = (await (await ch.query({ query: `SELECT DISTINCT service FROM demo.mistake_mutation_logs ORDER BY service`, format: 'JSONEachRow' })).json()).map(r => r.service);
+    const mutations = [];
+    for (const service of services) {
+      const statement = `ALTER TABLE demo.mistake_mutation_logs UPDATE message = concat(message, ' [redacted]') WHERE service = {service:String}`;
+      const t0 = Date.now();
+      await ch.command({ query: statement, query_params: { service }, clickhouse_settings: { mutations_sync: 0 } });
+      mutations.push({ statement: statement.replace('{service:String}', `'${service}'`), issueMs: Date.now() - t0 });
+    }
+    res.json({
+      approach: `${mutations.length} ALTER TABLE … UPDATE mutations, one per service`,
+      parts, mutations,
+      warning: `Every mutation rewrites all ${parts} parts — ${parts * mutations.length} part rewrites queued to change one column in a fraction of the rows. They run one after another, so the last one waits for all the others.`,
+    });
+  } catch (e) { res.status(400).json({ error: e.message }); }
+});
+
+// Live progress of the wrong run's mutations (polled by the UI)
+app.get('/api/mistakes/mutation-progress', async (req, res) => {
+  try {
+    const r = await ch.query({
+      query: `SELECT mutation_id, command, parts_to_do, is_done, latest_fail_reason,
+                dateDiff('second', create_time, now()) AS age_s
+              FROM system.mutations WHERE database = 'demo' AND table = 'mistake_mutation_logs'
+              ORDER BY create_time, mutation_id`,
+      format: 'JSONEachRow',
+    });
+    const mutations = (await r.json()).map(m => ({ ...m, parts_to_do: Number(m.parts_to_do), is_done: Number(m.is_done) === 1, age_s: Number(m.age_s) }));
+    res.json({ mutations, activeParts: await activeParts('mistake_mutation_logs'), done: mutations.every(m => m.is_done) });
+  } catch (e) { res.status(400).json({ error: e.message }); }
+});
+
+app.post('/api/mistakes/mutation-fixed', async (req, res) => {
+  try {
+    const timed = async (name, sql, rows, fn) => {
+      const t0 = Date.now();
+      await fn();
+      return { name, sql, rows, ms: Date.now() - t0 };
+    };
+    // Rows each approach touches, so the timings are visibly doing real work
+    const count = async (table, where, query_params) => Number((await (await ch.query({
+      query: `SELECT count() AS n FROM demo.${table} WHERE ${where}`,
+      query_params,
+      format: 'JSONEachRow',
+    })).json())[0].n);
+    await createMutationCopy('mistake_mutation_fixed');
+    await createMutationCopy('mistake_mutation_rmt', 'ReplacingMergeTree(version)', ',\n      version UInt64 DEFAULT 1');
+    // Same services as the wrong run works on, taken from the copied data
+    const services = (await (await ch.query({ query: `SELECT DISTINCT service FROM demo.mistake_mutation_fixed ORDER BY service`, format: 'JSONEachRow' })).json()).map(r => r.service);
+    const [deleteService, upsertService = deleteService] = services;
+    const day = (await (await ch.query({ query: `SELECT toString(max(toDate(timestamp))) AS d FROM demo.mistake_mutation_fixed`, format: 'JSONEachRow' })).json())[0].d;
+
+    const approaches = [];
+    const del = `DELETE FROM demo.mistake_mutation_fixed WHERE service = {service:String}`;
+    const deleteRows = await count('mistake_mutation_fixed', 'service = {service:String}', { service: deleteService });
+    approaches.push(await timed('Lightweight DELETE', del.replace('{service:String}', `'${deleteService}'`), deleteRows,
+      () => ch.command({ query: del, query_params: { service: deleteService } })));
+
+    const upsert = `INSERT INTO demo.mistake_mutation_rmt
+      SELECT timestamp, level, service, host, concat(message, ' [redacted]'), trace_id, duration_ms, 2
+      FROM demo.mistake_mutation_rmt FINAL WHERE service = {service:String}`;
+    const upsertRows = await count('mistake_mutation_rmt FINAL', 'service = {service:String}', { service: upsertService });
+    approaches.push(await timed('ReplacingMergeTree upsert (insert version 2, read with FINAL)', upsert.replace('{service:String}', `'${upsertService}'`), upsertRows,
+      () => ch.command({ query: upsert, query_params: { service: upsertService } })));
+
+    await ch.command({ query: `DROP TABLE IF EXISTS demo.mistake_mutation_staging` });
+    await ch.command({ query: `CREATE TABLE demo.mistake_mutation_staging AS demo.mistake_mutation_fixed` });
+    const rebuild = `INSERT INTO demo.mistake_mutation_staging
+      SELECT timestamp, level, service, host, concat(message, ' [redacted]'), trace_id, duration_ms
+      FROM demo.mistake_mutation_fixed WHERE toDate(timestamp) = '${day}';
+    ALTER TABLE demo.mistake_mutation_fixed REPLACE PARTITION '${day}' FROM demo.mistake_mutation_staging`;
+    const dayRows = await count('mistake_mutation_fixed', 'toDate(timestamp) = {day:String}', { day });
+    approaches.push(await timed(`Rebuild one partition + REPLACE PARTITION '${day}'`, rebuild, dayRows, async () => {
+      for (const query of rebuild.split(';\n')) await ch.command({ query: query.trim() });
+    }));
+
+    const pending = await (await ch.query({
+      query: `SELECT count() AS n FROM system.mutations WHERE database = 'demo' AND table IN ('mistake_mutation_fixed', 'mistake_mutation_rmt') AND NOT is_done`,
+      format: 'JSONEachRow',
+    })).json();
+    res.json({
+      approaches,
+      pendingMutations: Number(pending[0].n),
+      tip: 'Lightweight DELETE only marks rows as deleted, an upsert is just another INSERT, and REPLACE PARTITION swaps parts atomically — none of them rewrites the whole table. Keep ALTER … UPDATE for rare, batched corrections.',
+    });
+  } catch (e) { res.status(400).json({ error: e.message }); }
+});
+app.post('/api/mistakes/mutation-reset', async (req, res) => {
+  try {
+    await ch.command({ query: `KILL MUTATION WHERE database = 'demo' AND table IN ('mistake_mutation_logs', 'mistake_mutation_fixed', 'mistake_mutation_rmt')` }).catch(() => { });
+    for (const t of MUTATION_TABLES) await ch.command({ query: `DROP TABLE IF EXISTS demo.${t}` });
+    res.json({ ok: true, message: `Killed pending mutations and dropped ${MUTATION_TABLES.join(', ')}.` });
+  } catch (e) { res.status(400).json({ error: e.message }); }
+});
+
+// ── #04 Semi-Structured Data ──────────────────────────────────────────────────
+// telemetry_events.properties (×4) stored four ways. The same "top referrers for
+// one page" query is benchmarked against each (see benchmark.js) and compared
+// by server-side time, bytes read and on-disk size of the property columns.
+const JSON_VARIANTS = [
+  {
+    key: 'raw', table: 'mistake_json_raw', label: 'String + JSONExtractString()',
+    columns: [{ column: 'properties String' }], select: 'properties',
+    page: `JSONExtractString(properties, 'page')`, referrer: `JSONExtractString(properties, 'referrer')`,
+  },
+  {
+    key: 'typed', table: 'mistake_json_typed', label: 'Typed columns',
+    columns: [{ column: 'page LowCardinality(String), referrer LowCardinality(String)' }],
+    select: `JSONExtractString(properties, 'page'), JSONExtractString(properties, 'referrer')`,
+    page: 'page', referrer: 'referrer',
+  },
+  {
+    key: 'map', table: 'mistake_json_map', label: 'Map(String, String)',
+    columns: [{ column: 'properties Map(String, String)' }], select: `JSONExtract(properties, 'Map(String, String)')`,
+    page: `properties['page']`, referrer: `properties['referrer']`,
+  },
+  {
+    // New JSON type (24.8+, GA in 25.3), falling back to the older Object('json')
+    key: 'native', table: 'mistake_json_native', label: 'JSON type',
+    columns: [
+      { column: 'properties JSON', settings: { allow_experimental_json_type: 1 } },
+      { column: `properties Object('json')`, settings: { allow_experimental_object_type: 1 } },
+    ],
+    select: 'properties', page: 'properties.page::String', referrer: 'properties.referrer::String',
+  },
+];
+const JSON_BENCH = { runs: 5, warmups: 1, queryCache: false };
+
+const jsonProbe = v => `SELECT ${v.referrer} AS referrer, count() AS hits
+FROM demo.${v.table}
+WHERE ${v.page} = '/page/7'
+GROUP BY referrer ORDER BY hits DESC`;
+
+/** Create and fill one variant; returns the column definition used, or throws the last error. */
+async function createJsonCopy(v) {
+  let lastError;
+  for (const { column, settings } of v.columns) {
+    try {
+      await ch.command({ query: `DROP TABLE IF EXISTS demo.${v.table}` });
+      await ch.command({
+        query: `
+        CREATE TABLE demo.${v.table} (timestamp DateTime, service LowCardinality(String), event_type LowCardinality(String), ${column})
+        ENGINE = MergeTree() ORDER BY (service, event_type, timestamp)
+      `, clickhouse_settings: settings });
+      await ch.command({
+        query: `INSERT INTO demo.${v.table} SELECT timestamp, service, event_type, ${v.select} FROM demo.telemetry_events ARRAY JOIN range(4) AS copy`,
+        clickhouse_settings: settings,
+      });
+      return column;
+    } catch (e) { lastError = e; }
+  }
+  await ch.command({ query: `DROP TABLE IF EXISTS demo.${v.table}` });
+  throw lastError;
+}
+
+/** Benchmark the probe on each created variant and attach property-column sizes. */
+async function jsonReport(variants) {
+  const results = await runBenchmark(ch, ch, variants.map(v => ({ label: v.key, sql: jsonProbe(v) })), JSON_BENCH);
+  const r = await ch.query({
+    query: `SELECT table, sum(data_compressed_bytes) AS bytes, formatReadableSize(sum(data_compressed_bytes)) AS compressed,
+              formatReadableSize(sum(data_uncompressed_bytes)) AS uncompressed
+            FROM system.columns
+            WHERE database = 'demo' AND table IN {tables:Array(String)} AND name IN ('properties', 'page', 'referrer')
+            GROUP BY table`,
+    query_params: { tables: variants.map(v => v.table) }, format: 'JSONEachRow',
+  });
+  const sizes = new Map((await r.json()).map(s => [s.table, s]));
+  return variants.map((v, i) => {
+    const { stats, first_row } = results[i];
+    const size = sizes.get(v.table) || {};
+    return {
+      key: v.key, label: v.label, column: v.column, query: jsonProbe(v), topReferrer: first_row,
+      ms: stats.query_duration_ms?.median ?? null, readBytes: stats.read_bytes?.median ?? null,
+      columnBytes: size.bytes === undefined ? null : Number(size.bytes), compressed: size.compressed || null, uncompressed: size.uncompressed || null,
+    };
+  });
+}
+
+app.post('/api/mistakes/json-wrong', async (req, res) => {
+  try {
+    const raw = JSON_VARIANTS[0];
+    const column = await createJsonCopy(raw);
+    const [report] = await jsonReport([{ ...raw, column }]);
+    res.json({
+      approach: `properties String — every query parses every row's JSON (median of ${JSON_BENCH.runs} runs)`,
+      ...report,
+      warning: 'JSONExtractString() runs once per row per key on the whole properties blob, so the query reads and parses far more bytes than the two values it needs — and a typo in a key silently returns empty strings.',
+    });
+  } catch (e) { res.status(400).json({ error: e.message }); }
+});
+app.post('/api/mistakes/json-fixed', async (req, res) => {
+  try {
+    const versions = await (await ch.query({ query: 'SELECT version() AS v', format: 'JSONEachRow' })).json();
+    const created = [];
+    const skipped = [];
+    for (const v of JSON_VARIANTS) {
+      try {
+        created.push({ ...v, column: await createJsonCopy(v) });
+      } catch (e) {
+        skipped.push({ key: v.key, label: v.label, error: e.message });
+      }
+    }
+    res.json({
+      serverVersion: versions[0].v,
+      variants: await jsonReport(created),
+      skipped,
+      tip: 'Keys you filter or group on belong in typed (LowCardinality) columns: the query reads two small dictionary-encoded columns instead of the JSON blob. Map keeps arbitrary keys but still reads every key of the row; the JSON type stores each path as its own subcolumn.',
+    });
+  } catch (e) { res.status(400).json({ error: e.message }); }
+});
+app.post('/api/mistakes/json-reset', async (req, res) => {
+  try {
+    for (const v of JSON_VARIANTS) await ch.command({ query: `DROP TABLE IF EXISTS demo.${v.table}` });
+    res.json({ ok: true, message: `Dropped ${JSON_VARIANTS.map(v => v.table).join(', ')}.` });
+  } catch (e) { res.status(400).json({ error: e.message }); }
+});
+
 // ── #05 Nullable vs DEFAULT ───────────────────────────────────────────────────
 app.post('/api/mistakes/nullable-wrong', async (req, res) => {
   try {
@@ -1073,6 +2506,111 @@ app.post('/api/mistakes/pk-fixed', async (req, res) => {
   } catch (e) { res.status(400).json({ error: e.message }); }
 });
 
+// ── #08 Data Skipping Indices ─────────────────────────────────────────────────
+// Copies of telemetry_events (×4, plus a unique request_id) with and without skip
+// indices. Insert time is compared against an index-free copy, and EXPLAIN
+// indexes=1 shows how many granules each index actually skips.
+const SKIPIDX_ROWS_SQL = `
+  SELECT timestamp, service, event_type, user_id, properties, duration_ms, generateUUIDv4(copy) AS request_id
+  FROM demo.telemetry_events ARRAY JOIN range(4) AS copy`;
+
+async function createSkipIdxCopy(table, indices = []) {
+  await ch.command({ query: `DROP TABLE IF EXISTS demo.${table}` });
+  await ch.command({
+    query: `
+    CREATE TABLE demo.${table} (
+      timestamp DateTime, service LowCardinality(String), event_type LowCardinality(String),
+      user_id String, properties String, duration_ms UInt32, request_id UUID${indices.map(i => `,\n      INDEX ${i}`).join('')}
+    ) ENGINE = MergeTree() ORDER BY (service, event_type, timestamp)
+    SETTINGS index_granularity = 1024
+  ` });
+  const t0 = Date.now();
+  await ch.command({ query: `INSERT INTO demo.${table} ${SKIPIDX_ROWS_SQL}` });
+  return Date.now() - t0;
+}
+
+async function skipIdxReport(table, probes) {
+  const [sizes, totals] = await Promise.all([
+    ch.query({
+      query: `SELECT name, type_full AS type, expr, data_compressed_bytes AS bytes, formatReadableSize(data_compressed_bytes) AS compressed
+              FROM system.data_skipping_indices WHERE database = 'demo' AND table = {table:String} ORDER BY name`,
+      query_params: { table }, format: 'JSONEachRow',
+    }),
+    ch.query({
+      query: `SELECT sum(rows) AS rows, sum(data_compressed_bytes) AS bytes, formatReadableSize(sum(data_compressed_bytes)) AS compressed
+              FROM system.parts WHERE active AND database = 'demo' AND table = {table:String}`,
+      query_params: { table }, format: 'JSONEachRow',
+    }),
+  ]);
+  const results = [];
+  for (const p of probes) {
+    const steps = await explainIndexes(ch, `SELECT count() FROM demo.${table} WHERE ${p.filter}`);
+    const total = steps[0]?.granules.initial ?? null;
+    const read = steps.length ? steps[steps.length - 1].granules.selected : null;
+    const skip = steps.find(s => s.type === 'Skip');
+    results.push({
+      ...p,
+      granules: { total, read },
+      skippedPct: total ? Math.round(100 * (1 - read / total)) : 0,
+      skipIndex: skip ? { name: skip.name, initial: skip.granules.initial, selected: skip.granules.selected } : null,
+    });
+  }
+  const t = (await totals.json())[0];
+  return { rows: Number(t.rows), tableSize: t.compressed, indices: await sizes.json(), probes: results };
+}
+
+app.post('/api/mistakes/skipidx-wrong', async (req, res) => {
+  try {
+    const plainMs = await createSkipIdxCopy('mistake_skipidx_plain');
+    const indexedMs = await createSkipIdxCopy('mistake_skipidx_bad', [
+      'idx_duration duration_ms TYPE minmax GRANULARITY 1',
+      'idx_hour toHour(timestamp) TYPE set(24) GRANULARITY 1',
+      'idx_user user_id TYPE bloom_filter(0.01) GRANULARITY 1',
+    ]);
+    const report = await skipIdxReport('mistake_skipidx_bad', [
+      { index: 'idx_duration (minmax)', filter: 'duration_ms BETWEEN 1500 AND 1600' },
+      { index: 'idx_hour (set)', filter: 'toHour(timestamp) = 3' },
+      { index: 'idx_user (bloom_filter)', filter: `user_id = 'user-42'` },
+    ]);
+    res.json({
+      approach: '3 skip indices on columns uncorrelated with ORDER BY (service, event_type, timestamp)',
+      insertMs: { plain: plainMs, indexed: indexedMs },
+      slowdownPct: plainMs ? Math.round(100 * (indexedMs - plainMs) / plainMs) : 0,
+      ...report,
+      warning: 'duration_ms is random, every granule holds every hour, and each user appears all over the table — so nearly every granule still matches. The indices cost insert time and disk but skip almost nothing.',
+    });
+  } catch (e) { res.status(400).json({ error: e.message }); }
+});
+app.post('/api/mistakes/skipidx-fixed', async (req, res) => {
+  try {
+    const plainMs = await createSkipIdxCopy('mistake_skipidx_plain');
+    const indexedMs = await createSkipIdxCopy('mistake_skipidx_good', [
+      'idx_request request_id TYPE bloom_filter(0.001) GRANULARITY 1',
+    ]);
+    const r = await ch.query({ query: `SELECT toString(request_id) AS id FROM demo.mistake_skipidx_good LIMIT 1 OFFSET 5000`, format: 'JSONEachRow' });
+    const needle = (await r.json())[0]?.id;
+    const report = await skipIdxReport('mistake_skipidx_good', [
+      { index: 'idx_request (bloom_filter)', filter: `request_id = '${needle}'` },
+      { index: 'none — idx_duration dropped', filter: 'duration_ms BETWEEN 1500 AND 1600' },
+    ]);
+    res.json({
+      approach: '1 bloom_filter on request_id — unique per row, looked up one value at a time',
+      insertMs: { plain: plainMs, indexed: indexedMs },
+      slowdownPct: plainMs ? Math.round(100 * (indexedMs - plainMs) / plainMs) : 0,
+      ...report,
+      tip: 'A needle lookup on a unique id lives in a single granule, so the bloom filter skips almost everything. Without idx_duration the range filter reads the same granules it did with it.',
+    });
+  } catch (e) { res.status(400).json({ error: e.message }); }
+});
+app.post('/api/mistakes/skipidx-reset', async (req, res) => {
+  try {
+    for (const t of ['mistake_skipidx_plain', 'mistake_skipidx_bad', 'mistake_skipidx_good']) {
+      await ch.command({ query: `DROP TABLE IF EXISTS demo.${t}` });
+    }
+    res.json({ ok: true, message: 'Dropped mistake_skipidx_plain, mistake_skipidx_bad and mistake_skipidx_good.' });
+  } catch (e) { res.status(400).json({ error: e.message }); }
+});
+
 // ── #09 LIMIT short-circuit ───────────────────────────────────────────────────
 app.post('/api/mistakes/limit-wrong', async (req, res) => {
   try {
@@ -1158,6 +2696,63 @@ app.post('/api/mistakes/mv-reset', async (req, res) => {
   } catch (e) { res.status(400).json({ error: e.message }); }
 });
 
+// ── #13 Experimental features ─────────────────────────────────────────────────
+// Risk report of experimental settings, types, indices and engines in use (see experimental-audit.js)
+app.get('/api/mistakes/experimental-audit', async (req, res) => {
+  try {
+    res.json(await auditExperimental(ch));
+  } catch (e) { res.status(400).json({ error: e.message }); }
+});
+
+// ─── SCHEMA ADVISOR: the 13 Mistakes in a live database (see advisor.js) ─────
+app.get('/api/advisor', async (req, res) => {
+  try {
+    const database = validate.string(req.query.database, { name: 'database', maxLength: 64, pattern: /^[A-Za-z_][A-Za-z0-9_]*$/, fallback: 'demo' });
+    const report = await adviseDatabase(ch, database);
+    if (!report) return res.status(404).json({ error: `Database ${database} does not exist`, code: 'DATABASE_NOT_FOUND' });
+    res.json(report);
+  } catch (e) { sendError(res, e); }
+});
+
+// ─── LESSONS: scratch objects and reset-all (see lessons.js) ─────────────────
+app.get('/api/lessons/scratch', async (req, res) => {
+  try {
+    const objects = await listScratch(ch);
+    res.json({
+      ttlMinutes: SCRATCH_TTL_MINUTES,
+      lessons: LESSONS,
+      objects,
+      totals: { objects: objects.length, bytes: objects.reduce((s, o) => s + (o.bytes || 0), 0) },
+    });
+  } catch (e) { res.status(400).json({ error: e.message }); }
+});
+
+// Every lesson's reset at once: scratch tables plus state kept outside them
+// (horizontal lab rows on the shards, the Keeper-loss drill table on both cluster nodes)
+const LESSON_CLEANUPS = [
+  { lesson: 'horizontal', label: "lab rows on both shards (user_id 'lab-…')", run: deleteHorizontalClusterRows },
+  {
+    lesson: 'readonly-drill', label: DRILL_TABLE,
+    run: async () => { for (const n of DRILL_NODES) await n.client.command({ query: `DROP TABLE IF EXISTS ${DRILL_TABLE} SYNC` }); },
+  },
+];
+
+app.post('/api/lessons/reset-all', async (req, res) => {
+  try {
+    const { dropped, errors } = await dropScratch(ch, await listScratch(ch));
+    const cleaned = [];
+    for (const c of LESSON_CLEANUPS) {
+      try {
+        await c.run();
+        cleaned.push(`${c.lesson}: ${c.label}`);
+      } catch (e) {
+        errors.push({ object: `${c.lesson}: ${c.label}`, error: e.message.split('\n')[0] });
+      }
+    }
+    res.json({ ok: !errors.length, dropped, cleaned, errors });
+  } catch (e) { res.status(400).json({ error: e.message }); }
+});
+
 // ─── SYSTEM TABLES EXPLORER ───────────────────────────────────────────────────
 app.get('/api/system/tables', async (req, res) => {
   try {
@@ -1176,7 +2771,15 @@ app.get('/api/system/tables', async (req, res) => {
         ORDER BY database, total_bytes DESC
       `, format: 'JSONEachRow',
     });
-    res.json(await r.json());
+    // Full-table exports run in the sandbox, so flag the tables it may read in full
+    const canRead = await ensureSandbox().then(() => sandboxCanRead(ch)).catch(() => () => false);
+    const maxRows = SANDBOX_ENABLED ? SANDBOX_LIMITS.max_result_rows.value : Infinity;
+    res.json((await r.json()).map(t => {
+      const export_blocked = !canRead(t.database, t.name) ? 'The playground sandbox cannot read this table'
+        : Number(t.total_rows) > maxRows ? `More rows than the sandbox's ${maxRows.toLocaleString()}-row result limit`
+          : null;
+      return { ...t, exportable: !export_blocked, export_blocked };
+    }));
   } catch (e) { res.status(400).json({ error: e.message }); }
 });
 
@@ -1203,8 +2806,8 @@ app.get('/api/system/parts', async (req, res) => {
 });
 
 app.get('/api/system/query-log', async (req, res) => {
-  const limit = Math.min(Number(req.query.limit) || 50, 200);
   try {
+    const limit = validate.int(req.query.limit, { name: 'limit', min: 1, max: 200, fallback: 50 });
     const r = await ch.query({
       query: `
         SELECT
@@ -1223,11 +2826,11 @@ app.get('/api/system/query-log', async (req, res) => {
           AND query NOT LIKE '%system.query_log%'
           AND query NOT LIKE '%system.processes%'
         ORDER BY event_time DESC
-        LIMIT ${limit}
-      `, format: 'JSONEachRow',
+        LIMIT {limit:UInt32}
+      `, query_params: { limit }, format: 'JSONEachRow',
     });
     res.json(await r.json());
-  } catch (e) { res.status(400).json({ error: e.message }); }
+  } catch (e) { sendError(res, e); }
 });
 
 app.get('/api/system/merges', async (req, res) => {
@@ -1270,7 +2873,7 @@ app.get('/api/system/processes', async (req, res) => {
   try {
     const r = await ch.query({
       query: `
-        SELECT query_id, elapsed, read_rows, read_bytes, memory_usage,
+        SELECT query_id, user, elapsed, read_rows, read_bytes, memory_usage, is_cancelled,
           substr(query, 1, 200) AS query_short
         FROM system.processes
         WHERE query NOT LIKE '%system.processes%'
@@ -1306,8 +2909,9 @@ app.get('/api/shoppers/seed-status', async (req, res) => {
 
 // ─── 1. Price Intelligence & Trend Analysis ───────────────────────────────────
 app.get('/api/shoppers/price-intelligence', async (req, res) => {
-  const { category = 'Electronics', days = 7 } = req.query;
   try {
+    const category = validate.string(req.query.category, { name: 'category', maxLength: 64, fallback: 'Electronics' });
+    const days = validate.int(req.query.days, { name: 'days', min: 1, max: 90, fallback: 7 });
     const [priceDrop, vendorComp, trending] = await Promise.all([
       // Top price drops in the last N days
       ch.query({
@@ -1324,13 +2928,14 @@ app.get('/api/shoppers/price-intelligence', async (req, res) => {
             count()         AS price_updates,
             max(event_ts)   AS last_seen
           FROM demo.sp_price_events
-          WHERE event_ts >= now() - INTERVAL ${days} DAY
-            AND category = '${category}'
+          WHERE event_ts >= now() - INTERVAL {days:UInt32} DAY
+            AND category = {category:String}
           GROUP BY sku_id, product_name, vendor_name, category, brand
           HAVING pct_drop > 10
           ORDER BY pct_drop DESC
           LIMIT 10
         `,
+        query_params: { days, category },
         format: 'JSONEachRow',
       }),
       // Vendor price comparison for the category
@@ -1346,11 +2951,12 @@ app.get('/api/shoppers/price-intelligence', async (req, res) => {
             count()                           AS total_listings,
             round(countIf(in_stock=1)/count()*100, 1) AS stock_pct
           FROM demo.sp_price_events
-          WHERE event_ts >= now() - INTERVAL ${days} DAY
-            AND category = '${category}'
+          WHERE event_ts >= now() - INTERVAL {days:UInt32} DAY
+            AND category = {category:String}
           GROUP BY vendor_name, category
           ORDER BY avg_price ASC
         `,
+        query_params: { days, category },
         format: 'JSONEachRow',
       }),
       // Price trend over last 7 days (daily avg)
@@ -1363,11 +2969,12 @@ app.get('/api/shoppers/price-intelligence', async (req, res) => {
             round(min(price_usd), 2)    AS min_price,
             count()                     AS updates
           FROM demo.sp_price_events
-          WHERE event_ts >= now() - INTERVAL ${days} DAY
-            AND category = '${category}'
+          WHERE event_ts >= now() - INTERVAL {days:UInt32} DAY
+            AND category = {category:String}
           GROUP BY day, category
           ORDER BY day ASC
         `,
+        query_params: { days, category },
         format: 'JSONEachRow',
       }),
     ]);
@@ -1378,7 +2985,7 @@ app.get('/api/shoppers/price-intelligence', async (req, res) => {
       vendorComparison: await vendorComp.json(),
       priceTrend: await trending.json(),
     });
-  } catch (e) { res.status(400).json({ error: e.message }); }
+  } catch (e) { sendError(res, e); }
 });
 
 // ─── 2. Coupon & Deal Effectiveness ──────────────────────────────────────────
@@ -1620,11 +3227,16 @@ app.get('/api/shoppers/user-behavior', async (req, res) => {
 
 // ─── 5. Real-Time Vendor Feed Ingestion ──────────────────────────────────────
 app.post('/api/shoppers/vendor-feed-ingest', async (req, res) => {
-  const { vendor_id = 'amzn', sku_id = 'SKU00001', price_usd = 99.99, in_stock = 1 } = req.body;
   try {
+    const vendor_id = validate.string(req.body.vendor_id, { name: 'vendor_id', maxLength: 32, fallback: 'amzn' });
+    const sku_id = validate.string(req.body.sku_id, { name: 'sku_id', maxLength: 32, fallback: 'SKU00001' });
+    const price_usd = validate.number(req.body.price_usd, { name: 'price_usd', min: 0, max: 1_000_000, fallback: 99.99 });
+    const in_stock = validate.int(req.body.in_stock, { name: 'in_stock', min: 0, max: 1, fallback: 1 });
+
     // Count before
     const before = await ch.query({
-      query: `SELECT count() AS cnt FROM demo.sp_vendor_feed WHERE vendor_id='${vendor_id}' AND sku_id='${sku_id}'`,
+      query: `SELECT count() AS cnt FROM demo.sp_vendor_feed WHERE vendor_id = {vendor_id:String} AND sku_id = {sku_id:String}`,
+      query_params: { vendor_id, sku_id },
       format: 'JSONEachRow',
     });
     const beforeCount = (await before.json())[0]?.cnt || 0;
@@ -1639,8 +3251,8 @@ app.post('/api/shoppers/vendor-feed-ingest', async (req, res) => {
         sku_id,
         product_name: `Product ${sku_id}`,
         category: 'Electronics',
-        price_usd: parseFloat(price_usd),
-        in_stock: parseInt(in_stock),
+        price_usd,
+        in_stock,
         feed_version: version,
       }],
       format: 'JSONEachRow',
@@ -1648,7 +3260,8 @@ app.post('/api/shoppers/vendor-feed-ingest', async (req, res) => {
 
     // Count after
     const after = await ch.query({
-      query: `SELECT count() AS cnt FROM demo.sp_vendor_feed WHERE vendor_id='${vendor_id}' AND sku_id='${sku_id}'`,
+      query: `SELECT count() AS cnt FROM demo.sp_vendor_feed WHERE vendor_id = {vendor_id:String} AND sku_id = {sku_id:String}`,
+      query_params: { vendor_id, sku_id },
       format: 'JSONEachRow',
     });
     const afterCount = (await after.json())[0]?.cnt || 0;
@@ -1658,10 +3271,11 @@ app.post('/api/shoppers/vendor-feed-ingest', async (req, res) => {
       query: `
         SELECT vendor_id, sku_id, price_usd, in_stock, ingested_at, feed_version
         FROM demo.sp_vendor_feed FINAL
-        WHERE sku_id = '${sku_id}'
+        WHERE sku_id = {sku_id:String}
         ORDER BY price_usd ASC
         LIMIT 15
       `,
+      query_params: { sku_id },
       format: 'JSONEachRow',
     });
 
@@ -1674,21 +3288,22 @@ app.post('/api/shoppers/vendor-feed-ingest', async (req, res) => {
       rowsAfter: Number(afterCount),
       currentSnapshot: await snapshot.json(),
     });
-  } catch (e) { res.status(400).json({ error: e.message }); }
+  } catch (e) { sendError(res, e); }
 });
 
 // Also GET to fetch the current feed state for a SKU
 app.get('/api/shoppers/vendor-feed-ingest', async (req, res) => {
-  const { sku_id = 'SKU00001' } = req.query;
   try {
+    const sku_id = validate.string(req.query.sku_id, { name: 'sku_id', maxLength: 32, fallback: 'SKU00001' });
     const snapshot = await ch.query({
       query: `
         SELECT vendor_id, sku_id, product_name, price_usd, in_stock, ingested_at
         FROM demo.sp_vendor_feed FINAL
-        WHERE sku_id = '${sku_id}'
+        WHERE sku_id = {sku_id:String}
         ORDER BY price_usd ASC
         LIMIT 15
       `,
+      query_params: { sku_id },
       format: 'JSONEachRow',
     });
 
@@ -1702,7 +3317,7 @@ app.get('/api/shoppers/vendor-feed-ingest', async (req, res) => {
       snapshot: await snapshot.json(),
       feedStats: (await totalFeed.json())[0],
     });
-  } catch (e) { res.status(400).json({ error: e.message }); }
+  } catch (e) { sendError(res, e); }
 });
 
 // ─── 6. Product Catalog Intelligence ─────────────────────────────────────────
@@ -1789,8 +3404,8 @@ app.get('/api/shoppers/catalog-intelligence', async (req, res) => {
 
 // ─── 7. Materialized Views for Live Dashboards ───────────────────────────────
 app.get('/api/shoppers/live-dashboard', async (req, res) => {
-  const { category = 'Electronics' } = req.query;
   try {
+    const category = validate.string(req.query.category, { name: 'category', maxLength: 64, fallback: 'Electronics' });
     // Run both raw and MV queries and time them
     const t0Raw = Date.now();
     const rawResult = await ch.query({
@@ -1803,12 +3418,13 @@ app.get('/api/shoppers/live-dashboard', async (req, res) => {
           round(min(price_usd), 2) AS min_price,
           uniq(sku_id)            AS unique_skus
         FROM demo.sp_price_events
-        WHERE category = '${category}'
+        WHERE category = {category:String}
           AND event_ts >= now() - INTERVAL 7 DAY
         GROUP BY hour, vendor_id
         ORDER BY hour DESC, price_updates DESC
         LIMIT 50
       `,
+      query_params: { category },
       format: 'JSONEachRow',
     });
     const rawRows = await rawResult.json();
@@ -1825,12 +3441,13 @@ app.get('/api/shoppers/live-dashboard', async (req, res) => {
           round(minMerge(min_price), 2) AS min_price,
           uniqMerge(unique_skus)    AS unique_skus
         FROM demo.sp_price_hourly_agg
-        WHERE category = '${category}'
+        WHERE category = {category:String}
           AND hour >= now() - INTERVAL 7 DAY
         GROUP BY hour, vendor_id
         ORDER BY hour DESC, price_updates DESC
         LIMIT 50
       `,
+      query_params: { category },
       format: 'JSONEachRow',
     });
     const mvRows = await mvResult.json();
@@ -1846,11 +3463,12 @@ app.get('/api/shoppers/live-dashboard', async (req, res) => {
           round(minMerge(min_price), 2)  AS best_price,
           uniqMerge(unique_skus)         AS active_skus
         FROM demo.sp_price_hourly_agg
-        WHERE category = '${category}'
+        WHERE category = {category:String}
           AND hour >= now() - INTERVAL 24 HOUR
         GROUP BY vendor_id
         ORDER BY total_price_updates DESC
       `,
+      query_params: { category },
       format: 'JSONEachRow',
     });
 
@@ -1868,13 +3486,13 @@ app.get('/api/shoppers/live-dashboard', async (req, res) => {
       liveKpis: await kpiResult.json(),
       explanation: 'The MV mv_sp_price_hourly fires on every INSERT into sp_price_events, writing countState/avgState/minState/uniqState partial aggregates into sp_price_hourly_agg. Dashboard queries use *Merge() functions — no raw rows are scanned.',
     });
-  } catch (e) { res.status(400).json({ error: e.message }); }
+  } catch (e) { sendError(res, e); }
 });
 
 // ─── UC8: Async Inserts + Deduplication ──────────────────────────────────────
 app.post('/api/shoppers/async-inserts', async (req, res) => {
   try {
-    const batchId = req.body.batchId || `batch-${Date.now()}`;
+    const batchId = validate.string(req.body.batchId, { name: 'batchId', maxLength: 64, fallback: `batch-${Date.now()}` });
     const rows = [];
     const VENDORS = ['amzn', 'wmt', 'tgt', 'ebay', 'bby'];
     const SKUS = ['SKU00001', 'SKU00002', 'SKU00003', 'SKU00004', 'SKU00005'];
@@ -1912,7 +3530,7 @@ app.post('/api/shoppers/async-inserts', async (req, res) => {
 
     // Wait briefly for async flush, then count rows
     await new Promise(r => setTimeout(r, 1200));
-    const countRes = await ch.query({ query: `SELECT count() AS c FROM demo.sp_async_feed_demo WHERE batch_id = '${batchId}'`, format: 'JSONEachRow' });
+    const countRes = await ch.query({ query: `SELECT count() AS c FROM demo.sp_async_feed_demo WHERE batch_id = {batchId:String}`, query_params: { batchId }, format: 'JSONEachRow' });
     const countRows = await countRes.json();
     const rowsInDb = Number(countRows[0]?.c ?? 0);
 
@@ -1952,7 +3570,7 @@ app.post('/api/shoppers/async-inserts', async (req, res) => {
         `We sent ${rows.length} rows twice with the same batch_id. Only ${rowsInDb} rows landed — the second batch was deduped away.`,
       ],
     });
-  } catch (e) { res.status(400).json({ error: e.message }); }
+  } catch (e) { sendError(res, e); }
 });
 
 app.get('/api/shoppers/async-inserts', async (req, res) => {
@@ -2115,10 +3733,9 @@ app.get('/api/shoppers/dictionaries', async (req, res) => {
 
 // GET /api/shoppers/personalization-feed?user_id=user_001&limit=10
 app.get('/api/shoppers/personalization-feed', async (req, res) => {
-  const userId = req.query.user_id || 'user_001';
-  const limit = Math.min(parseInt(req.query.limit) || 10, 50);
-
   try {
+    const userId = validate.string(req.query.user_id, { name: 'user_id', maxLength: 64, fallback: 'user_001' });
+    const limit = validate.int(req.query.limit, { name: 'limit', min: 1, max: 50, fallback: 10 });
     const t0 = Date.now();
 
     // Query 1: AggMT feed — pull raw Merge values, compute score in JS
@@ -2132,8 +3749,9 @@ app.get('/api/shoppers/personalization-feed', async (req, res) => {
           maxMerge(last_seen)                                                 AS last_seen,
           uniqMerge(unique_products)                                          AS unique_products
         FROM demo.pv_user_profile
-        WHERE user_id = '${userId}'
+        WHERE user_id = {userId:String}
         GROUP BY domain, category`,
+      query_params: { userId },
       format: 'JSONEachRow',
     })).json();
     const aggMs = Date.now() - t0;
@@ -2154,7 +3772,8 @@ app.get('/api/shoppers/personalization-feed', async (req, res) => {
       query: `
         SELECT count() AS total_events, uniq(domain) AS domains_visited,
                uniq(category) AS categories, min(viewed_at) AS earliest, max(viewed_at) AS latest
-        FROM demo.page_views WHERE user_id = '${userId}'`,
+        FROM demo.page_views WHERE user_id = {userId:String}`,
+      query_params: { userId },
       format: 'JSONEachRow',
     })).json();
     const stats = statsRows[0] || {};
@@ -2169,8 +3788,9 @@ app.get('/api/shoppers/personalization-feed', async (req, res) => {
     const t1 = Date.now();
     await (await ch.query({
       query: `SELECT domain, category, count() AS views, max(viewed_at) AS last_seen
-              FROM demo.page_views WHERE user_id = '${userId}'
-              GROUP BY domain, category ORDER BY views DESC LIMIT ${limit}`,
+              FROM demo.page_views WHERE user_id = {userId:String}
+              GROUP BY domain, category ORDER BY views DESC LIMIT {limit:UInt32}`,
+      query_params: { userId, limit },
       format: 'JSONEachRow',
     })).json();
     const rawMs = Date.now() - t1;
@@ -2191,7 +3811,7 @@ GROUP BY domain, category
 -- then rank by recency-weighted score: views / (1 + hours_since_last_visit)
 ORDER BY countMerge(view_count) DESC LIMIT ${limit};`,
     });
-  } catch (e) { res.status(400).json({ error: e.message }); }
+  } catch (e) { sendError(res, e); }
 });
 
 
@@ -2235,7 +3855,22 @@ app.post('/api/shoppers/simulate-pageview', async (req, res) => {
 
 // ─── SERVER START ─────────────────────────────────────────────────────────────
 const PORT = process.env.PORT || 3001;
-app.listen(PORT, () => console.log(`🚀 ClickHouse Explorer API running on :${PORT}`));
+app.listen(PORT, () => {
+  console.log(`🚀 ClickHouse Explorer API running on :${PORT}`);
+  ensureSandbox()
+    .then(() => SANDBOX_ENABLED && console.log(`🔒 Playground sandbox ready (user '${SANDBOX_USER}', readonly=2)`))
+    .catch(e => console.warn(`⚠️  Playground sandbox setup failed, will retry on first query: ${e.message}`))
+    // Until the sandbox exists there is nothing to grant to; ensureSandbox() grants pack tables once it does
+    .then(() => validatePacks(ch, ch_sandbox, SANDBOX_ENABLED ? tables => sandboxReady && grantSandboxRead(ch, tables) : null))
+    .then(validated => {
+      const { errors } = listChallengePacks();
+      const broken = validated.flatMap(p => p.challenges.filter(c => c.validation.status !== 'ok').map(c => `${p.id}/${c.id}`));
+      console.log(`🧩 ${validated.length} challenge pack(s) validated${broken.length ? ` — check ${broken.join(', ')}` : ''}`);
+      for (const e of errors) console.warn(`⚠️  Challenge pack ${e.file} skipped: ${e.errors.join('; ')}`);
+    })
+    .catch(e => console.warn(`⚠️  Challenge pack validation failed: ${e.message}`));
+  startScratchSweeper(ch);
+});
 
 
 
@@ -8,8 +8,14 @@ let logCharts = {};
 let costCharts = {};
 let lastQueryResults = [];
 
+// Client-generated query_id sent with every /api/query call so a run can be cancelled.
+// crypto.randomUUID() only exists in secure contexts; getRandomValues() works over plain HTTP too.
+const newQueryId = () => crypto.randomUUID?.()
+  ?? [...crypto.getRandomValues(new Uint8Array(16))].map(b => b.toString(16).padStart(2, '0')).join('');
+
 // ─── Navigation ──────────────────────────────────────────────────────────────
 function switchTab(tab, btn) {
+  if (tab !== 'logging') stopLogStream();
   document.querySelectorAll('.tab-panel').forEach(p => p.classList.remove('active'));
   document.querySelectorAll('.nav-item').forEach(n => n.classList.remove('active'));
   document.getElementById(`tab-${tab}`).classList.add('active');
@@ -18,7 +24,7 @@ function switchTab(tab, btn) {
   if (tab === 'logging') { loadLogSummary(); loadLogs(); }
   if (tab === 'costs') loadCosts();
   if (tab === 'cluster') loadCluster();
-  if (tab === 'query') loadPlaygroundTables();
+  if (tab === 'query') { loadPlaygroundTables(); loadSandboxInfo(); loadQueryLibrary(); }
   if (tab === 'challenges') loadChallenges();
   if (tab === 'schema') initSchemaDesigner();
   if (tab === 'benchmark') initBenchmark();
@@ -30,6 +36,8 @@ function switchTab(tab, btn) {
   if (tab === 'compare') initComparePage();
   if (tab === 'faq') initFaqPage();
   if (tab === 'k8s') initK8sPage();
+  if (tab === 'dashboards') initDashboardsPage();
+  if (tab === 'mistakes') loadLessonScratch();
 }
 
 // Navigate to a tab from within the Learning Guide (without needing a button ref)
@@ -122,6 +130,12 @@ const fmt = {
   num: v => Intl.NumberFormat('en', { notation: 'compact' }).format(Number(v)),
   usd: v => '$' + Number(v).toLocaleString('en', { minimumFractionDigits: 2, maximumFractionDigits: 2 }),
   ms: v => Number(v).toFixed(0) + ' ms',
+  bytes: v => {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let n = Number(v), i = 0;
+    while (n >= 1024 && i < units.length - 1) { n /= 1024; i++; }
+    return `${n.toFixed(i ? 1 : 0)} ${units[i]}`;
+  },
 };
 
 // ════════════════════════════════════════════════════════════════════════════════
@@ -256,6 +270,70 @@ async function loadLogSummary() {
   }
 }
 
+/** Parsed search terms and how many granules the skip indices let ClickHouse skip. */
+async function loadSearchPruning() {
+  const el = document.getElementById('log-search-stats');
+  const search = document.getElementById('log-search').value.trim();
+  if (!search) { el.innerHTML = ''; return; }
+  const qs = new URLSearchParams({
+    level: document.getElementById('log-level-filter').value,
+    service: document.getElementById('log-service-filter').value,
+    search,
+  });
+  try {
+    const data = await (await fetch(`${API}/logs/search/explain?${qs}`)).json();
+    if (data.error) throw new Error(data.error);
+    const skip = data.indexes.filter(i => i.type === 'Skip');
+    el.innerHTML = `
+      ${data.terms.map(t => `<span class="search-term${t.negate ? ' negated' : ''}">${t.negate ? 'NOT ' : ''}${t.field}${t.op ? ` ${t.op}` : ':'} ${escHtml(t.value)}</span>`).join('')}
+      <span class="search-pruning" title="${escHtml(data.where)}">
+        read ${data.granules.read ?? '—'} / ${data.granules.total ?? '—'} granules (${data.skippedPct}% skipped)
+        ${skip.length
+          ? skip.map(i => `· ${escHtml(i.name)}: ${i.granules.initial} → ${i.granules.selected}`).join(' ')
+          : '· no skip index used — exact-case =word (hasToken) or ="phrase" (LIKE) can use one'}
+      </span>`;
+  } catch (e) {
+    el.innerHTML = `<span style="color:var(--red)">⚠️ ${escHtml(e.message)}</span>`;
+  }
+}
+
+/** Log templates for the toolbar's level / service / search filters. */
+async function loadLogPatterns() {
+  const el = document.getElementById('logPatterns');
+  const qs = new URLSearchParams({
+    level: document.getElementById('log-level-filter').value,
+    service: document.getElementById('log-service-filter').value,
+    search: document.getElementById('log-search').value,
+  });
+  try {
+    const data = await (await fetch(`${API}/logs/patterns?${qs}`)).json();
+    if (data.error) throw new Error(data.error);
+    document.getElementById('log-patterns-new').textContent = data.newTemplates ? `${data.newTemplates} NEW` : '';
+    el.innerHTML = data.templates.length ? data.templates.map(t => `
+      <div class="pattern-row">
+        <div>
+          <div class="pattern-template">${t.is_new ? '<span class="pattern-new" title="Seen in the last hour, not in the 24h before">NEW</span> ' : ''}${escHtml(t.template).replace(/&lt;(num|uuid|hex|ip)&gt;/g, '<span class="ph">&lt;$1&gt;</span>')}</div>
+          <div class="pattern-meta">${t.levels.map(escHtml).join(', ')} · ${t.services.map(escHtml).join(', ')} · e.g. ${escHtml(t.example)}</div>
+        </div>
+        ${sparklineSvg(t.sparkline)}
+        <div class="pattern-count">${fmt.num(t.count)}</div>
+        <div class="pattern-seen">first ${t.first_seen.slice(5, 16)}<br>last ${t.last_seen.slice(5, 16)}</div>
+      </div>`).join('') : '<div class="loading-row">No log lines match your filters.</div>';
+  } catch (e) {
+    el.innerHTML = `<div class="loading-row" style="color:var(--red)">Error: ${escHtml(e.message)}</div>`;
+  }
+}
+
+/** Inline SVG bar sparkline, one bar per bucket. */
+function sparklineSvg(values, width = 120, height = 24) {
+  const max = Math.max(...values, 1);
+  const w = width / values.length;
+  return `<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">${values.map((v, i) => {
+    const h = v ? Math.max(1, v / max * height) : 0;
+    return `<rect x="${(i * w).toFixed(1)}" y="${(height - h).toFixed(1)}" width="${Math.max(w - 1, 1).toFixed(1)}" height="${h.toFixed(1)}" fill="var(--accent2)" />`;
+  }).join('')}</svg>`;
+}
+
 let logDebounce;
 function debounceLoadLogs() {
   clearTimeout(logDebounce);
@@ -267,33 +345,301 @@ async function loadLogs() {
   const service = document.getElementById('log-service-filter').value;
   const search = document.getElementById('log-search').value;
   const tbody = document.getElementById('logTableBody');
-  tbody.innerHTML = '<tr><td colspan="6" class="loading-row">⏳ Querying ClickHouse…</td></tr>';
+  tbody.innerHTML = '<tr><td colspan="8" class="loading-row">⏳ Querying ClickHouse…</td></tr>';
+  loadLogPatterns();
+  loadSearchPruning();
+  if (logLive.source) startLogStream();
 
   try {
     const qs = new URLSearchParams({ level, service, search, limit: 200 });
     const r = await fetch(`${API}/logs?${qs}`);
     const rows = await r.json();
+    if (rows.error) throw new Error(rows.error);
 
     if (!rows.length) {
-      tbody.innerHTML = '<tr><td colspan="6" class="loading-row">No logs match your filters.</td></tr>';
+      tbody.innerHTML = '<tr><td colspan="8" class="loading-row">No logs match your filters.</td></tr>';
       return;
     }
 
-    tbody.innerHTML = rows.map(row => `
-      <tr>
+    tbody.innerHTML = rows.map(row => logRowHtml(row)).join('');
+  } catch (e) {
+    tbody.innerHTML = `<tr><td colspan="8" class="loading-row" style="color:var(--red)">Error: ${e.message}</td></tr>`;
+  }
+}
+
+const escAttr = s => escHtml(s).replace(/"/g, '&quot;');
+
+function logRowHtml(row, cls = '') {
+  return `
+      <tr class="${cls}" data-ts="${escAttr(row.timestamp)}" data-host="${escAttr(row.host)}" data-service="${escAttr(row.service)}" data-message="${escAttr(row.message)}">
         <td style="white-space:nowrap;font-family:var(--mono);font-size:11px">${row.timestamp}</td>
         <td><span class="level-badge level-${row.level}">${row.level}</span></td>
         <td style="color:var(--accent2)">${row.service}</td>
         <td style="font-family:var(--mono);font-size:11px">${row.host}</td>
         <td style="font-family:var(--mono);font-size:11px">${row.duration_ms}ms</td>
+        <td><a class="trace-link" href="#" data-trace-id="${escHtml(row.trace_id)}" onclick="event.preventDefault(); openTrace(this.dataset.traceId)">${escHtml(row.trace_id)}</a></td>
         <td>${escHtml(row.message)}</td>
-      </tr>
-    `).join('');
+        <td><button class="btn btn-sm log-context-btn" onclick="toggleLogContext(this)" title="Show what the same host or service logged around this line">⋯ Context</button></td>
+      </tr>`;
+}
+
+// ─── Context around one line (GET /api/logs/context) ─────────────────────────
+const LOG_CONTEXT_LINES = 50;
+
+/** Open or close the inline context view under a log row. */
+function toggleLogContext(btn) {
+  const tr = btn.closest('tr');
+  if (tr.nextElementSibling?.classList.contains('log-context-row')) {
+    tr.nextElementSibling.remove();
+    return;
+  }
+  tr.insertAdjacentHTML('afterend', '<tr class="log-context-row"><td colspan="8"><div class="log-context"></div></td></tr>');
+  loadLogContext(tr, 'host');
+}
+
+/** @param {'host'|'service'} scope - which of the row's attributes the context shares */
+async function loadLogContext(tr, scope) {
+  const el = tr.nextElementSibling.querySelector('.log-context');
+  const { ts, host, service, message } = tr.dataset;
+  el.innerHTML = '<div class="loading-row">⏳ Loading context…</div>';
+  try {
+    const qs = new URLSearchParams({ timestamp: ts, before: LOG_CONTEXT_LINES, after: LOG_CONTEXT_LINES, [scope]: scope === 'host' ? host : service });
+    const data = await (await fetch(`${API}/logs/context?${qs}`)).json();
+    if (data.error) throw new Error(data.error);
+    el.innerHTML = `
+      <div class="log-context-head">
+        <button class="btn btn-sm${scope === 'host' ? ' active' : ''}" onclick="loadLogContext(this.closest('tr').previousElementSibling, 'host')">Same host · ${escHtml(host)}</button>
+        <button class="btn btn-sm${scope === 'service' ? ' active' : ''}" onclick="loadLogContext(this.closest('tr').previousElementSibling, 'service')">Same service · ${escHtml(service)}</button>
+        <span>${data.before} lines before · ${data.after} after</span>
+      </div>
+      <div class="log-context-lines">
+        <table class="log-table">
+          <tbody>${data.lines.map(l => `
+            <tr class="${l.position === 'at' && l.host === host && l.message === message ? 'log-context-anchor' : ''}">
+              <td style="white-space:nowrap;font-family:var(--mono);font-size:11px">${l.timestamp}</td>
+              <td><span class="level-badge level-${l.level}">${l.level}</span></td>
+              <td style="color:var(--accent2)">${escHtml(l.service)}</td>
+              <td style="font-family:var(--mono);font-size:11px">${escHtml(l.host)}</td>
+              <td>${escHtml(l.message)}</td>
+            </tr>`).join('')}
+          </tbody>
+        </table>
+      </div>`;
+    const anchor = el.querySelector('.log-context-anchor');
+    if (anchor) el.querySelector('.log-context-lines').scrollTop = anchor.offsetTop - 120;
+  } catch (e) {
+    el.innerHTML = `<div class="loading-row" style="color:var(--red)">Error: ${escHtml(e.message)}</div>`;
+  }
+}
+
+// ─── Traces (GET /api/traces, /api/traces/:trace_id) ──────────────────────────
+const TRACE_COLORS = ['#6366f1', '#10b981', '#f59e0b', '#ec4899', '#14b8a6', '#8b5cf6', '#60a5fa'];
+let slowTracesLoaded = false;
+
+/** Slowest traces touching the service selected in the toolbar. */
+async function loadSlowTraces() {
+  const panel = document.getElementById('tracePanel');
+  const body = document.getElementById('traceBody');
+  const qs = new URLSearchParams({
+    service: document.getElementById('log-service-filter').value,
+    minDurationMs: document.getElementById('trace-min-ms').value || 0,
+  });
+  panel.style.display = '';
+  body.innerHTML = '<div class="loading-row">⏳ Grouping app_logs by trace_id…</div>';
+  try {
+    const traces = await (await fetch(`${API}/traces?${qs}`)).json();
+    if (traces.error) throw new Error(traces.error);
+    slowTracesLoaded = true;
+    document.getElementById('trace-title').textContent = `🐢 Slow traces (24h, ≥ ${qs.get('minDurationMs')} ms)`;
+    body.innerHTML = traces.length ? `
+      <table class="log-table">
+        <thead><tr><th>Trace</th><th>Started</th><th>Duration</th><th>Root</th><th>Services</th><th>Lines</th></tr></thead>
+        <tbody>${traces.map(t => `
+          <tr>
+            <td><a class="trace-link" href="#" data-trace-id="${escHtml(t.trace_id)}" onclick="event.preventDefault(); openTrace(this.dataset.traceId)">${escHtml(t.trace_id)}</a></td>
+            <td style="font-family:var(--mono);font-size:11px">${t.started}</td>
+            <td style="font-family:var(--mono);font-size:11px">${fmt.ms(t.duration_ms)}</td>
+            <td style="color:var(--accent2)">${escHtml(t.root_service)}</td>
+            <td>${t.services.map(escHtml).join(' → ')}</td>
+            <td>${t.lines}${t.errors ? ` <span class="level-badge level-ERROR">${t.errors} ERROR</span>` : ''}</td>
+          </tr>`).join('')}
+        </tbody>
+      </table>` : '<div class="loading-row">No traces that slow — lower the threshold.</div>';
   } catch (e) {
-    tbody.innerHTML = `<tr><td colspan="6" class="loading-row" style="color:var(--red)">Error: ${e.message}</td></tr>`;
+    body.innerHTML = `<div class="loading-row" style="color:var(--red)">Error: ${escHtml(e.message)}</div>`;
   }
 }
 
+/** Waterfall of one trace: a bar per service span, then its log lines. */
+async function openTrace(traceId) {
+  const panel = document.getElementById('tracePanel');
+  const body = document.getElementById('traceBody');
+  panel.style.display = '';
+  panel.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  body.innerHTML = '<div class="loading-row">⏳ Loading trace…</div>';
+  try {
+    const t = await (await fetch(`${API}/traces/${encodeURIComponent(traceId)}`)).json();
+    if (t.error) throw new Error(t.error);
+    const total = Math.max(t.duration_ms, 1);
+    const pct = ms => `${(ms / total * 100).toFixed(2)}%`;
+    const color = {};
+    t.spans.forEach((s, i) => { color[s.service] = TRACE_COLORS[i % TRACE_COLORS.length]; });
+    document.getElementById('trace-title').textContent =
+      `🧵 ${t.trace_id} — ${fmt.ms(t.duration_ms)}, ${t.spans.length} service${t.spans.length === 1 ? '' : 's'}, started ${t.started}`;
+    body.innerHTML = `
+      ${slowTracesLoaded ? '<button class="btn btn-sm" onclick="loadSlowTraces()">← Slow traces</button>' : ''}
+      <div class="trace-waterfall">
+        ${t.spans.map(s => `
+          <div class="trace-row">
+            <div class="trace-label" title="${escHtml(s.hosts.join(', '))}">${escHtml(s.service)}</div>
+            <div class="trace-track">
+              <div class="trace-bar${s.errors ? ' error' : ''}" style="left:${pct(s.offset_ms)};width:max(${pct(s.duration_ms)}, 2px);background:${color[s.service]}"
+                title="+${s.offset_ms} ms, ${s.duration_ms} ms, ${s.lines} lines${s.errors ? `, ${s.errors} errors` : ''}"></div>
+            </div>
+            <div class="trace-dur">${fmt.ms(s.duration_ms)}</div>
+          </div>`).join('')}
+      </div>
+      <table class="log-table">
+        <thead><tr><th>+ms</th><th>Level</th><th>Service</th><th>Host</th><th>Duration</th><th>Message</th></tr></thead>
+        <tbody>${t.lines.map(l => `
+          <tr>
+            <td style="font-family:var(--mono);font-size:11px">+${l.offset_ms}</td>
+            <td><span class="level-badge level-${l.level}">${l.level}</span></td>
+            <td style="color:${color[l.service]}">${escHtml(l.service)}</td>
+            <td style="font-family:var(--mono);font-size:11px">${escHtml(l.host)}</td>
+            <td style="font-family:var(--mono);font-size:11px">${l.duration_ms}ms</td>
+            <td>${escHtml(l.message)}</td>
+          </tr>`).join('')}
+        </tbody>
+      </table>`;
+  } catch (e) {
+    body.innerHTML = `<div class="loading-row" style="color:var(--red)">Error: ${escHtml(e.message)}</div>`;
+  }
+}
+
+function closeTracePanel() {
+  document.getElementById('tracePanel').style.display = 'none';
+  slowTracesLoaded = false;
+}
+
+// ─── Live tail (GET /api/logs/stream, Server-Sent Events) ─────────────────────
+const LOG_LIVE_MAX_ROWS = 1000;   // oldest rows are dropped beyond this (table and pause buffer)
+const LOG_RATE_WINDOW_MS = 10_000;
+// lastTs / lastIds: newest second received and its row ids. After a reconnect the
+// server resends that second (it resumes from Last-Event-ID), and these are dropped.
+const logLive = { source: null, paused: false, buffer: [], dropped: 0, arrivals: [], rateTimer: null, lastTs: null, lastIds: new Set() };
+
+function toggleLogLive() {
+  if (logLive.source) stopLogStream();
+  else startLogStream();
+}
+
+/** (Re)open the stream with the toolbar's current filters. */
+function startLogStream() {
+  if (logLive.source) logLive.source.close();
+  const qs = new URLSearchParams({
+    level: document.getElementById('log-level-filter').value,
+    service: document.getElementById('log-service-filter').value,
+    search: document.getElementById('log-search').value,
+  });
+  const source = new EventSource(`${API}/logs/stream?${qs}`);
+  source.addEventListener('logs', e => onLiveLogs(JSON.parse(e.data).rows));
+  source.addEventListener('stream-error', e => {
+    document.getElementById('log-live-rate').textContent = `⚠️ ${JSON.parse(e.data).error}`;
+  });
+  // A dropped connection is retried by the EventSource; a refused one (429, bad search) closes it
+  source.addEventListener('error', () => {
+    if (source.readyState !== EventSource.CLOSED || logLive.source !== source) return;
+    stopLogStream();
+    document.getElementById('log-live-rate').textContent = '⚠️ Live tail refused — too many live tails open (stop one in another tab) or the search is invalid';
+  });
+  Object.assign(logLive, { source, paused: false, buffer: [], dropped: 0, arrivals: [], lastTs: null, lastIds: new Set() });
+  clearInterval(logLive.rateTimer);
+  logLive.rateTimer = setInterval(renderLogRate, 1000);
+  document.getElementById('logTableWrap').classList.add('live');
+  const btn = document.getElementById('log-live-btn');
+  btn.classList.add('on');
+  btn.textContent = '■ Stop live';
+  const pause = document.getElementById('log-pause-btn');
+  pause.disabled = false;
+  pause.textContent = '⏸ Pause';
+  renderLogRate();
+}
+
+function stopLogStream() {
+  if (!logLive.source) return;
+  logLive.source.close();
+  clearInterval(logLive.rateTimer);
+  Object.assign(logLive, { source: null, paused: false, buffer: [], dropped: 0, arrivals: [], rateTimer: null, lastTs: null, lastIds: new Set() });
+  document.getElementById('logTableWrap').classList.remove('live');
+  const btn = document.getElementById('log-live-btn');
+  btn.classList.remove('on');
+  btn.textContent = '● Live';
+  const pause = document.getElementById('log-pause-btn');
+  pause.disabled = true;
+  pause.textContent = '⏸ Pause';
+  document.getElementById('log-live-rate').textContent = '';
+}
+
+// Paused: the stream keeps running and lines queue up until resume
+function toggleLogPause() {
+  logLive.paused = !logLive.paused;
+  if (!logLive.paused) {
+    prependLogRows(logLive.buffer);
+    logLive.buffer = [];
+    logLive.dropped = 0;
+  }
+  renderLogPause();
+}
+
+function renderLogPause() {
+  document.getElementById('log-pause-btn').textContent = logLive.paused
+    ? `▶ Resume${logLive.buffer.length ? ` (${(logLive.buffer.length + logLive.dropped).toLocaleString()} new${logLive.dropped ? `, newest ${logLive.buffer.length.toLocaleString()} kept` : ''})` : ''}`
+    : '⏸ Pause';
+}
+
+function onLiveLogs(batch) {
+  const rows = batch.filter(r => !(r.timestamp === logLive.lastTs && logLive.lastIds.has(r.id)));
+  if (!rows.length) return;
+  const last = rows[rows.length - 1].timestamp;
+  if (last !== logLive.lastTs) Object.assign(logLive, { lastTs: last, lastIds: new Set() });
+  rows.filter(r => r.timestamp === last).forEach(r => logLive.lastIds.add(r.id));
+
+  logLive.arrivals.push({ t: Date.now(), n: rows.length });
+  if (logLive.paused) {
+    logLive.buffer.push(...rows);
+    const over = logLive.buffer.length - LOG_LIVE_MAX_ROWS;
+    if (over > 0) {
+      logLive.buffer.splice(0, over);
+      logLive.dropped += over;
+    }
+    renderLogPause();
+  } else {
+    prependLogRows(rows);
+  }
+  renderLogRate();
+}
+
+/** Rows arrive oldest first; the table shows newest first. */
+function prependLogRows(rows) {
+  if (!rows.length) return;
+  const wrap = document.getElementById('logTableWrap');
+  const tbody = document.getElementById('logTableBody');
+  tbody.querySelector('.loading-row')?.parentElement.remove();
+  const before = wrap.scrollHeight;
+  tbody.insertAdjacentHTML('afterbegin', rows.slice().reverse().map(r => logRowHtml(r, 'log-row-new')).join(''));
+  while (tbody.rows.length > LOG_LIVE_MAX_ROWS) tbody.lastElementChild.remove();
+  if (document.getElementById('log-autoscroll').checked) wrap.scrollTop = 0;
+  else wrap.scrollTop += wrap.scrollHeight - before;  // keep the lines being read in place
+}
+
+function renderLogRate() {
+  const now = Date.now();
+  logLive.arrivals = logLive.arrivals.filter(a => now - a.t < LOG_RATE_WINDOW_MS);
+  const lines = logLive.arrivals.reduce((s, a) => s + a.n, 0);
+  document.getElementById('log-live-rate').textContent = `${(lines / (LOG_RATE_WINDOW_MS / 1000)).toFixed(1)} lines/s`;
+}
+
 // ════════════════════════════════════════════════════════════════════════════════
 // COSTS
 // ════════════════════════════════════════════════════════════════════════════════
@@ -519,56 +865,209 @@ function setQuery(sql) {
 }
 
 function clearQuery() {
+  activeSavedQuery = null;
   document.getElementById('queryEditor').value = '';
   document.getElementById('queryResultsWrap').style.display = 'none';
   document.getElementById('queryStatus').textContent = '';
 }
 
+const QUERY_PAGE_SIZE = 500;
+let queryCursor = null;      // server-side cursor id while more pages are available
+let queryPageLoading = null; // AbortController of the next-page fetch in flight
+let querySummary = {};
+let queryTruncated = false;  // the last page hit the sandbox's result row limit
+let queryColumns = [];       // [{ name, type }] from the stream's meta line
+let runningQueryId = null;   // query_id of the playground run in flight (for Stop)
+let queryElapsedMs = 0;
+
+/** Read an NDJSON response body line by line. */
+async function readNdjson(r, onLine) {
+  const reader = r.body.getReader();
+  const dec = new TextDecoder();
+  let buf = '';
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buf += dec.decode(value, { stream: true });
+    let nl;
+    while ((nl = buf.indexOf('\n')) >= 0) {
+      const line = buf.slice(0, nl);
+      buf = buf.slice(nl + 1);
+      if (line.trim()) onLine(JSON.parse(line));
+    }
+  }
+  if (buf.trim()) onLine(JSON.parse(buf));
+}
+
+function closeQueryCursor() {
+  queryPageLoading?.abort();
+  queryPageLoading = null;
+  if (queryCursor) fetch(`${API}/query/stream/${queryCursor}`, { method: 'DELETE' }).catch(() => { });
+  queryCursor = null;
+}
+
+function appendResultRows(rows) {
+  if (!rows.length) return;
+  const table = document.getElementById('resultsTable');
+  if (!lastQueryResults.length) {
+    const cols = Object.keys(rows[0]);
+    table.innerHTML = `<thead><tr>${cols.map(c => `<th>${escHtml(c)}</th>`).join('')}</tr></thead><tbody></tbody>`;
+    document.getElementById('queryResultsWrap').style.display = 'block';
+  }
+  const cols = [...table.querySelectorAll('thead th')].map(th => th.textContent);
+  table.tBodies[0].insertAdjacentHTML('beforeend',
+    rows.map(row => `<tr>${cols.map(c => `<td>${escHtml(String(row[c] ?? ''))}</td>`).join('')}</tr>`).join(''));
+  lastQueryResults.push(...rows);
+}
+
+function renderQueryStatus() {
+  const status = document.getElementById('queryStatus');
+  // Rows stream while the query runs: until the last page brings the final progress,
+  // the totals only cover what was read before the first rows were sent
+  const more = Boolean(queryCursor);
+  const shown = lastQueryResults.length;
+  const atLeast = more ? '≥ ' : '';
+  const bytes = querySummary.read_bytes ? ` · ${atLeast}${fmt.bytes(querySummary.read_bytes)} read` : '';
+  const scanned = querySummary.read_rows ? ` · ${atLeast}${fmt.num(querySummary.read_rows)} rows scanned` : '';
+  const truncated = queryTruncated ? ' (truncated)' : '';
+  status.textContent = `✅ ${shown.toLocaleString()}${more ? '+' : ''} row${shown !== 1 ? 's' : ''}${truncated}${scanned}${bytes} in ${queryElapsedMs}ms`;
+  status.className = 'query-status ok';
+  document.getElementById('resultsCount').textContent = more
+    ? `Showing the first ${shown.toLocaleString()} rows — scroll for more`
+    : queryTruncated
+      ? `${shown.toLocaleString()} rows — the result was cut off at the playground's row limit; add a LIMIT or aggregate`
+      : `${shown.toLocaleString()} row${shown !== 1 ? 's' : ''}`;
+}
+
+/**
+ * Consume one NDJSON page: meta (first page only) → rows chunks → page trailer.
+ * The last trailer carries the query's final totals.
+ */
+async function consumeResultPage(r) {
+  await readNdjson(r, msg => {
+    if (msg.type === 'meta') { querySummary = msg.summary || {}; queryColumns = msg.columns || []; }
+    else if (msg.type === 'rows') appendResultRows(msg.rows);
+    else if (msg.type === 'page') {
+      queryCursor = msg.has_more ? msg.cursor : null;
+      if (!msg.has_more) {
+        querySummary = msg.summary || querySummary;
+        queryTruncated = Boolean(msg.truncated);
+      }
+    } else if (msg.type === 'error') throw Object.assign(new Error(msg.error), { hint: msg.hint });
+  });
+  renderQueryStatus();
+  renderQueryChart();
+}
+
 async function runQuery() {
   const sql = document.getElementById('queryEditor').value.trim();
   const status = document.getElementById('queryStatus');
   const wrap = document.getElementById('queryResultsWrap');
   if (!sql) { status.textContent = 'Please enter a SQL query.'; status.className = 'query-status err'; return; }
 
+  // A query that is only paging can be replaced; one still producing its first page cannot
+  if (runningQueryId && !queryCursor) return;
+  closeQueryCursor();
+  lastQueryResults = [];
+  querySummary = {};
+  queryTruncated = false;
+  queryColumns = [];
+  queryChart = parseChartComment(sql);
+  document.getElementById('queryChartWrap').style.display = 'none';
   status.className = 'query-status';
   status.textContent = '⏳ Running query…';
   wrap.style.display = 'none';
+  setQueryRunning(newQueryId());
 
   const t0 = Date.now();
   try {
-    const r = await fetch(`${API}/query`, {
+    const r = await fetch(`${API}/query/stream`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ sql }),
+      body: JSON.stringify({ sql, page_size: QUERY_PAGE_SIZE, query_id: runningQueryId }),
     });
-    const data = await r.json();
-    const ms = Date.now() - t0;
 
-    if (data.error) {
-      status.textContent = `❌ Error: ${data.error}`;
+    if (!r.ok) {
+      const data = await r.json();
+      if (data.code === 'QUERY_CANCELLED') {
+        status.textContent = `⏹ Query cancelled after ${((Date.now() - t0) / 1000).toFixed(1)}s.`;
+      } else {
+        status.innerHTML = `❌ Error: ${escHtml(data.error)}${data.hint ? `<div class="query-hint">🔒 ${escHtml(data.hint)}</div>` : ''}`;
+      }
       status.className = 'query-status err';
       return;
     }
 
-    lastQueryResults = data.rows;
-    status.textContent = `✅ ${data.count} row${data.count !== 1 ? 's' : ''} in ${ms}ms`;
-    status.className = 'query-status ok';
+    queryElapsedMs = Date.now() - t0;
+    await consumeResultPage(r);
+    document.querySelector('#queryResultsWrap .results-table-wrap').scrollTop = 0;
+  } catch (e) {
+    status.innerHTML = `❌ ${escHtml(e.message)}${e.hint ? `<div class="query-hint">🔒 ${escHtml(e.hint)}</div>` : ''}`;
+    status.className = 'query-status err';
+  } finally {
+    // Stop stays available while later pages can still be fetched
+    setQueryRunning(queryCursor ? runningQueryId : null);
+    if (queryLibraryView === 'history') loadQueryLibrary();
+  }
+}
 
-    if (!data.rows.length) { wrap.style.display = 'none'; return; }
+function setQueryRunning(queryId) {
+  runningQueryId = queryId;
+  document.getElementById('queryRunBtn').disabled = !!queryId && !queryCursor;
+  const stop = document.getElementById('queryStopBtn');
+  stop.style.display = queryId ? '' : 'none';
+  stop.disabled = false;
+}
 
-    const cols = Object.keys(data.rows[0]);
-    const table = document.getElementById('resultsTable');
-    table.innerHTML = `
-      <thead><tr>${cols.map(c => `<th>${c}</th>`).join('')}</tr></thead>
-      <tbody>
-        ${data.rows.map(row => `<tr>${cols.map(c => `<td>${escHtml(String(row[c] ?? ''))}</td>`).join('')}</tr>`).join('')}
-      </tbody>
-    `;
-    document.getElementById('resultsCount').textContent = `${data.count} row${data.count !== 1 ? 's' : ''}`;
-    wrap.style.display = 'block';
+/**
+ * Stop the running playground query: the backend issues KILL QUERY for its query_id.
+ * Once rows are paging, closing the cursor aborts the query instead.
+ */
+async function stopQuery() {
+  if (!runningQueryId) return;
+  if (queryCursor) {
+    closeQueryCursor();
+    setQueryRunning(null);
+    const shown = lastQueryResults.length;
+    document.getElementById('resultsCount').textContent = `${shown.toLocaleString()} row${shown !== 1 ? 's' : ''} — stopped`;
+    document.getElementById('queryStatus').textContent = `⏹ Query stopped after ${shown.toLocaleString()} row${shown !== 1 ? 's' : ''}.`;
+    return;
+  }
+  const stop = document.getElementById('queryStopBtn');
+  stop.disabled = true;
+  document.getElementById('queryStatus').textContent = '⏹ Cancelling…';
+  try {
+    const r = await fetch(`${API}/query/${runningQueryId}/cancel`, { method: 'POST' });
+    // 404 means the query finished before the KILL landed — its result renders as usual
+    if (!r.ok && r.status !== 404) throw new Error((await r.json()).error);
   } catch (e) {
-    status.textContent = `❌ Network error: ${e.message}`;
-    status.className = 'query-status err';
+    document.getElementById('queryStatus').textContent = `⚠️ Could not cancel: ${e.message}`;
+    stop.disabled = false;
+  }
+}
+
+/** Fetch the next page when the results table is scrolled near its bottom. */
+async function loadMoreResults() {
+  if (!queryCursor || queryPageLoading) return;
+  const abort = queryPageLoading = new AbortController();
+  document.getElementById('resultsCount').textContent = `Loading more… (${lastQueryResults.length.toLocaleString()} loaded)`;
+  try {
+    const r = await fetch(`${API}/query/stream/${queryCursor}?page_size=${QUERY_PAGE_SIZE}`, { signal: abort.signal });
+    if (!r.ok) {
+      const data = await r.json();
+      queryCursor = null;
+      document.getElementById('resultsCount').textContent = `⚠️ ${data.error}`;
+      return;
+    }
+    await consumeResultPage(r);
+  } catch (e) {
+    // Stop or a new run aborted this fetch and has already updated the UI
+    if (abort.signal.aborted) return;
+    queryCursor = null; // the server closes a cursor whose stream failed
+    document.getElementById('resultsCount').textContent = `⚠️ ${e.message}${e.hint ? ` — ${e.hint}` : ''}`;
+  } finally {
+    if (queryPageLoading === abort) queryPageLoading = null;
+    if (!queryCursor && !abort.signal.aborted) setQueryRunning(null);
   }
 }
 
@@ -576,6 +1075,457 @@ function copyResults() {
   navigator.clipboard.writeText(JSON.stringify(lastQueryResults, null, 2));
 }
 
+// ─── Result Export ────────────────────────────────────────────────────────────
+// ClickHouse output format → button label. Shared by the playground, Shoppers
+// Paradise cards (shoppers.js) and the DBA tables browser (features.js).
+const EXPORT_FORMATS = { CSVWithNames: 'CSV', TSV: 'TSV', Parquet: 'Parquet', JSONEachRow: 'JSON', Arrow: 'Arrow' };
+
+/** Row of export buttons; `handler` is the name of a global fn(format, btn, ...args). */
+function exportButtons(handler, ...args) {
+  const extra = args.map(a => `, ${JSON.stringify(a).replace(/"/g, '&quot;')}`).join('');
+  return `<span class="export-btns">⬇ ${Object.entries(EXPORT_FORMATS).map(([f, label]) =>
+    `<button class="export-btn" onclick="${handler}('${f}', this${extra})">${label}</button>`).join('')}</span>`;
+}
+
+/** POST to /api/query/export and save the streamed file under the server's filename. */
+async function downloadExport(body, format, btn) {
+  const label = btn?.textContent;
+  if (btn) { btn.disabled = true; btn.textContent = '…'; }
+  try {
+    const r = await fetch(`${API}/query/export?format=${format}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    if (!r.ok) {
+      // Errors from the route are JSON; a proxy or body-size rejection may not be
+      const text = await r.text();
+      let message = `HTTP ${r.status}`;
+      try {
+        const data = JSON.parse(text);
+        message = [data.error || message, data.hint].filter(Boolean).join('\n\n');
+      } catch { /* not JSON */ }
+      throw new Error(message);
+    }
+    const name = r.headers.get('Content-Disposition')?.match(/filename="([^"]+)"/)?.[1] || `export.${format}`;
+    const url = URL.createObjectURL(await r.blob());
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = name;
+    a.click();
+    URL.revokeObjectURL(url);
+  } catch (e) {
+    alert(`Export failed: ${e.message}`);
+  } finally {
+    if (btn) { btn.disabled = false; btn.textContent = label; }
+  }
+}
+
+/** Export the full result of the editor SQL — not just the pages loaded so far. */
+function exportResults(format, btn) {
+  const sql = document.getElementById('queryEditor').value.trim();
+  if (!sql) return;
+  downloadExport({ sql, filename: activeSavedQuery?.name || 'query' }, format, btn);
+}
+
+async function loadSandboxInfo() {
+  const el = document.getElementById('sandboxBadge');
+  if (!el) return;
+  try {
+    const r = await fetch(`${API}/query/sandbox`);
+    const d = await r.json();
+    if (!d.enabled) { el.textContent = '⚠️ Sandbox off'; el.title = 'Playground SQL runs as the admin user'; return; }
+    const l = d.limits;
+    el.textContent = `🔒 Read-only sandbox · ${l.max_execution_time.value}s · ${fmt.num(l.max_result_rows.value)} rows`;
+    el.title = Object.entries(l).map(([k, v]) => `${k} = ${Number(v.value).toLocaleString()} ${v.unit}`).join('\n');
+  } catch { el.textContent = ''; }
+}
+
+// ─── Playground Auto-Chart ────────────────────────────────────────────────────
+// The chart config travels inside the SQL as a `-- chart: {…}` comment line, so
+// saved queries, copied links and snippets all reproduce the same chart.
+const CHART_COMMENT = /^--\s*chart:\s*(\{.*\})\s*$/m;
+const CHART_TYPES = ['line', 'bar', 'stacked', 'pie'];
+const MAX_CHART_GROUPS = 12;
+let queryChart = null;             // { type, x, y: [...], group } — null = infer from columns
+
+const unwrapType = t => (t || '').replace(/^(Nullable|LowCardinality)\((.*)\)$/, '$2').replace(/^(Nullable|LowCardinality)\((.*)\)$/, '$2');
+const isTimeType = t => /^Date(Time)?(32|64)?\b/.test(unwrapType(t));
+const isNumericType = t => /^(U?Int\d+|Float\d+|Decimal)/.test(unwrapType(t));
+const isLabelType = t => /^(String|FixedString|Enum|UUID|IPv)/.test(unwrapType(t));
+
+function parseChartComment(sql) {
+  const m = sql.match(CHART_COMMENT);
+  if (!m) return null;
+  try {
+    const c = JSON.parse(m[1]);
+    return CHART_TYPES.includes(c.type) && Array.isArray(c.y) ? c : null;
+  } catch { return null; }
+}
+
+/** Put (or replace) the chart comment as the first line of the SQL. */
+function withChartComment(sql, chart) {
+  const body = sql.replace(CHART_COMMENT, '').replace(/^\s*\n/, '');
+  return chart ? `-- chart: ${JSON.stringify(chart)}\n${body}` : body;
+}
+
+/** Defaults: time column → X, numeric columns → series, a low-cardinality string → groups. */
+function inferChart(columns, rows) {
+  const numeric = columns.filter(c => isNumericType(c.type)).map(c => c.name);
+  const time = columns.find(c => isTimeType(c.type))?.name;
+  const labels = columns.filter(c => isLabelType(c.type)).map(c => c.name);
+  const lowCard = labels.find(n => new Set(rows.map(r => r[n])).size <= MAX_CHART_GROUPS);
+  if (time && numeric.length) {
+    return lowCard
+      ? { type: 'line', x: time, y: [numeric[0]], group: lowCard }
+      : { type: 'line', x: time, y: numeric };
+  }
+  const x = labels[0] || (numeric.length > 1 ? numeric[0] : null);
+  const y = numeric.filter(n => n !== x);
+  if (!x || !y.length) return null;
+  return { type: rows.length <= 8 && y.length === 1 ? 'pie' : 'bar', x, y };
+}
+
+function chartDatasets(chart, rows) {
+  const color = i => CH_COLORS[i % CH_COLORS.length];
+  if (chart.type === 'pie') {
+    return {
+      labels: rows.map(r => r[chart.x]),
+      datasets: [{ data: rows.map(r => Number(r[chart.y[0]])), backgroundColor: CH_COLORS, borderWidth: 2, borderColor: '#0d0f17' }],
+    };
+  }
+  const style = i => ({
+    backgroundColor: color(i) + (chart.type === 'line' ? '22' : '99'),
+    borderColor: color(i),
+    borderWidth: 2,
+    tension: 0.3,
+    pointRadius: rows.length > 60 ? 0 : 2,
+  });
+  if (chart.group) {
+    const labels = [...new Set(rows.map(r => r[chart.x]))];
+    const groups = [...new Set(rows.map(r => r[chart.group]))].slice(0, MAX_CHART_GROUPS);
+    const sums = new Map();
+    for (const r of rows) {
+      const k = `${r[chart.group]}\u0000${r[chart.x]}`;
+      sums.set(k, (sums.get(k) || 0) + Number(r[chart.y[0]]));
+    }
+    return {
+      labels,
+      datasets: groups.map((g, i) => ({ label: String(g), data: labels.map(x => sums.get(`${g}\u0000${x}`) ?? 0), ...style(i) })),
+    };
+  }
+  return {
+    labels: rows.map(r => r[chart.x]),
+    datasets: chart.y.map((y, i) => ({ label: y, data: rows.map(r => Number(r[y])), ...style(i) })),
+  };
+}
+
+function renderQueryChart() {
+  const wrap = document.getElementById('queryChartWrap');
+  const names = queryColumns.map(c => c.name);
+  const pinned = queryChart && names.includes(queryChart.x) && queryChart.y.every(y => names.includes(y));
+  const chart = pinned ? queryChart : inferChart(queryColumns, lastQueryResults);
+  if (!chart || !lastQueryResults.length) { wrap.style.display = 'none'; return; }
+  queryChart = chart;
+  wrap.style.display = 'block';
+  renderChartControls(chart);
+
+  const { labels, datasets } = chartDatasets(chart, lastQueryResults);
+  const stacked = chart.type === 'stacked';
+  const axis = { ticks: { color: '#64748b', font: { size: 10 } }, grid: { color: 'rgba(255,255,255,0.05)' }, stacked };
+  buildChart('queryChart', chart.type === 'stacked' ? 'bar' : chart.type, labels, datasets, {
+    scales: { x: axis, y: axis },
+    plugins: { legend: { display: datasets.length > 1 || chart.type === 'pie', position: chart.type === 'pie' ? 'right' : 'top' } },
+    extra: { animation: { duration: 0 } },
+  });
+}
+
+function renderChartControls(chart) {
+  document.querySelectorAll('.chart-type-btn').forEach(b => b.classList.toggle('active', b.dataset.type === chart.type));
+  const opt = (name, selected) => `<option value="${escHtml(name)}" ${selected ? 'selected' : ''}>${escHtml(name)}</option>`;
+  const numeric = queryColumns.filter(c => isNumericType(c.type)).map(c => c.name);
+  document.getElementById('chartX').innerHTML = queryColumns.map(c => opt(c.name, c.name === chart.x)).join('');
+  document.getElementById('chartY').innerHTML =
+    `<option value="*" ${chart.y.length > 1 ? 'selected' : ''}>all numeric</option>` +
+    numeric.map(n => opt(n, chart.y.length === 1 && chart.y[0] === n)).join('');
+  document.getElementById('chartGroup').innerHTML =
+    `<option value="">none</option>` +
+    queryColumns.filter(c => isLabelType(c.type) && c.name !== chart.x).map(c => opt(c.name, c.name === chart.group)).join('');
+}
+
+/** A chart control changed: rebuild the config, write it into the SQL and redraw. */
+function updateQueryChart(change) {
+  if (!queryChart) return;
+  const next = { ...queryChart, ...change };
+  if (next.y === '*') next.y = queryColumns.filter(c => isNumericType(c.type) && c.name !== next.x).map(c => c.name);
+  else if (typeof next.y === 'string') next.y = [next.y];
+  if (!next.group) delete next.group;
+  else if (next.y.length > 1) next.y = next.y.slice(0, 1);   // grouped charts plot one measure
+  if (!next.y.length) return;
+  queryChart = next;
+  const editor = document.getElementById('queryEditor');
+  editor.value = withChartComment(editor.value, queryChart);
+  renderQueryChart();
+}
+
+function hideQueryChart() {
+  const editor = document.getElementById('queryEditor');
+  editor.value = withChartComment(editor.value, null);
+  document.getElementById('queryChartWrap').style.display = 'none';
+}
+
+/** Link that opens the playground with this SQL + chart and runs it. */
+function copyQueryLink(btn) {
+  const sql = withChartComment(document.getElementById('queryEditor').value.trim(), queryChart);
+  const encoded = btoa(unescape(encodeURIComponent(sql))).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  copyWithFeedback(`${location.origin}${location.pathname}#sql=${encoded}`, btn);
+}
+
+function copyQuerySnippet(btn) {
+  copyWithFeedback(withChartComment(document.getElementById('queryEditor').value.trim(), queryChart), btn);
+}
+
+function copyWithFeedback(text, btn) {
+  navigator.clipboard.writeText(text).then(() => {
+    const label = btn.textContent;
+    btn.textContent = '✓ Copied';
+    setTimeout(() => { btn.textContent = label; }, 1500);
+  });
+}
+
+// ─── Saved Queries & History (playground sidebar) ─────────────────────────────
+let queryLibraryView = 'saved';   // 'saved' | 'history'
+let queryLibraryTag = '';
+let queryLibraryItems = [];
+let activeSavedQuery = null;      // saved query currently loaded in the editor
+let libraryDebounce;
+
+function debounceLoadQueryLibrary() {
+  clearTimeout(libraryDebounce);
+  libraryDebounce = setTimeout(loadQueryLibrary, 300);
+}
+
+function switchQueryLibrary(view) {
+  queryLibraryView = view;
+  document.querySelectorAll('.pg-lib-tab').forEach(b => b.classList.toggle('active', b.dataset.view === view));
+  loadQueryLibrary();
+}
+
+async function loadQueryLibrary() {
+  const el = document.getElementById('pgLibList');
+  if (!el) return;
+  const search = document.getElementById('pgLibSearch').value.trim();
+  const params = new URLSearchParams({ search });
+  try {
+    if (queryLibraryView === 'saved') {
+      if (queryLibraryTag) params.set('tag', queryLibraryTag);
+      const [rows, tags] = await Promise.all([
+        fetch(`${API}/saved-queries?${params}`).then(r => r.json()),
+        fetch(`${API}/saved-queries/tags`).then(r => r.json()),
+      ]);
+      if (rows.error) throw new Error(rows.error);
+      queryLibraryItems = rows;
+      renderLibraryTags(Array.isArray(tags) ? tags : []);
+      el.innerHTML = rows.length ? rows.map(renderSavedItem).join('')
+        : '<div class="pg-lib-empty">No saved queries yet — write one and hit 💾 Save.</div>';
+    } else {
+      params.set('limit', 50);
+      const rows = await (await fetch(`${API}/query-history?${params}`)).json();
+      if (rows.error) throw new Error(rows.error);
+      queryLibraryItems = rows;
+      renderLibraryTags([]);
+      el.innerHTML = rows.length ? rows.map(renderHistoryItem).join('')
+        : '<div class="pg-lib-empty">No history yet — every playground run is recorded here.</div>';
+    }
+  } catch (e) {
+    el.innerHTML = `<div class="pg-lib-empty">⚠️ ${escHtml(e.message)}</div>`;
+  }
+}
+
+function renderLibraryTags(tags) {
+  const el = document.getElementById('pgLibTags');
+  el.innerHTML = tags.map(t => `
+    <button class="pg-lib-tag ${t.tag === queryLibraryTag ? 'active' : ''}" onclick="filterLibraryTag('${escHtml(t.tag)}')">#${escHtml(t.tag)} <span>${t.count}</span></button>
+  `).join('');
+}
+
+function filterLibraryTag(tag) {
+  queryLibraryTag = queryLibraryTag === tag ? '' : tag;
+  loadQueryLibrary();
+}
+
+function renderSavedItem(q, i) {
+  return `
+    <div class="pg-lib-item ${activeSavedQuery?.id === q.id ? 'active' : ''}">
+      <div class="pg-lib-name" onclick="openLibraryItem(${i})" title="${escHtml(q.sql)}">${q.starred ? '⭐ ' : ''}${escHtml(q.name)}</div>
+      ${q.tags.length ? `<div class="pg-lib-meta">${q.tags.map(t => `#${escHtml(t)}`).join(' ')}</div>` : ''}
+      <div class="pg-lib-actions">
+        <button onclick="rerunLibraryItem(${i})" title="Run">▶</button>
+        <button onclick="toggleStarSaved(${i})" title="${q.starred ? 'Unstar' : 'Star'}">${q.starred ? '★' : '☆'}</button>
+        <button onclick="renameSaved(${i})" title="Rename">✎</button>
+        <button onclick="retagSaved(${i})" title="Edit tags">🏷</button>
+        <button onclick="shareSaved(${i}, this)" title="Copy share link">🔗</button>
+        <button onclick="deleteSaved(${i})" title="Delete">🗑</button>
+      </div>
+    </div>`;
+}
+
+function renderHistoryItem(h, i) {
+  const icon = { ok: '🟢', error: '🔴', pending: '⚪' }[h.status];
+  const meta = h.status === 'pending'
+    ? 'waiting for query_log…'
+    : `${fmt.ms(h.duration_ms)} · ${fmt.num(h.read_rows)} rows read`;
+  return `
+    <div class="pg-lib-item">
+      <div class="pg-lib-name pg-lib-sql" onclick="openLibraryItem(${i})" title="${escHtml(h.error || h.sql)}">${icon} ${escHtml(h.sql.replace(/\s+/g, ' ').slice(0, 80))}</div>
+      <div class="pg-lib-meta">${new Date(h.started_at).toLocaleTimeString()} · ${meta}</div>
+      <div class="pg-lib-actions">
+        <button onclick="rerunLibraryItem(${i})" title="Re-run">▶</button>
+        <button onclick="saveHistoryItem(${i})" title="Save">💾</button>
+        <button onclick="deleteHistoryItem(${i})" title="Remove from history">🗑</button>
+      </div>
+    </div>`;
+}
+
+function openLibraryItem(i) {
+  const item = queryLibraryItems[i];
+  setQuery(item.sql);
+  activeSavedQuery = queryLibraryView === 'saved' ? item : null;
+  if (queryLibraryView === 'saved') loadQueryLibrary();
+}
+
+function rerunLibraryItem(i) {
+  openLibraryItem(i);
+  runQuery();
+}
+
+async function patchSaved(id, body) {
+  const r = await fetch(`${API}/saved-queries/${id}`, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  const data = await r.json();
+  if (!r.ok) throw new Error(data.error);
+  if (activeSavedQuery?.id === id) activeSavedQuery = data;
+  return data;
+}
+
+const parseTags = s => s.split(/[\s,]+/).map(t => t.replace(/^#/, '')).filter(Boolean);
+
+/** Save the editor SQL: updates the loaded saved query if the name is kept, otherwise creates a new one. */
+async function saveCurrentQuery() {
+  const sql = document.getElementById('queryEditor').value.trim();
+  if (!sql) return;
+  const name = prompt('Name this query:', activeSavedQuery?.name || '');
+  if (!name) return;
+  const status = document.getElementById('queryStatus');
+  try {
+    if (activeSavedQuery && name === activeSavedQuery.name) {
+      await patchSaved(activeSavedQuery.id, { sql });
+    } else {
+      const tags = parseTags(prompt('Tags (comma separated, optional):', '') || '');
+      const r = await fetch(`${API}/saved-queries`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name, sql, tags }),
+      });
+      const data = await r.json();
+      if (!r.ok) throw new Error(data.error);
+      activeSavedQuery = data;
+    }
+    status.textContent = `💾 Saved “${name}”`;
+    status.className = 'query-status ok';
+    switchQueryLibrary('saved');
+  } catch (e) {
+    status.textContent = `❌ Could not save: ${e.message}`;
+    status.className = 'query-status err';
+  }
+}
+
+async function libraryAction(fn) {
+  try {
+    await fn();
+    loadQueryLibrary();
+  } catch (e) {
+    alert(e.message);
+  }
+}
+
+function toggleStarSaved(i) {
+  const q = queryLibraryItems[i];
+  libraryAction(() => patchSaved(q.id, { starred: !q.starred }));
+}
+
+function renameSaved(i) {
+  const q = queryLibraryItems[i];
+  const name = prompt('Rename query:', q.name);
+  if (name && name !== q.name) libraryAction(() => patchSaved(q.id, { name }));
+}
+
+function retagSaved(i) {
+  const q = queryLibraryItems[i];
+  const tags = prompt('Tags (comma separated):', q.tags.join(', '));
+  if (tags !== null) libraryAction(() => patchSaved(q.id, { tags: parseTags(tags) }));
+}
+
+function shareSaved(i, btn) {
+  const url = `${location.origin}${location.pathname}#saved=${queryLibraryItems[i].id}`;
+  navigator.clipboard.writeText(url).then(() => {
+    btn.textContent = '✓';
+    setTimeout(() => { btn.textContent = '🔗'; }, 1500);
+  });
+}
+
+function deleteSaved(i) {
+  const q = queryLibraryItems[i];
+  if (!confirm(`Delete saved query “${q.name}”?`)) return;
+  libraryAction(async () => {
+    const r = await fetch(`${API}/saved-queries/${q.id}`, { method: 'DELETE' });
+    if (!r.ok) throw new Error((await r.json()).error);
+    if (activeSavedQuery?.id === q.id) activeSavedQuery = null;
+  });
+}
+
+function saveHistoryItem(i) {
+  setQuery(queryLibraryItems[i].sql);
+  activeSavedQuery = null;
+  saveCurrentQuery();
+}
+
+function deleteHistoryItem(i) {
+  libraryAction(async () => {
+    const r = await fetch(`${API}/query-history/${queryLibraryItems[i].query_id}`, { method: 'DELETE' });
+    if (!r.ok) throw new Error((await r.json()).error);
+  });
+}
+
+/** Open a shared link (#saved=<id>, or #sql=<base64url> from Copy link) straight into the playground. */
+async function openSharedQuery() {
+  const inline = location.hash.match(/^#sql=([\w-]+)$/);
+  if (inline) {
+    goToTab('query');
+    const b64 = inline[1].replace(/-/g, '+').replace(/_/g, '/');
+    setQuery(decodeURIComponent(escape(atob(b64))));
+    runQuery();
+    return;
+  }
+  const m = location.hash.match(/^#saved=([0-9a-f-]{36})$/i);
+  if (!m) return;
+  goToTab('query');
+  try {
+    const r = await fetch(`${API}/saved-queries/${m[1]}`);
+    const q = await r.json();
+    if (!r.ok) throw new Error(q.error);
+    setQuery(q.sql);
+    activeSavedQuery = q;
+    loadQueryLibrary();
+  } catch (e) {
+    document.getElementById('queryStatus').textContent = `⚠️ Shared query unavailable: ${e.message}`;
+  }
+}
+document.addEventListener('DOMContentLoaded', openSharedQuery);
+
 async function loadPlaygroundTables() {
   try {
     const r = await fetch(`${API}/engines`);
@@ -606,6 +1556,7 @@ async function loadCluster() {
     loadClusterTopology(),
     loadShardCounts(),
     loadReplRowCounts(),
+    loadDrillStatus(),
   ]);
 }
 
@@ -800,11 +1751,85 @@ async function loadReplStatus() {
   }
 }
 
+// ─── Keeper loss drill (Mistake ⑩) ────────────────────────────────────────────
+let drillPoll = null;
+
+function renderDrillReplicas(replicas) {
+  document.getElementById('drill-replicas').innerHTML = replicas.map(r => `
+    <div class="repl-count-card drill-replica ${r.is_readonly ? 'readonly' : ''}">
+      <div class="repl-count-num">${!r.exists ? '—' : r.is_readonly ? 'READONLY' : 'writable'}</div>
+      <div class="repl-count-label">${r.replica} (${r.node})${r.exists ? ` · ${fmt.num(r.rows)} rows · ${r.active_replicas}/${r.total_replicas} active` : ' · no drill table'}</div>
+      ${r.zookeeper_exception ? `<div class="repl-count-label" style="color:var(--red)">${escHtml(r.zookeeper_exception)}</div>` : ''}
+    </div>
+  `).join('');
+}
+
+async function loadDrillStatus() {
+  try {
+    const d = await (await fetch(`${API}/cluster/readonly-drill/status`)).json();
+    renderDrillReplicas(d.replicas);
+  } catch { /* offline */ }
+}
+
+async function runReadonlyDrill(action) {
+  const btns = [document.getElementById('drillBreakBtn'), document.getElementById('drillRestoreBtn')];
+  const el = document.getElementById('drill-steps');
+  btns.forEach(b => { b.disabled = true; });
+  el.className = 'repl-result show';
+  el.textContent = action === 'break' ? '⏳ Detaching replica-1 and removing its Keeper metadata…' : '⏳ Restoring replica-1 metadata from its local parts…';
+  // Poll system.replicas while the steps run so the readonly flag is seen flipping
+  clearInterval(drillPoll);
+  drillPoll = setInterval(loadDrillStatus, 1000);
+  try {
+    const d = await (await fetch(`${API}/cluster/readonly-drill/${action}`, { method: 'POST' })).json();
+    el.innerHTML = `
+      ${(d.steps || []).map(s => `
+        <div class="drill-step">
+          <span>${!s.ok ? '❌' : s.error ? '🛑' : '✅'}</span>
+          <span style="color:var(--accent2)">${s.node}</span>
+          <code>${escHtml(s.sql)}</code>
+          <span style="color:var(--text3);margin-left:auto">${s.ms}ms</span>
+        </div>
+        ${s.error ? `<div class="drill-step-error">${s.ok ? 'Rejected as expected: ' : ''}${escHtml(s.error)}</div>` : ''}
+      `).join('')}
+      ${d.error ? `<div style="color:var(--red)">Error: ${escHtml(d.error)}</div>` : ''}
+      ${d.replicas ? `<div class="${action === 'break' ? 'repl-warn' : 'repl-success'}" style="margin-top:6px">${action === 'break'
+        ? '⚠️ node1 is readonly until its Keeper metadata is restored — node2 still accepts writes.'
+        : '✅ replica-1 re-registered in Keeper and accepts INSERTs again.'}</div>` : ''}
+    `;
+    if (d.replicas) renderDrillReplicas(d.replicas);
+  } catch (e) {
+    el.innerHTML = `<span style="color:var(--red)">Error: ${escHtml(e.message)}</span>`;
+  } finally {
+    clearInterval(drillPoll);
+    btns.forEach(b => { b.disabled = false; });
+  }
+}
+
+async function resetReadonlyDrill() {
+  const el = document.getElementById('drill-steps');
+  el.className = 'repl-result show';
+  try {
+    const d = await (await fetch(`${API}/cluster/readonly-drill/reset`, { method: 'POST' })).json();
+    if (d.error) throw new Error(d.error);
+    el.textContent = d.message;
+    loadDrillStatus();
+  } catch (e) {
+    el.innerHTML = `<span style="color:var(--red)">Error: ${escHtml(e.message)}</span>`;
+  }
+}
+
 // ─── Init ─────────────────────────────────────────────────────────────────────
 checkHealth();
 setInterval(checkHealth, 30_000);
 renderProgressDashboard();
 
+// Infinite scroll for SQL Playground results
+document.querySelector('#queryResultsWrap .results-table-wrap')?.addEventListener('scroll', e => {
+  const el = e.currentTarget;
+  if (el.scrollTop + el.clientHeight >= el.scrollHeight - 200) loadMoreResults();
+});
+
 // Keyboard shortcut: Ctrl/Cmd+Enter to run query
 document.addEventListener('keydown', e => {
   if ((e.ctrlKey || e.metaKey) && e.key === 'Enter') {
@@ -1189,6 +2214,154 @@ async function _runMode(key, mode, btn) {
   }
 }
 
+// ── #13 Experimental features audit (read-only, so no Wrong / Fixed split) ────
+const AUDIT_CATEGORIES = {
+  setting: 'Session / profile setting',
+  merge_tree_setting: 'MergeTree server setting',
+  table_setting: 'Table setting',
+  column: 'Column type',
+  index: 'Skip index',
+  engine: 'Engine',
+};
+
+async function runExperimentalAudit(btn) {
+  const el = document.getElementById('audit-experimental');
+  btn.disabled = true;
+  el.innerHTML = `<span class="ldp-loading">⏳ Scanning system tables…</span>`;
+  try {
+    const data = await (await fetch(`${API}/mistakes/experimental-audit`)).json();
+    if (data.error) throw new Error(data.error);
+    const { summary } = data;
+    el.innerHTML = `
+      <div class="ldp-pane-label ${summary.high ? 'wrong' : 'fixed'}">
+        ClickHouse ${escHtml(data.version)} · ${summary.high} high · ${summary.medium} medium · ${summary.low} low risk
+      </div>
+      ${data.findings.length ? data.findings.map(f => `
+        <div class="audit-finding ${f.risk}">
+          <div style="display:flex;justify-content:space-between;gap:8px">
+            <span><span class="audit-risk">${f.risk}</span> ${AUDIT_CATEGORIES[f.category] || f.category}: <code>${escHtml(f.object)}</code></span>
+            <code style="color:var(--text3)">${escHtml(f.detail)}</code>
+          </div>
+          <div class="audit-tip">💡 ${escHtml(f.tip)}</div>
+        </div>`).join('') : `
+        <div class="ldp-stat-big good">0</div>
+        <div class="ldp-stat-label">experimental settings, types, indices or engines in use — nothing here can break on upgrade</div>`}
+    `;
+  } catch (e) {
+    el.innerHTML = `<span class="ldp-error">❌ ${escHtml(e.message)}</span>`;
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+/**
+ * Jump to a mistake card: switch tab, clear the category filter, expand and
+ * scroll to it. Also reached through #mistake-NN links.
+ * @param {string} num - two-digit card number, e.g. '05'
+ */
+function openMistakeCard(num) {
+  goToTab('mistakes');
+  filterMistakes('all', document.querySelector('.mf-btn'));
+  const card = [...document.querySelectorAll('#mistakesGrid .mistake-card')]
+    .find(c => c.querySelector('.mistake-num')?.textContent.trim() === num);
+  if (!card) return;
+  const toggleBtn = card.querySelector('.mistake-toggle');
+  if (card.querySelector('.mistake-body').classList.contains('collapsed')) toggleMistake(toggleBtn);
+  card.classList.add('spotlight');
+  setTimeout(() => card.classList.remove('spotlight'), 2000);
+  card.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  const m = location.hash.match(/^#mistake-(\d{2})$/);
+  if (m) openMistakeCard(m[1]);
+});
+
+async function runAdvisor(btn) {
+  const select = document.getElementById('advisor-db');
+  const el = document.getElementById('advisor-report');
+  btn.disabled = true;
+  el.innerHTML = `<span class="ldp-loading">⏳ Inspecting ${escHtml(select.value)}…</span>`;
+  try {
+    const data = await (await fetch(`${API}/advisor?database=${encodeURIComponent(select.value)}`)).json();
+    if (data.error) throw new Error(data.error);
+    select.innerHTML = data.databases.map(d => `<option value="${escHtml(d)}"${d === data.database ? ' selected' : ''}>${escHtml(d)}</option>`).join('');
+    const { summary, scanned } = data;
+    el.innerHTML = `
+      <div class="ldp-pane-label ${summary.high ? 'wrong' : 'fixed'}">
+        ${escHtml(data.database)} · ${scanned.tables} tables · ${scanned.columns} columns —
+        ${summary.high} high · ${summary.medium} medium · ${summary.low} low
+      </div>
+      ${data.findings.length ? data.findings.map(f => `
+        <div class="audit-finding ${f.severity}">
+          <div style="display:flex;justify-content:space-between;gap:8px">
+            <span><span class="audit-risk">${f.severity}</span> <code>${escHtml(f.object)}</code></span>
+            <a class="advisor-link" href="${f.link}" onclick="event.preventDefault(); openMistakeCard('${f.mistake}')">→ ${f.mistake} ${escHtml(f.title)}</a>
+          </div>
+          <div style="margin-top:4px">${escHtml(f.evidence)}</div>
+          <div class="audit-tip">💡 ${escHtml(f.tip)}</div>
+        </div>`).join('') : `
+        <div class="ldp-stat-big good">0</div>
+        <div class="ldp-stat-label">findings — none of the checked mistakes show up in this database</div>`}
+      ${data.skipped.length ? `
+        <div class="ldp-pane-hint" style="margin-top:8px">
+          Skipped: ${data.skipped.map(s => `${escHtml(s.check)} (${escHtml(s.error)})`).join(', ')}
+        </div>` : ''}
+    `;
+  } catch (e) {
+    el.innerHTML = `<span class="ldp-error">❌ ${escHtml(e.message)}</span>`;
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+const fmtAge = s => s < 60 ? `${s}s` : s < 3600 ? `${Math.floor(s / 60)}m` : `${Math.floor(s / 3600)}h ${Math.floor(s % 3600 / 60)}m`;
+
+/** List the demo.mistake_* tables the live demos left behind. */
+async function loadLessonScratch() {
+  const el = document.getElementById('scratch-list');
+  const title = document.getElementById('scratch-title');
+  try {
+    const data = await (await fetch(`${API}/lessons/scratch`)).json();
+    if (data.error) throw new Error(data.error);
+    title.textContent = `Lesson scratch tables — ${data.totals.objects} object${data.totals.objects === 1 ? '' : 's'}, ${fmt.bytes(data.totals.bytes)}`;
+    el.innerHTML = data.objects.length ? `
+      <div class="ldp-pane-label">Dropped automatically ${data.ttlMinutes} min after creation</div>
+      ${data.objects.map(o => `
+        <div class="ldp-col-row">
+          <span class="ldp-col-name">${escHtml(o.name)}
+            ${o.mistake ? `<a class="advisor-link" href="#mistake-${o.mistake}" onclick="event.preventDefault(); openMistakeCard('${o.mistake}')">→ ${o.mistake}</a>` : '<span class="ldp-col-type">orphan</span>'}
+          </span>
+          <span class="ldp-col-type">${escHtml(o.engine)}${o.rows === null ? '' : ` · ${fmt.num(o.rows)} rows`}</span>
+          <span class="ldp-col-size">${o.bytes === null ? '—' : fmt.bytes(o.bytes)} · ${fmtAge(o.ageSeconds)} old · expires in ${fmtAge(o.expiresInSeconds)}</span>
+        </div>`).join('')}` : `<div class="ldp-pane-hint">No scratch tables — every lesson is reset.</div>`;
+  } catch (e) {
+    el.innerHTML = `<span class="ldp-error">❌ ${escHtml(e.message)}</span>`;
+  }
+}
+
+async function resetAllLessons(btn) {
+  if (!confirm('Drop every lesson scratch table, the horizontal lab rows and the Keeper drill table?')) return;
+  const el = document.getElementById('scratch-list');
+  btn.disabled = true;
+  el.innerHTML = `<span class="ldp-loading">⏳ Resetting all lessons…</span>`;
+  try {
+    const data = await (await fetch(`${API}/lessons/reset-all`, { method: 'POST' })).json();
+    if (data.error) throw new Error(data.error);
+    document.querySelectorAll('.ldp-wrong-pane, .ldp-fixed-pane').forEach(p => { p.innerHTML = '<div class="ldp-pane-hint">Reset — run the demo again</div>'; });
+    await loadLessonScratch();
+    el.insertAdjacentHTML('afterbegin', `
+      <div class="ldp-pane-label ${data.ok ? 'fixed' : 'wrong'}">
+        Dropped ${data.dropped.length} object${data.dropped.length === 1 ? '' : 's'} · cleaned ${data.cleaned.length} more
+        ${data.errors.map(e => `<br>⚠️ ${escHtml(e.object)}: ${escHtml(e.error)}`).join('')}
+      </div>`);
+  } catch (e) {
+    el.innerHTML = `<span class="ldp-error">❌ ${escHtml(e.message)}</span>`;
+  } finally {
+    btn.disabled = false;
+  }
+}
+
 function runWrong(key, btn) { _runMode(key, 'wrong', btn); }
 function runFixed(key, btn) { _runMode(key, 'fixed', btn); }
 function runReset(key, btn) { _runMode(key, 'reset', btn); }
@@ -1198,9 +2371,13 @@ function renderPane(key, mode, el, data) {
   const isWrong = mode === 'wrong';
   switch (key) {
     case 'parts': renderPartsPane(isWrong, el, data); break;
+    case 'horizontal': renderHorizontalPane(isWrong, el, data); break;
+    case 'mutation': renderMutationPane(isWrong, el, data); break;
+    case 'json': renderJsonPane(isWrong, el, data); break;
     case 'nullable': renderNullablePane(isWrong, el, data); break;
     case 'dedup': renderDedupPane(isWrong, el, data); break;
     case 'pk': renderPkPane(isWrong, el, data); break;
+    case 'skipidx': renderSkipIdxPane(isWrong, el, data); break;
     case 'limit': renderLimitPane2(isWrong, el, data); break;
     case 'memory': renderMemoryPane(isWrong, el, data); break;
     case 'mv': renderMvPane2(isWrong, el, data); break;
@@ -1228,6 +2405,176 @@ function renderPartsPane(isWrong, el, data) {
     `;
 }
 
+// ── #02 Horizontal too early ──────────────────────────────────────────────────
+const horizontalResults = {};
+
+async function loadHorizontalData(btn) {
+  const rows = Number(document.getElementById('horizontal-rows').value);
+  const panes = ['wrong-horizontal', 'fixed-horizontal'].map(id => document.getElementById(id));
+  btn.disabled = true;
+  panes.forEach(p => { p.innerHTML = `<span class="ldp-loading">⏳ Loading ${rows.toLocaleString()} identical rows on both sides…</span>`; });
+  try {
+    const d = await (await fetch(`${API}/mistakes/horizontal-load`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ rows }),
+    })).json();
+    if (d.error) throw new Error(d.error);
+    Object.keys(horizontalResults).forEach(k => delete horizontalResults[k]);
+    panes[0].innerHTML = `<div class="ldp-pane-hint">${d.labRows.cluster.toLocaleString()} rows across 2 shards (loaded in ${d.loadMs.cluster}ms) — click ▶ Run ❌ Wrong</div>`;
+    panes[1].innerHTML = `<div class="ldp-pane-hint">${d.labRows.single.toLocaleString()} rows on one node (loaded in ${d.loadMs.single}ms) — click ▶ Run ✅ Fixed</div>`;
+  } catch (e) {
+    panes.forEach(p => { p.innerHTML = `<span class="ldp-error">❌ ${escHtml(e.message)}</span>`; });
+  } finally {
+    btn.disabled = false;
+  }
+}
+
+function renderHorizontalPane(isWrong, el, data) {
+  const side = isWrong ? 'cluster' : 'single';
+  const other = horizontalResults[isWrong ? 'single' : 'cluster'];
+  horizontalResults[side] = data;
+  const o = data.overhead;
+  el.innerHTML = `
+      <div class="ldp-pane-label ${isWrong ? 'wrong' : 'fixed'}">${isWrong ? '❌' : '✅'} ${escHtml(data.approach)}</div>
+      <div class="ldp-stat-big ${isWrong ? 'bad' : 'good'}">${data.latencyMs ?? '—'}<span style="font-size:16px;font-weight:400"> ms</span></div>
+      <div class="ldp-stat-label">median of ${data.runs} runs · ${Number(data.labRows).toLocaleString()} rows</div>
+      ${other && other.latencyMs !== null && data.latencyMs !== null ? `
+        <div style="font-size:11px;font-family:var(--font);margin-top:6px;color:${data.latencyMs <= other.latencyMs ? '#6ee7b7' : '#fca5a5'}">
+          ${data.latencyMs <= other.latencyMs ? 'Faster' : 'Slower'} than the ${isWrong ? 'single node' : 'cluster'} (${other.latencyMs}ms) at this data size
+        </div>` : ''}
+      <div style="margin-top:10px">
+        <div class="ldp-col-row"><span class="ldp-col-name">network bytes / query</span><span class="ldp-col-size">${data.networkBytes === null ? '—' : fmt.bytes(data.networkBytes)}</span></div>
+        <div class="ldp-col-row"><span class="ldp-col-name">queries per request</span><span class="ldp-col-size">${data.queriesPerRun ?? '—'}</span></div>
+        <div class="ldp-col-row"><span class="ldp-col-name">rows read</span><span class="ldp-col-size">${data.readRows === null ? '—' : Number(data.readRows).toLocaleString()}</span></div>
+        <div class="ldp-col-row"><span class="ldp-col-name">servers to run</span><span class="ldp-col-size">${o.servers} ClickHouse${o.keeper ? ' + Keeper' : ''}</span></div>
+        <div class="ldp-col-row"><span class="ldp-col-name">tables to keep in sync</span><span class="ldp-col-type">${o.tables.map(escHtml).join('<br>')}</span></div>
+      </div>
+      <div class="ldp-stat-note" style="font-family:var(--font)">${escHtml(isWrong ? data.warning : data.tip)}</div>
+    `;
+}
+
+// ── #03 Mutations ─────────────────────────────────────────────────────────────
+let mutationPoll = null;
+
+function renderMutationPane(isWrong, el, data) {
+  if (!isWrong) {
+    const maxMs = Math.max(...data.approaches.map(a => a.ms), 1);
+    el.innerHTML = `
+      <div class="ldp-pane-label fixed">✅ No full-part rewrites</div>
+      ${data.approaches.map(a => `
+        <div style="font-family:var(--font);font-size:11px;margin-bottom:10px">
+          <div style="display:flex;justify-content:space-between;gap:8px">
+            <span style="color:var(--text2)">${escHtml(a.name)}</span>
+            <strong style="color:#6ee7b7">${a.ms}ms</strong>
+          </div>
+          <div style="color:var(--text3);font-size:10px">${Number(a.rows).toLocaleString()} rows affected</div>
+          <div class="parts-bar-wrap"><div class="parts-bar-row">
+            <div class="parts-bar-fill good" style="width:${Math.max(2, Math.round(200 * a.ms / maxMs))}px"></div>
+          </div></div>
+          <code style="font-size:10px;color:var(--text3);white-space:pre-wrap">${escHtml(a.sql)}</code>
+        </div>`).join('')}
+      <div style="font-size:11px;color:var(--text3);font-family:var(--font)">Pending mutations afterwards: <strong style="color:var(--text)">${data.pendingMutations}</strong></div>
+      <div class="ldp-stat-note" style="font-family:var(--font)">${escHtml(data.tip)}</div>
+    `;
+    return;
+  }
+
+  const started = Date.now();
+  el.innerHTML = `
+      <div class="ldp-pane-label wrong">❌ ${escHtml(data.approach)}</div>
+      <div class="ldp-stat-big bad" id="mut-elapsed">0.0s</div>
+      <div class="ldp-stat-label">until every mutation finished · ${data.parts} parts each</div>
+      <div id="mut-progress" style="margin-top:10px">
+        ${data.mutations.map((m, i) => `
+          <div style="font-family:var(--font);font-size:11px;margin-bottom:6px" id="mut-row-${i}">
+            <code style="font-size:10px;color:var(--text3)">${escHtml(m.statement.replace('ALTER TABLE demo.mistake_mutation_logs ', ''))}</code>
+            <div class="parts-bar-wrap"><div class="parts-bar-row">
+              <div class="parts-bar-fill" style="width:0px"></div>
+              <span>queued</span>
+            </div></div>
+          </div>`).join('')}
+      </div>
+      <div class="ldp-stat-note" style="font-family:var(--font)">${escHtml(data.warning)}</div>
+    `;
+
+  // Poll system.mutations and animate parts_to_do until everything is done
+  clearInterval(mutationPoll);
+  const finishedAt = {};
+  mutationPoll = setInterval(async () => {
+    const box = document.getElementById('mut-progress');
+    if (!box) { clearInterval(mutationPoll); return; }
+    try {
+      const p = await (await fetch(`${API}/mistakes/mutation-progress`)).json();
+      if (p.error) throw new Error(p.error);
+      const secs = ((Date.now() - started) / 1000).toFixed(1);
+      p.mutations.forEach((m, i) => {
+        const row = document.getElementById(`mut-row-${i}`);
+        if (!row) return;
+        const pct = m.is_done ? 100 : Math.max(0, Math.round(100 * (1 - m.parts_to_do / data.parts)));
+        if (m.is_done && !finishedAt[i]) finishedAt[i] = secs;
+        row.querySelector('.parts-bar-fill').style.width = `${pct * 2}px`;
+        row.querySelector('.parts-bar-fill').classList.toggle('good', m.is_done);
+        row.querySelector('span').textContent = m.is_done
+          ? `done after ${finishedAt[i]}s`
+          : m.latest_fail_reason ? `failing: ${m.latest_fail_reason}` : `${m.parts_to_do} parts to do`;
+      });
+      document.getElementById('mut-elapsed').textContent = `${secs}s`;
+      if (p.done) {
+        clearInterval(mutationPoll);
+        document.getElementById('mut-elapsed').textContent = `${secs}s · ${p.activeParts} parts`;
+      }
+    } catch (e) {
+      clearInterval(mutationPoll);
+      box.insertAdjacentHTML('beforeend', `<span class="ldp-error">❌ ${escHtml(e.message)}</span>`);
+    }
+  }, 500);
+}
+
+// ── #04 Semi-structured data ──────────────────────────────────────────────────
+function renderJsonPane(isWrong, el, data) {
+  if (isWrong) {
+    el.innerHTML = `
+      <div class="ldp-pane-label wrong">❌ ${escHtml(data.approach)}</div>
+      <div class="ldp-stat-big bad">${data.ms ?? '—'}<span style="font-size:16px;font-weight:400"> ms</span></div>
+      <div class="ldp-stat-label">${data.readBytes === null ? 'query_log unavailable' : `${fmt.bytes(data.readBytes)} read`} · properties column ${escHtml(data.compressed || '—')} on disk (${escHtml(data.uncompressed || '—')} uncompressed)</div>
+      <code style="display:block;font-size:10px;color:var(--text3);white-space:pre-wrap;margin-top:8px">${escHtml(data.query)}</code>
+      <div class="ldp-stat-note" style="font-family:var(--font)">${escHtml(data.warning)}</div>
+    `;
+    return;
+  }
+  const maxMs = Math.max(...data.variants.map(v => v.ms || 0), 1);
+  const maxRead = Math.max(...data.variants.map(v => v.readBytes || 0), 1);
+  const best = Math.min(...data.variants.map(v => v.readBytes ?? Infinity));
+  el.innerHTML = `
+      <div class="ldp-pane-label fixed">✅ Same query, four storage layouts · ClickHouse ${escHtml(data.serverVersion)}</div>
+      ${data.variants.map(v => `
+        <div style="font-family:var(--font);font-size:11px;margin-bottom:10px">
+          <div style="display:flex;justify-content:space-between;gap:8px">
+            <span style="color:var(--text2)">${escHtml(v.label)} <code style="font-size:10px;color:var(--text3)">${escHtml(v.column)}</code></span>
+            <strong style="color:${v.key === 'raw' ? '#fca5a5' : '#6ee7b7'}">${v.ms ?? '—'}ms</strong>
+          </div>
+          <div class="parts-bar-wrap"><div class="parts-bar-row">
+            <div class="parts-bar-fill ${v.key === 'raw' ? '' : 'good'}" style="width:${Math.max(2, Math.round(200 * (v.ms || 0) / maxMs))}px"></div>
+            <span>time</span>
+          </div><div class="parts-bar-row">
+            <div class="parts-bar-fill ${v.readBytes === best ? 'good' : ''}" style="width:${Math.max(2, Math.round(200 * (v.readBytes || 0) / maxRead))}px"></div>
+            <span>${v.readBytes === null ? '—' : fmt.bytes(v.readBytes)} read</span>
+          </div></div>
+          <div class="ldp-col-row">
+            <span class="ldp-col-name">on disk</span>
+            <span class="ldp-col-type">${escHtml(v.uncompressed || '—')} uncompressed</span>
+            <span class="ldp-col-size">${escHtml(v.compressed || '—')}</span>
+          </div>
+        </div>`).join('')}
+      ${data.skipped.map(s => `
+        <div style="font-size:10.5px;color:var(--text3);font-family:var(--font);margin-bottom:6px">
+          ${escHtml(s.label)} not supported by this server: <code>${escHtml(s.error.split('\n')[0])}</code>
+        </div>`).join('')}
+      <div class="ldp-stat-note" style="font-family:var(--font)">${escHtml(data.tip)}</div>
+    `;
+}
+
 // ── #05 Nullable ──────────────────────────────────────────────────────────────
 function renderNullablePane(isWrong, el, data) {
   const cols = (data.columns || []).filter(c => c.name !== 'id');
@@ -1313,6 +2660,40 @@ function renderPkPane(isWrong, el, data) {
     `;
 }
 
+// ── #08 Skip indices ──────────────────────────────────────────────────────────
+function renderSkipIdxPane(isWrong, el, data) {
+  const clr = isWrong ? '#fca5a5' : '#6ee7b7';
+  el.innerHTML = `
+      <div class="ldp-pane-label ${isWrong ? 'wrong' : 'fixed'}">
+        ${isWrong ? '❌ minmax + set + bloom_filter on non-selective columns' : '✅ One bloom_filter on a unique lookup column'}
+      </div>
+      <div class="ldp-stat-big ${isWrong ? 'bad' : 'good'}">${data.slowdownPct > 0 ? '+' : ''}${data.slowdownPct}%</div>
+      <div class="ldp-stat-label">insert time vs no indices (${data.insertMs.indexed}ms vs ${data.insertMs.plain}ms, ${Number(data.rows).toLocaleString()} rows)</div>
+      <div style="margin-top:10px">
+        ${data.probes.map(p => `
+          <div style="font-family:var(--font);font-size:11px;margin-bottom:8px">
+            <div style="display:flex;justify-content:space-between;gap:8px">
+              <span style="color:var(--text2)">${escHtml(p.index)}</span>
+              <strong style="color:${p.skippedPct >= 50 ? '#6ee7b7' : '#fca5a5'}">${p.skippedPct}% skipped</strong>
+            </div>
+            <code style="font-size:10px;color:var(--text3)">WHERE ${escHtml(p.filter)}</code>
+            <div class="parts-bar-wrap"><div class="parts-bar-row">
+              <div class="parts-bar-fill ${p.skippedPct >= 50 ? 'good' : ''}" style="width:${p.granules.total ? Math.max(2, Math.round(200 * p.granules.read / p.granules.total)) : 0}px"></div>
+              <span>${p.granules.read} / ${p.granules.total} granules read</span>
+            </div></div>
+          </div>`).join('')}
+      </div>
+      <div style="font-size:10px;color:var(--text3);font-family:var(--font);margin-top:4px">system.data_skipping_indices (table data: ${escHtml(data.tableSize)})</div>
+      ${data.indices.map(i => `
+        <div class="ldp-col-row">
+          <span class="ldp-col-name">${escHtml(i.name)}</span>
+          <span class="ldp-col-type">${escHtml(i.type)}</span>
+          <span class="ldp-col-size" style="color:${clr}">${escHtml(i.compressed)}</span>
+        </div>`).join('')}
+      <div class="ldp-stat-note" style="font-family:var(--font)">${escHtml(isWrong ? data.warning : data.tip)}</div>
+    `;
+}
+
 // ── #09 LIMIT timing ─────────────────────────────────────────────────────────
 function renderLimitPane2(isWrong, el, data) {
   const clr = isWrong ? '#fca5a5' : '#6ee7b7';
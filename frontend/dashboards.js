@@ -0,0 +1,340 @@
+// ══════════════════════════════════════════════════════════════════════════════
+// Dashboards — user-defined grids of SQL panels stored in demo.dashboards
+// ══════════════════════════════════════════════════════════════════════════════
+
+(function () {
+  const TIME_RANGES = [[1, 'Last 1h'], [6, 'Last 6h'], [24, 'Last 24h'], [168, 'Last 7d'], [720, 'Last 30d']];
+  const VARIABLE_TYPES = ['String', 'UInt32', 'Int64', 'Float64', 'Date', 'DateTime'];
+  const ROW_HEIGHT = 240;
+
+  let dashboards = [];
+  let current = null;    // dashboard being shown; a deep copy while editing
+  let saved = null;      // last saved version, restored on Cancel
+  let editing = false;
+  let hours = 24;
+  let varValues = {};
+
+  const api = (path, opts = {}) => fetch(`${API}${path}`, {
+    ...opts,
+    headers: { 'Content-Type': 'application/json' },
+    body: opts.body && JSON.stringify(opts.body),
+  }).then(async r => {
+    const data = await r.json();
+    if (!r.ok) throw new Error(data.error);
+    return data;
+  });
+
+  const clone = o => JSON.parse(JSON.stringify(o));
+  const substitute = text => text.replace(/\{(\w+)\}/g, (m, n) => n === 'hours' ? `${hours}h` : (varValues[n] ?? m));
+
+  // ── Loading ──────────────────────────────────────────────────────────────────
+  async function loadList(selectId) {
+    dashboards = await api('/dashboards');
+    const id = selectId || current?.id || dashboards[0]?.id;
+    if (id) await openDashboard(id);
+    else { current = null; render(); }
+  }
+
+  async function openDashboard(id) {
+    current = await api(`/dashboards/${id}`);
+    saved = clone(current);
+    editing = false;
+    varValues = Object.fromEntries(current.layout.variables.map(v => [v.name, v.default]));
+    render();
+    runAll();
+  }
+
+  // ── Rendering ────────────────────────────────────────────────────────────────
+  function render() {
+    const root = document.getElementById('dashboards-root');
+    root.innerHTML = `
+      <div class="page-header">
+        <h1>Dashboards</h1>
+        <p class="page-subtitle">Team dashboards built from SQL panels over <code>telemetry_events</code>,
+          <code>cost_usage</code> or any demo table. Panels use <code>{hours}</code> for the time range and
+          <code>{name}</code> for dashboard variables — values are bound as typed query parameters.</p>
+      </div>
+      ${renderToolbar()}
+      ${current && editing ? renderVariableEditor() : ''}
+      ${current ? `<div class="dash-grid">${current.layout.panels.map(renderPanel).join('')}</div>`
+        : '<div class="dash-empty glass">No dashboards yet — click <strong>＋ New</strong> to build one.</div>'}
+      ${current && editing ? '<button class="btn" onclick="dashAddPanel()">＋ Add panel</button>' : ''}`;
+  }
+
+  function renderToolbar() {
+    const vars = current ? current.layout.variables.map(v => `
+      <label class="dash-var">{${escHtml(v.name)}}
+        ${v.options?.length
+          ? `<select onchange="dashSetVar('${v.name}', this.value)">${v.options.map(o =>
+            `<option ${o === varValues[v.name] ? 'selected' : ''}>${escHtml(o)}</option>`).join('')}</select>`
+          : `<input value="${escHtml(varValues[v.name] ?? '')}" onchange="dashSetVar('${v.name}', this.value)">`}
+      </label>`).join('') : '';
+    return `
+      <div class="dash-toolbar glass">
+        <select class="dash-select" onchange="dashOpen(this.value)" ${editing ? 'disabled' : ''}>
+          ${dashboards.map(d => `<option value="${d.id}" ${d.id === current?.id ? 'selected' : ''}>${escHtml(d.name)}</option>`).join('')}
+        </select>
+        <select onchange="dashSetHours(this.value)">
+          ${TIME_RANGES.map(([h, label]) => `<option value="${h}" ${h === hours ? 'selected' : ''}>${label}</option>`).join('')}
+        </select>
+        ${vars}
+        <span class="dash-toolbar-actions">
+          ${current ? '<button class="btn btn-sm" onclick="dashRunAll()">↻ Refresh</button>' : ''}
+          ${editing
+            ? `<button class="btn btn-sm btn-primary" onclick="dashSave()">💾 Save</button>
+               <button class="btn btn-sm" onclick="dashCancel()">Cancel</button>`
+            : `${current ? '<button class="btn btn-sm" onclick="dashEdit()">✎ Edit</button>' : ''}
+               <button class="btn btn-sm" onclick="dashNew()">＋ New</button>
+               ${current ? '<button class="btn btn-sm" onclick="dashDelete()">🗑</button>' : ''}`}
+        </span>
+      </div>
+      ${current?.description ? `<div class="dash-desc">${escHtml(substitute(current.description))}</div>` : ''}`;
+  }
+
+  function renderVariableEditor() {
+    const vars = current.layout.variables;
+    return `
+      <div class="dash-vars-editor glass">
+        <div class="section-title">Variables <span class="dash-hint">— use as {name} in panel SQL; {hours} is built in</span></div>
+        ${vars.map((v, i) => `
+          <div class="dash-var-row">
+            <input value="${escHtml(v.name)}" placeholder="name" onchange="dashEditVar(${i}, 'name', this.value)">
+            <select onchange="dashEditVar(${i}, 'type', this.value)">
+              ${VARIABLE_TYPES.map(t => `<option ${t === v.type ? 'selected' : ''}>${t}</option>`).join('')}
+            </select>
+            <input value="${escHtml(v.default)}" placeholder="default" onchange="dashEditVar(${i}, 'default', this.value)">
+            <input value="${escHtml((v.options || []).join(', '))}" placeholder="options (comma separated, optional)"
+              onchange="dashEditVar(${i}, 'options', this.value)">
+            <button class="btn btn-sm" onclick="dashRemoveVar(${i})">✕</button>
+          </div>`).join('')}
+        <button class="btn btn-sm" onclick="dashAddVar()">＋ Variable</button>
+      </div>`;
+  }
+
+  function renderPanel(p, i) {
+    const style = `grid-column: span ${p.w}`;
+    const body = `<div class="dash-panel-body" style="height:${p.h * ROW_HEIGHT}px">
+        <div class="chart-canvas-wrap" style="height:100%"><canvas id="dash-chart-${p.id}"></canvas></div>
+        <div class="dash-panel-table" id="dash-table-${p.id}"></div>
+      </div>`;
+    if (!editing) {
+      return `
+        <div class="dash-panel glass" style="${style}">
+          <div class="dash-panel-header">
+            <span class="dash-panel-title">${escHtml(substitute(p.title))}</span>
+            <span class="dash-panel-status" id="dash-status-${p.id}"></span>
+          </div>
+          ${body}
+        </div>`;
+    }
+    const last = current.layout.panels.length - 1;
+    return `
+      <div class="dash-panel glass editing" style="${style}">
+        <div class="dash-panel-header">
+          <input class="dash-title-input" value="${escHtml(p.title)}" onchange="dashEditPanel(${i}, 'title', this.value)">
+          <span class="dash-panel-tools">
+            <button onclick="dashMovePanel(${i}, -1)" ${i === 0 ? 'disabled' : ''} title="Move left">◀</button>
+            <button onclick="dashMovePanel(${i}, 1)" ${i === last ? 'disabled' : ''} title="Move right">▶</button>
+            <button onclick="dashResizePanel(${i}, -2, 0)" title="Narrower">−</button>
+            <span class="dash-size">${p.w}×${p.h}</span>
+            <button onclick="dashResizePanel(${i}, 2, 0)" title="Wider">＋</button>
+            <button onclick="dashResizePanel(${i}, 0, 1)" title="Taller / reset height">↕</button>
+            <button onclick="dashRemovePanel(${i})" title="Remove panel">🗑</button>
+          </span>
+        </div>
+        <textarea class="dash-sql" spellcheck="false" onchange="dashEditPanel(${i}, 'sql', this.value)">${escHtml(p.sql)}</textarea>
+        <div class="dash-panel-edit-row">
+          <select onchange="dashEditPanel(${i}, 'chartType', this.value)">
+            <option value="">auto chart</option>
+            ${CHART_TYPES.map(t => `<option ${p.chart?.type === t ? 'selected' : ''}>${t}</option>`).join('')}
+          </select>
+          <button class="btn btn-sm" onclick="dashRunPanel(${i})">▶ Preview</button>
+          <span class="dash-panel-status" id="dash-status-${p.id}"></span>
+        </div>
+        ${body}
+      </div>`;
+  }
+
+  // ── Running panels ───────────────────────────────────────────────────────────
+  function variablesPayload() {
+    return Object.fromEntries(current.layout.variables.map(v => [v.name, { type: v.type, value: varValues[v.name] ?? v.default }]));
+  }
+
+  async function runPanel(p) {
+    const status = document.getElementById(`dash-status-${p.id}`);
+    const table = document.getElementById(`dash-table-${p.id}`);
+    if (!status) return;
+    status.textContent = '⏳';
+    table.innerHTML = '';
+    const t0 = performance.now();
+    try {
+      const { columns, rows } = await api('/dashboards/query', {
+        method: 'POST',
+        body: { sql: p.sql, hours, variables: variablesPayload() },
+      });
+      const names = columns.map(c => c.name);
+      const pinned = p.chart && names.includes(p.chart.x) && p.chart.y.length && p.chart.y.every(y => names.includes(y));
+      // Inferred axes keep a chart type the editor picked explicitly
+      const inferred = pinned ? null : inferChart(columns, rows);
+      const chart = pinned ? p.chart : inferred && { ...inferred, ...(p.chart?.type && { type: p.chart.type }) };
+      status.textContent = `${rows.length.toLocaleString()} rows · ${Math.round(performance.now() - t0)}ms`;
+      const canvasWrap = document.getElementById(`dash-chart-${p.id}`).parentElement;
+      canvasWrap.style.display = chart && rows.length ? '' : 'none';
+      if (!chart || !rows.length) {
+        telemetryCharts[`dash-chart-${p.id}`]?.destroy();
+        table.innerHTML = renderRowsTable(columns, rows);
+        return;
+      }
+      // Remember the inferred chart so Save keeps it
+      if (!pinned) p.chart = chart;
+      const { labels, datasets } = chartDatasets(chart, rows);
+      const stacked = chart.type === 'stacked';
+      const axis = { ticks: { color: '#64748b', font: { size: 10 } }, grid: { color: 'rgba(255,255,255,0.05)' }, stacked };
+      buildChart(`dash-chart-${p.id}`, stacked ? 'bar' : chart.type, labels, datasets, {
+        scales: { x: axis, y: axis },
+        plugins: { legend: { display: datasets.length > 1 || chart.type === 'pie', position: chart.type === 'pie' ? 'right' : 'top' } },
+      });
+    } catch (e) {
+      status.textContent = '';
+      table.innerHTML = `<div class="dash-error">❌ ${escHtml(e.message)}</div>`;
+    }
+  }
+
+  function renderRowsTable(columns, rows) {
+    if (!rows.length) return '<div class="dash-hint">No rows for this time range.</div>';
+    return `<table class="results-table"><thead><tr>${columns.map(c => `<th>${escHtml(c.name)}</th>`).join('')}</tr></thead>
+      <tbody>${rows.slice(0, 50).map(r => `<tr>${columns.map(c => `<td>${escHtml(String(r[c.name] ?? ''))}</td>`).join('')}</tr>`).join('')}</tbody></table>`;
+  }
+
+  function runAll() {
+    if (current) current.layout.panels.forEach(runPanel);
+  }
+
+  // ── Actions (called from inline handlers) ────────────────────────────────────
+  const guard = fn => async (...args) => {
+    try { await fn(...args); } catch (e) { alert(e.message); }
+  };
+
+  window.dashOpen = guard(id => openDashboard(id));
+  window.dashRunAll = runAll;
+  window.dashRunPanel = i => runPanel(current.layout.panels[i]);
+  window.dashSetHours = h => { hours = Number(h); render(); runAll(); };
+  window.dashSetVar = (name, value) => { varValues[name] = value; render(); runAll(); };
+
+  window.dashEdit = () => { editing = true; render(); runAll(); };
+  window.dashCancel = () => { current = clone(saved); editing = false; render(); runAll(); };
+
+  window.dashSave = guard(async () => {
+    current = await api(`/dashboards/${current.id}`, {
+      method: 'PATCH',
+      body: { name: current.name, description: current.description, layout: current.layout },
+    });
+    saved = clone(current);
+    editing = false;
+    await loadList(current.id);
+  });
+
+  window.dashNew = guard(async () => {
+    const name = prompt('Dashboard name:');
+    if (!name) return;
+    const d = await api('/dashboards', {
+      method: 'POST',
+      body: {
+        name,
+        layout: {
+          variables: [{ name: 'service', type: 'String', default: 'frontend' }],
+          panels: [{
+            id: 'p1', title: 'Events per hour', w: 12, h: 1,
+            sql: 'SELECT toStartOfHour(timestamp) AS hour, count() AS events\nFROM telemetry_events\nWHERE service = {service} AND timestamp >= now() - INTERVAL {hours} HOUR\nGROUP BY hour\nORDER BY hour',
+          }],
+        },
+      },
+    });
+    await loadList(d.id);
+    window.dashEdit();
+  });
+
+  window.dashDelete = guard(async () => {
+    if (!confirm(`Delete dashboard “${current.name}”?`)) return;
+    await api(`/dashboards/${current.id}`, { method: 'DELETE' });
+    current = null;
+    await loadList();
+  });
+
+  window.dashAddPanel = () => {
+    const ids = new Set(current.layout.panels.map(p => p.id));
+    let n = current.layout.panels.length + 1;
+    while (ids.has(`p${n}`)) n++;
+    current.layout.panels.push({ id: `p${n}`, title: 'New panel', w: 6, h: 1, sql: 'SELECT 1' });
+    render();
+    runAll();
+  };
+
+  window.dashEditPanel = (i, field, value) => {
+    const p = current.layout.panels[i];
+    if (field === 'chartType') p.chart = value ? { ...(p.chart || { x: '', y: [] }), type: value } : null;
+    else p[field] = value;
+    if (field !== 'title') runPanel(p);
+  };
+
+  window.dashMovePanel = (i, dir) => {
+    const panels = current.layout.panels;
+    [panels[i], panels[i + dir]] = [panels[i + dir], panels[i]];
+    render();
+    runAll();
+  };
+
+  window.dashResizePanel = (i, dw, dh) => {
+    const p = current.layout.panels[i];
+    p.w = Math.min(12, Math.max(2, p.w + dw));
+    if (dh) p.h = p.h >= 4 ? 1 : p.h + dh;
+    render();
+    runAll();
+  };
+
+  window.dashRemovePanel = i => {
+    current.layout.panels.splice(i, 1);
+    render();
+    runAll();
+  };
+
+  window.dashAddVar = () => {
+    current.layout.variables.push({ name: `var${current.layout.variables.length + 1}`, type: 'String', default: '' });
+    render();
+    runAll();
+  };
+
+  window.dashEditVar = (i, field, value) => {
+    const v = current.layout.variables[i];
+    if (field === 'options') {
+      const options = value.split(',').map(o => o.trim()).filter(Boolean);
+      if (options.length) v.options = options; else delete v.options;
+    } else {
+      if (field === 'name') delete varValues[v.name];
+      v[field] = value;
+    }
+    varValues[v.name] = v.default;
+    render();
+    runAll();
+  };
+
+  window.dashRemoveVar = i => {
+    const [v] = current.layout.variables.splice(i, 1);
+    delete varValues[v.name];
+    render();
+    runAll();
+  };
+
+  window.initDashboardsPage = function () {
+    const root = document.getElementById('dashboards-root');
+    if (!root) return;
+    if (!root.dataset.loaded) {
+      root.dataset.loaded = 'true';
+      root.innerHTML = '<div class="dash-empty">Loading dashboards…</div>';
+    }
+    if (editing) return;
+    loadList().catch(e => {
+      root.innerHTML = `<div class="dash-empty glass">⚠️ ${e.message === 'Failed to fetch' ? 'Backend offline — start the server to use dashboards.' : escHtml(e.message)}</div>`;
+    });
+  };
+})();
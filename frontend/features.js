@@ -22,7 +22,8 @@ function renderProgressDashboard() {
         } catch { }
     }
     let cs = 0;
-    try { cs = Object.values(JSON.parse(localStorage.getItem('ch_chal_states') || '{}')).filter(s => s?.solved).length; } catch { }
+    // Only the core pack counts here — other packs key their progress as pack--id
+    try { cs = Object.entries(JSON.parse(localStorage.getItem('ch_chal_states') || '{}')).filter(([k, s]) => !k.includes('--') && s?.solved).length; } catch { }
 
     const ring = (pct, clr) => {
         const r = 26, c = +(2 * Math.PI * r).toFixed(1), off = +(c * (1 - pct / 100)).toFixed(1);
@@ -96,6 +97,8 @@ function explainQuery() {
     const sql = (document.getElementById('explainer-input')?.value || '').trim();
     const out = document.getElementById('explainer-output');
     if (!out) return;
+    const plan = document.getElementById('explainer-plan');
+    if (plan?.dataset.sql) plan.classList.toggle('stale', plan.dataset.sql !== sql);
     if (!sql) { out.innerHTML = '<div class="expl-empty">Paste a ClickHouse SQL query above and click Analyze →</div>'; return; }
 
     const found = KNOWN_CH_FUNCS.filter(f => f.re.test(sql));
@@ -146,7 +149,102 @@ function loadExplainerSample(i) {
     const s = EXPLAINER_SAMPLES[i];
     if (!s) return;
     const el = document.getElementById('explainer-input');
-    if (el) { el.value = s.sql; explainQuery(); }
+    if (el) { el.value = s.sql; explainQuery(); runExplain(); }
+}
+
+// ── Real EXPLAIN from ClickHouse (POST /api/explain) ──────────────────────────
+// The pattern-matched hints above are instant; this asks the server for the
+// actual plan, index pruning, pipeline and row estimate.
+const INDEX_TYPE_NOTES = {
+    MinMax: 'Min/max of the partition key columns per part',
+    Partition: 'Partition pruning — whole partitions skipped',
+    PrimaryKey: 'Sparse primary index — granule ranges matching the ORDER BY prefix',
+    Skip: 'Data-skipping index',
+};
+
+async function runExplain() {
+    const sql = (document.getElementById('explainer-input')?.value || '').trim();
+    const out = document.getElementById('explainer-plan');
+    const btn = document.getElementById('explainerRunBtn');
+    if (!out) return;
+    if (!sql) { out.innerHTML = ''; return; }
+    if (btn) btn.disabled = true;
+    out.classList.remove('stale');
+    out.dataset.sql = sql;
+    out.innerHTML = '<div class="expl-empty">Running EXPLAIN in ClickHouse…</div>';
+    try {
+        const r = await fetch(`${window.API || 'http://localhost:3001/api'}/explain`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ sql }),
+        });
+        const data = await r.json();
+        if (!r.ok) {
+            out.innerHTML = `<div class="expl-error">${escHtml(data.error || 'EXPLAIN failed')}${data.hint ? `<div class="expl-clause-note">${escHtml(data.hint)}</div>` : ''}</div>`;
+            return;
+        }
+        out.innerHTML = renderExplainResult(data);
+    } catch (e) {
+        out.innerHTML = `<div class="expl-error">${escHtml(e.message)}</div>`;
+    } finally {
+        if (btn) btn.disabled = false;
+    }
+}
+
+// "selected of initial" with a bar showing how much survived the index
+function explPruneBar(label, { initial, selected }) {
+    if (initial == null || selected == null) return '';
+    const pct = initial ? Math.round(100 * selected / initial) : 100;
+    return `<div class="expl-prune-row">
+      <span class="expl-prune-label">${label}</span>
+      <div class="expl-prune-bar"><div style="width:${pct}%"></div></div>
+      <span class="expl-prune-val">${fmt.num(selected)} / ${fmt.num(initial)} <em>${100 - pct}% skipped</em></span>
+    </div>`;
+}
+
+function renderExplainNode(n) {
+    const details = [];
+    if (n.read) details.push(`reads ${fmt.num(n.read.granules.selected)} of ${fmt.num(n.read.granules.initial)} granules in ${fmt.num(n.read.parts.selected)} of ${fmt.num(n.read.parts.initial)} parts`);
+    if (n.keys) details.push(`keys: ${n.keys.join(', ')}`);
+    if (n.aggregates?.length) details.push(`aggregates: ${n.aggregates.join(', ')}`);
+    if (n.sort?.length) details.push(`sort: ${n.sort.join(', ')}`);
+    if (n.limit != null) details.push(`limit: ${n.limit}`);
+    if (n.actions?.functions.length) details.push(`functions: ${n.actions.functions.join(', ')}`);
+    return `<li>
+      <div class="expl-plan-node">
+        <span class="expl-plan-type">${escHtml(n.type)}</span>
+        ${n.description ? `<span class="expl-plan-desc">${escHtml(n.description)}</span>` : ''}
+        ${details.map(d => `<div class="expl-clause-note">${escHtml(d)}</div>`).join('')}
+      </div>
+      ${n.children.length ? `<ul>${n.children.map(renderExplainNode).join('')}</ul>` : ''}
+    </li>`;
+}
+
+function renderExplainResult(data) {
+    const { plan, indexes, pipeline, estimate, errors } = data;
+    return `
+  <div class="expl-section-title">🔬 Index Pruning <span class="expl-chip-type">EXPLAIN indexes = 1</span></div>
+  ${indexes.length ? `<div class="expl-clauses">${indexes.map(ix => `
+    <div class="expl-clause">
+      <span class="expl-clause-kw">${escHtml(ix.type)}${ix.name ? ` · ${escHtml(ix.name)}` : ''} <span class="expl-chip-type">${escHtml(ix.table || '')}</span></span>
+      ${ix.keys.length ? `<code class="expl-clause-val">${escHtml(ix.keys.join(', '))}${ix.condition ? ` — ${escHtml(ix.condition)}` : ''}</code>` : ''}
+      <div class="expl-clause-note">${INDEX_TYPE_NOTES[ix.type] || ''}</div>
+      ${explPruneBar('Parts', ix.parts)}
+      ${explPruneBar('Granules', ix.granules)}
+    </div>`).join('')}
+  </div>` : '<div class="expl-empty">No MergeTree reads in this plan — nothing for an index to prune.</div>'}
+  ${estimate?.length ? `<div class="expl-section-title">Estimate <span class="expl-chip-type">EXPLAIN ESTIMATE</span></div>
+  <table class="dba-table"><thead><tr><th>Table</th><th>Parts</th><th>Rows</th><th>Marks</th></tr></thead><tbody>
+    ${estimate.map(e => `<tr><td>${escHtml(`${e.database}.${e.table}`)}</td><td>${fmt.num(e.parts)}</td><td>${fmt.num(e.rows)}</td><td>${fmt.num(e.marks)}</td></tr>`).join('')}
+  </tbody></table>` : ''}
+  <div class="expl-section-title">Query Plan <span class="expl-chip-type">EXPLAIN PLAN actions = 1</span></div>
+  <ul class="expl-plan-tree">${renderExplainNode(plan)}</ul>
+  ${pipeline ? `<details class="expl-pipeline">
+    <summary>Processor pipeline (${pipeline.length} lines) <span class="expl-chip-type">EXPLAIN PIPELINE</span></summary>
+    <pre>${escHtml(pipeline.join('\n'))}</pre>
+  </details>` : ''}
+  ${Object.entries(errors).map(([k, msg]) => `<div class="expl-clause-note">EXPLAIN ${k.toUpperCase()} unavailable: ${escHtml(msg)}</div>`).join('')}
+  <div class="expl-section-title">Static Hints <span class="expl-chip-type">pattern match</span></div>`;
 }
 
 // ══════════════════════════════════════════════════════════════════════════════
@@ -192,66 +290,103 @@ const BENCHMARK_PAIRS = [
 
 let benchRunning = false;
 
+// Stats rows shown per query: metric key from /api/benchmark, label, formatter
+const BENCH_METRICS = [
+    { key: 'query_duration_ms', label: 'Duration', fmt: v => `${+v.toFixed(1)} ms` },
+    { key: 'read_rows', label: 'Rows read', fmt: v => fmt.num(v) },
+    { key: 'read_bytes', label: 'Bytes read', fmt: v => fmt.bytes(v) },
+    { key: 'memory_usage', label: 'Memory', fmt: v => fmt.bytes(v) },
+];
+
+// idx is a BENCHMARK_PAIRS index, or 'custom' for the user's own A/B pair
+function benchPair(idx) {
+    if (idx !== 'custom') return BENCHMARK_PAIRS[idx];
+    const a = document.getElementById('bench-custom-a')?.value.trim();
+    const b = document.getElementById('bench-custom-b')?.value.trim();
+    if (!a || !b) return null;
+    return { a: { label: 'Query A', sql: a }, b: { label: 'Query B', sql: b }, note: null };
+}
+
 async function runBenchmark(idx) {
     if (benchRunning) return;
-    const pair = BENCHMARK_PAIRS[idx];
-    if (!pair) return;
     const card = document.getElementById(`bench-card-${idx}`);
     if (!card) return;
+    const resEl = card.querySelector('.bench-result');
+    const pair = benchPair(idx);
+    if (!pair) {
+        resEl.style.display = 'block';
+        resEl.innerHTML = '<div style="color:var(--red);font-size:11px">Enter SQL for both A and B.</div>';
+        return;
+    }
+
+    const runs = Number(document.getElementById('bench-runs')?.value) || 10;
+    const warmups = Number(document.getElementById('bench-warmups')?.value ?? 2);
+    const query_cache = !!document.getElementById('bench-query-cache')?.checked;
 
     benchRunning = true;
     const btn = card.querySelector('.bench-run-btn');
     if (btn) { btn.disabled = true; btn.textContent = '⏳ Running…'; }
-
-    const resEl = card.querySelector('.bench-result');
     resEl.style.display = 'block';
-    resEl.innerHTML = '<em style="color:var(--text3)">Querying ClickHouse…</em>';
-
-    const run = async (sql) => {
-        const t0 = performance.now();
-        try {
-            const r = await fetch(`${window.API || 'http://localhost:3001/api'}/query`, {
-                method: 'POST', headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ sql }),
-            });
-            const d = await r.json();
-            const ms = +(performance.now() - t0).toFixed(1);
-            return { ms, ok: !d.error, result: d.error || (Array.isArray(d.rows) ? JSON.stringify(d.rows[0]) : JSON.stringify(d[0])) };
-        } catch {
-            return { ms: 0, ok: false, result: 'Backend offline' };
-        }
-    };
+    resEl.innerHTML = `<em style="color:var(--text3)">Running each query ${warmups} warm-up + ${runs} timed times on the server…</em>`;
+
+    try {
+        const r = await fetch(`${window.API || 'http://localhost:3001/api'}/benchmark`, {
+            method: 'POST', headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ queries: [pair.a, pair.b], runs, warmups, query_cache }),
+        });
+        const d = await r.json();
+        resEl.innerHTML = r.ok ? renderBenchResult(d, pair)
+            : `<div style="color:var(--red);font-size:11px">${d.label ? `${escHtml(d.label)}: ` : ''}${escHtml(d.error || 'Benchmark failed')}</div>`;
+    } catch {
+        resEl.innerHTML = '<div style="color:var(--red);font-size:11px">Backend offline</div>';
+    } finally {
+        benchRunning = false;
+        if (btn) { btn.disabled = false; btn.textContent = '▶ Run Both'; }
+    }
+}
 
-    const [ra, rb] = await Promise.all([run(pair.a.sql), run(pair.b.sql)]);
-    const maxMs = Math.max(ra.ms, rb.ms) || 1;
-    const winner = ra.ms <= rb.ms ? 'a' : 'b';
-
-    resEl.innerHTML = `
-  <div class="bench-timing-row">
-    <div class="bench-timing ${winner === 'a' ? 'bench-winner' : ''}">
-      <div class="bench-timing-label">${pair.a.label}</div>
-      <div class="bench-timing-ms">${ra.ms} ms</div>
-      <div class="bench-bar-wrap"><div class="bench-bar" style="width:${(ra.ms / maxMs * 100).toFixed(0)}%;background:${winner === 'a' ? '#10b981' : '#ef4444'}"></div></div>
-      ${ra.ok ? `<div class="bench-val">${ra.result?.slice(0, 80) || ''}</div>` : `<div style="color:var(--red);font-size:11px">${ra.result}</div>`}
-    </div>
-    <div class="bench-timing ${winner === 'b' ? 'bench-winner' : ''}">
-      <div class="bench-timing-label">${pair.b.label}</div>
-      <div class="bench-timing-ms">${rb.ms} ms</div>
-      <div class="bench-bar-wrap"><div class="bench-bar" style="width:${(rb.ms / maxMs * 100).toFixed(0)}%;background:${winner === 'b' ? '#10b981' : '#ef4444'}"></div></div>
-      ${rb.ok ? `<div class="bench-val">${rb.result?.slice(0, 80) || ''}</div>` : `<div style="color:var(--red);font-size:11px">${rb.result}</div>`}
-    </div>
-  </div>
-  <div class="bench-note">💡 ${pair.note}</div>`;
+function renderBenchResult(d, pair) {
+    const [ra, rb] = d.results;
+    const median = res => res.stats.query_duration_ms?.median ?? 0;
+    const maxMs = Math.max(median(ra), median(rb)) || 1;
+    const winner = median(ra) <= median(rb) ? 'a' : 'b';
+    const ratio = Math.max(median(ra), median(rb)) / (Math.min(median(ra), median(rb)) || 1);
+
+    const side = (res, key) => `
+    <div class="bench-timing ${winner === key ? 'bench-winner' : ''}">
+      <div class="bench-timing-label">${escHtml(res.label)}</div>
+      <div class="bench-timing-ms">${res.stats.query_duration_ms ? `${+median(res).toFixed(1)} ms` : '—'} <span class="bench-ms-sub">median</span></div>
+      <div class="bench-bar-wrap"><div class="bench-bar" style="width:${(median(res) / maxMs * 100).toFixed(0)}%;background:${winner === key ? '#10b981' : '#ef4444'}"></div></div>
+      <table class="bench-stats">
+        <thead><tr><th></th><th>median</th><th>p95</th><th>stddev</th></tr></thead>
+        <tbody>${BENCH_METRICS.map(m => {
+            const s = res.stats[m.key];
+            return `<tr><td>${m.label}</td>${s ? `<td>${m.fmt(s.median)}</td><td>${m.fmt(s.p95)}</td><td>±${m.fmt(s.stddev)}</td>` : '<td colspan="3">not in query_log</td>'}</tr>`;
+        }).join('')}</tbody>
+      </table>
+      ${res.logged_runs < d.runs ? `<div class="bench-val">${res.logged_runs}/${d.runs} runs found in system.query_log</div>` : ''}
+      ${res.first_row ? `<div class="bench-val">${escHtml(JSON.stringify(res.first_row).slice(0, 80))}</div>` : ''}
+    </div>`;
 
-    benchRunning = false;
-    if (btn) { btn.disabled = false; btn.textContent = '▶ Run Both'; }
+    return `
+  <div class="bench-timing-row">${side(ra, 'a')}${side(rb, 'b')}</div>
+  <div class="bench-note">${winner === 'a' ? 'A' : 'B'} is ${ratio.toFixed(1)}× faster by median over ${d.runs} runs
+    (${d.warmups} warm-up${d.warmups === 1 ? '' : 's'}, query cache ${d.query_cache ? 'on' : 'off'}).</div>
+  ${pair.note ? `<div class="bench-note">💡 ${pair.note}</div>` : ''}`;
 }
 
 function initBenchmark() {
     const el = document.getElementById('benchmark-list');
     if (!el || el.dataset.init) return;
     el.dataset.init = '1';
-    el.innerHTML = BENCHMARK_PAIRS.map((p, i) => `
+    el.innerHTML = `
+  <div class="bench-settings glass">
+    <label>Timed runs <input type="number" id="bench-runs" min="1" max="50" value="10"></label>
+    <label>Warm-ups <input type="number" id="bench-warmups" min="0" max="10" value="2"></label>
+    <label><input type="checkbox" id="bench-query-cache"> Use query cache</label>
+    <span class="bench-settings-note">Runs server-side; stats come from system.query_log.</span>
+  </div>
+  ${BENCHMARK_PAIRS.map((p, i) => `
   <div class="bench-card glass" id="bench-card-${i}">
     <div class="bench-card-header">
       <div>
@@ -265,7 +400,21 @@ function initBenchmark() {
       <div class="bench-query"><span class="bench-qlabel bench-qlabel-b">B ✅</span><code>${p.b.label}</code></div>
     </div>
     <div class="bench-result" style="display:none"></div>
-  </div>`).join('');
+  </div>`).join('')}
+  <div class="bench-card glass" id="bench-card-custom">
+    <div class="bench-card-header">
+      <div>
+        <div class="bench-card-title">Your own A/B</div>
+        <div class="bench-card-desc">Paste two queries that return the same answer and compare them.</div>
+      </div>
+      <button class="btn bench-run-btn" onclick="runBenchmark('custom')">▶ Run Both</button>
+    </div>
+    <div class="bench-queries">
+      <div class="bench-query"><span class="bench-qlabel bench-qlabel-a">A</span><textarea id="bench-custom-a" class="bench-custom-sql" placeholder="SELECT …"></textarea></div>
+      <div class="bench-query"><span class="bench-qlabel bench-qlabel-b">B</span><textarea id="bench-custom-b" class="bench-custom-sql" placeholder="SELECT …"></textarea></div>
+    </div>
+    <div class="bench-result" style="display:none"></div>
+  </div>`;
 }
 
 // ══════════════════════════════════════════════════════════════════════════════
@@ -456,6 +605,7 @@ function refreshDbaSection() {
   if (s === 'parts') loadDbaParts();
   if (s === 'querylog') loadDbaQueryLog();
   if (s === 'merges') loadDbaMerges();
+  if (s === 'processes') loadDbaProcesses();
 }
 
 function fmtMs(ms) {
@@ -470,10 +620,10 @@ function fmtRows(n) { return n ? Number(n).toLocaleString() : '—'; }
 async function loadDbaTablesBrowser() {
   const el = document.getElementById('dba-tables-body');
   if (!el) return;
-  el.innerHTML = '<tr><td colspan="6" class="dba-loading">Loading…</td></tr>';
+  el.innerHTML = '<tr><td colspan="7" class="dba-loading">Loading…</td></tr>';
   try {
     const data = await (await fetch(`${window.API || 'http://localhost:3001/api'}/system/tables`)).json();
-    if (!Array.isArray(data) || !data.length) { el.innerHTML = '<tr><td colspan="6" class="dba-empty">No tables found in demo databases.</td></tr>'; return; }
+    if (!Array.isArray(data) || !data.length) { el.innerHTML = '<tr><td colspan="7" class="dba-empty">No tables found in demo databases.</td></tr>'; return; }
     const ENGINE_COLORS = { MergeTree: '#6366f1', ReplacingMergeTree: '#ec4899', SummingMergeTree: '#10b981', AggregatingMergeTree: '#8b5cf6', CollapsingMergeTree: '#f97316', ReplicatedMergeTree: '#14b8a6', ReplicatedReplacingMergeTree: '#ec4899', ReplicatedSummingMergeTree: '#10b981', ReplicatedAggregatingMergeTree: '#8b5cf6', Distributed: '#f9c74f' };
     el.innerHTML = data.map(t => {
       const clr = ENGINE_COLORS[t.engine] || '#64748b';
@@ -484,9 +634,15 @@ async function loadDbaTablesBrowser() {
         <td class="dba-num">${t.rows_readable || '—'}</td>
         <td class="dba-num">${t.size_readable || '0 B'}</td>
         <td class="dba-dim">${t.last_modified ? new Date(t.last_modified).toLocaleTimeString() : '—'}</td>
+        <td>${t.exportable ? exportButtons('dbaExportTable', t.database, t.name) : `<span class="dba-dim" title="${escHtml(t.export_blocked || '')}">—</span>`}</td>
       </tr>`;
     }).join('');
-  } catch (e) { el.innerHTML = `<tr><td colspan="6" class="dba-error">⚠️ ${e.message === 'Failed to fetch' ? 'Backend offline — start the server to use this tab.' : e.message}</td></tr>`; }
+  } catch (e) { el.innerHTML = `<tr><td colspan="7" class="dba-error">⚠️ ${e.message === 'Failed to fetch' ? 'Backend offline — start the server to use this tab.' : e.message}</td></tr>`; }
+}
+
+// Full-table export runs through the playground sandbox, so its row limits apply
+function dbaExportTable(format, btn, database, table) {
+  downloadExport({ sql: `SELECT * FROM \`${database}\`.\`${table}\``, filename: `${database}.${table}` }, format, btn);
 }
 
 // ── Parts ─────────────────────────────────────────────────────────────────────
@@ -598,5 +754,44 @@ async function loadDbaMerges() {
   } catch (e) { el.innerHTML = `<div class="dba-error" style="padding:20px">⚠️ ${e.message === 'Failed to fetch' ? 'Backend offline.' : e.message}</div>`; }
 }
 
+// ── Processes ─────────────────────────────────────────────────────────────────
+async function loadDbaProcesses() {
+  const el = document.getElementById('dba-processes-body');
+  if (!el) return;
+  el.innerHTML = '<tr><td colspan="6" class="dba-loading">Loading…</td></tr>';
+  try {
+    const data = await (await fetch(`${window.API || 'http://localhost:3001/api'}/system/processes`)).json();
+    if (data.error) throw new Error(data.error);
+    if (!data.length) { el.innerHTML = '<tr><td colspan="6" class="dba-empty">No queries running. Start a long one in the SQL Playground to see it here.</td></tr>'; return; }
+    el.innerHTML = data.map(p => `<tr class="dba-row">
+        <td><span class="dba-db-badge">${escHtml(p.user)}</span></td>
+        <td class="dba-num" style="text-align:left">${fmtMs(Math.round(p.elapsed * 1000))}</td>
+        <td class="dba-num">${fmtRows(p.read_rows)}</td>
+        <td class="dba-num">${(p.memory_usage / 1048576).toFixed(1)} MB</td>
+        <td class="dba-ql-sql" title="${escHtml(p.query_id)}">${escHtml(p.query_short || '')}</td>
+        <td>${p.is_cancelled
+          ? '<span class="dba-dim">cancelling…</span>'
+          : `<button class="btn dba-kill-btn" data-query-id="${escHtml(p.query_id)}" onclick="killDbaProcess(this)">✕ Kill</button>`}</td>
+      </tr>`).join('');
+  } catch (e) { el.innerHTML = `<tr><td colspan="6" class="dba-error">⚠️ ${e.message === 'Failed to fetch' ? 'Backend offline.' : e.message}</td></tr>`; }
+}
+
+// The query_id comes from whichever client started the query, so it is read
+// from a data attribute rather than spliced into the handler's JS
+async function killDbaProcess(btn) {
+  const queryId = btn.dataset.queryId;
+  btn.disabled = true;
+  btn.textContent = '…';
+  try {
+    const r = await fetch(`${window.API || 'http://localhost:3001/api'}/query/${encodeURIComponent(queryId)}/cancel`, { method: 'POST' });
+    if (!r.ok && r.status !== 404) throw new Error((await r.json()).error);
+  } catch (e) {
+    btn.textContent = '⚠️';
+    btn.title = e.message;
+    return;
+  }
+  setTimeout(loadDbaProcesses, 500);
+}
+
 // Helper used by DBA tab – shared with explainer
-function escHtml(s) { return s.replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;').replace(/"/g,'&quot;'); }
+function escHtml(s) { return String(s).replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;').replace(/"/g,'&quot;').replace(/'/g,'&#39;'); }
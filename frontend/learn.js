@@ -275,193 +275,161 @@ function updateSidebarBadges() {
 // SQL CHALLENGES
 // ════════════════════════════════════════════════════════════════════════════════
 
-const CHALLENGES = [
-    {
-        id: 1, title: 'p99 Latency Per Service', difficulty: 'Beginner', table: 'telemetry_events',
-        whyItMatters: 'SLAs are usually defined at p99, not average. A service averaging 50ms but with p99 of 4s is broken for 1% of users in production.',
-        prompt: 'Find the p99 latency (in ms) for each service, along with the average latency and total event count. Order slowest first.',
-        hint: 'Use quantile(0.99)(column) and GROUP BY service.',
-        solution: 'SELECT\n    service,\n    quantile(0.99)(duration_ms) AS p99_ms,\n    round(avg(duration_ms), 2)  AS avg_ms,\n    count()                     AS total_events\nFROM demo.telemetry_events\nGROUP BY service\nORDER BY p99_ms DESC;'
-    },
-
-    {
-        id: 2, title: 'Error Count Per Service (Last 24h)', difficulty: 'Beginner', table: 'app_logs',
-        whyItMatters: 'This is the first query an on-call engineer runs during an incident. ClickHouse can scan 100M log rows in under a second — Postgres would time out.',
-        prompt: 'Count the number of ERROR-level log entries per service in the last 24 hours, ordered by most errors first.',
-        hint: "Filter: WHERE level = 'ERROR' AND timestamp >= now() - INTERVAL 24 HOUR.",
-        solution: "SELECT\n    service,\n    count() AS error_count\nFROM demo.app_logs\nWHERE level = 'ERROR'\n  AND timestamp >= now() - INTERVAL 24 HOUR\nGROUP BY service\nORDER BY error_count DESC;"
-    },
-
-    {
-        id: 3, title: 'Busiest Hour of the Day', difficulty: 'Beginner', table: 'telemetry_events',
-        whyItMatters: 'Capacity planning depends on knowing your peak traffic window. ClickHouse\'s toHour() runs natively on columnar timestamp data without row-by-row extraction.',
-        prompt: 'Which hour of the day (0–23) has the most total events across all services? Show the top 5.',
-    hint: 'Use toHour(timestamp) to extract the hour.',
-    solution: 'SELECT\n    toHour(timestamp) AS hour_of_day,\n    count()           AS total_events\nFROM demo.telemetry_events\nGROUP BY hour_of_day\nORDER BY total_events DESC\nLIMIT 5;'
-    },
+// Challenges come from packs served by GET /api/challenge-packs (backend/challenges/)
+let CHALLENGES = [];
+let _chalPacks = [];
+let _chalStates = {};
 
-{
-    id: 4, title: 'Slowest Event Types on Average', difficulty: 'Beginner', table: 'telemetry_events',
-        whyItMatters: 'Knowing which event types are slow helps you prioritize optimization. In Postgres, this GROUP BY on millions of rows would require an index; in ClickHouse the columnar scan is sufficient.',
-            prompt: 'Find the average duration_ms per event_type. Show from slowest to fastest.',
-                hint: 'Use avg() and round() with GROUP BY event_type.',
-                    solution: 'SELECT\n    event_type,\n    round(avg(duration_ms), 2) AS avg_ms,\n    count()                    AS total_events\nFROM demo.telemetry_events\nGROUP BY event_type\nORDER BY avg_ms DESC;'
-},
-
-{
-    id: 5, title: 'Services With Error Rate > 5%', difficulty: 'Intermediate', table: 'app_logs',
-        whyItMatters: 'countIf() is a ClickHouse superpower — it does a conditional count in a single pass, avoiding a subquery. This pattern appears constantly in monitoring dashboards.',
-            prompt: 'Find services where more than 5% of log entries in the last 7 days are ERROR level.',
-                hint: 'Use countIf(level = \'ERROR\') for conditional counting. Filter with HAVING after GROUP BY.',
-                    solution: "SELECT\n    service,\n    countIf(level = 'ERROR')                              AS errors,\n    count()                                               AS total,\n    round(100.0 * countIf(level = 'ERROR') / count(), 2) AS error_rate_pct\nFROM demo.app_logs\nWHERE timestamp >= now() - INTERVAL 7 DAY\nGROUP BY service\nHAVING error_rate_pct > 5\nORDER BY error_rate_pct DESC;"
-},
-
-{
-    id: 6, title: 'Monthly Spend Per Team', difficulty: 'Beginner', table: 'cost_usage',
-        whyItMatters: 'This is the core finops query every engineering org needs. SummingMergeTree pre-aggregates these sums during background merges, so this query is nearly instant even at billions of rows.',
-            prompt: 'Show total spending per team broken down by calendar month.',
-                hint: 'Use toStartOfMonth(date) to bucket by month.',
-                    solution: 'SELECT\n    team,\n    toStartOfMonth(date) AS month,\n    round(sum(cost_usd), 2) AS total_spend\nFROM demo.cost_usage\nGROUP BY team, month\nORDER BY team, month;'
-},
-
-{
-    id: 7, title: 'Unique Users Per Event Type', difficulty: 'Beginner', table: 'telemetry_events',
-        whyItMatters: 'uniq() uses HyperLogLog — it computes approximate cardinality in O(1) memory regardless of dataset size. Exact countDistinct on 1B rows is often impossible; uniq() makes it trivial.',
-            prompt: 'How many distinct user_ids triggered each event_type? Show as approximate count too.',
-                hint: 'Use countDistinct(user_id) for exact, or uniq(user_id) for faster approximate.',
-                    solution: 'SELECT\n    event_type,\n    countDistinct(user_id) AS exact_unique_users,\n    uniq(user_id)          AS approx_unique_users,\n    count()                AS total_events\nFROM demo.telemetry_events\nGROUP BY event_type\nORDER BY exact_unique_users DESC;'
-},
-
-{
-    id: 8, title: 'p50 vs p99 Spread', difficulty: 'Intermediate', table: 'telemetry_events',
-        whyItMatters: 'A high p99/p50 spread ratio reveals "bi-modal" latency — some requests are fast, others very slow. ClickHouse computes multiple quantiles in a single scan; Postgres needs multiple passes.',
-            prompt: 'Compare p50 and p99 latency per service. Compute a "spread ratio" (p99/p50). High ratio = inconsistent service.',
-                hint: 'You can call quantile() multiple times in one SELECT — once for each percentile.',
-                    solution: 'SELECT\n    service,\n    quantile(0.50)(duration_ms)                                          AS p50_ms,\n    quantile(0.99)(duration_ms)                                          AS p99_ms,\n    round(quantile(0.99)(duration_ms) / quantile(0.50)(duration_ms), 1) AS spread_ratio\nFROM demo.telemetry_events\nGROUP BY service\nORDER BY spread_ratio DESC;'
-},
-
-{
-    id: 9, title: 'Events in 5-Minute Buckets', difficulty: 'Intermediate', table: 'telemetry_events',
-        whyItMatters: 'Time-bucketing is the foundation of every time-series dashboard. ClickHouse has 30+ built-in toStartOf*() functions (toStartOfMinute, toStartOfHour, toStartOfWeek…) that run at column speed.',
-            prompt: 'Show event counts in 5-minute time buckets for the last 2 hours. Useful for spotting traffic spikes.',
-                hint: 'Use toStartOfFiveMinutes(timestamp) to bucket into 5-minute windows.',
-                    solution: 'SELECT\n    toStartOfFiveMinutes(timestamp) AS bucket,\n    count()                         AS events,\n    uniq(user_id)                   AS unique_users\nFROM demo.telemetry_events\nWHERE timestamp >= now() - INTERVAL 2 HOUR\nGROUP BY bucket\nORDER BY bucket;'
-},
-
-{
-    id: 10, title: 'Top 5 Most Frequent Error Messages', difficulty: 'Intermediate', table: 'app_logs',
-        whyItMatters: 'Finding the dominant error signature is debugging step 1. Without an index on the message column, Postgres would do a full table scan; ClickHouse does too — but 10–100x faster due to columnar compression.',
-            prompt: 'Find the 5 most frequently occurring error messages and which service produced them.',
-                hint: 'GROUP BY message AND service, then ORDER BY count() DESC LIMIT 5.',
-                    solution: "SELECT\n    message,\n    service,\n    count() AS occurrences\nFROM demo.app_logs\nWHERE level = 'ERROR'\nGROUP BY message, service\nORDER BY occurrences DESC\nLIMIT 5;"
-},
-
-{
-    id: 11, title: 'Teams That Exceeded $500 in a Month', difficulty: 'Intermediate', table: 'cost_usage',
-        whyItMatters: 'HAVING is essential for post-aggregation filtering. This is a common finops alert pattern — ClickHouse can evaluate it over months of cost data in milliseconds.',
-            prompt: 'Which teams had total monthly spend exceeding $500? Show the month and the total.',
-                hint: 'Use HAVING to filter after aggregation — you cannot use WHERE on aggregate results.',
-                    solution: 'SELECT\n    team,\n    toStartOfMonth(date)    AS month,\n    round(sum(cost_usd), 2) AS total_spend\nFROM demo.cost_usage\nGROUP BY team, month\nHAVING total_spend > 500\nORDER BY total_spend DESC;'
-},
-
-{
-    id: 12, title: 'Rolling 7-Day Event Count', difficulty: 'Advanced', table: 'telemetry_events',
-        whyItMatters: 'Rolling windows are the most powerful pattern in analytics engineering. ClickHouse window functions run over pre-grouped data, making them dramatically faster than equivalent CTEs in traditional databases.',
-            prompt: 'Compute a rolling 7-day event count per service using a window function over daily aggregates.',
-                hint: 'First GROUP BY service + day, then use sum(...) OVER (PARTITION BY service ORDER BY day ROWS BETWEEN 6 PRECEDING AND CURRENT ROW).',
-                    solution: 'SELECT\n    service,\n    toDate(timestamp)   AS day,\n    count()             AS daily_events,\n    sum(count()) OVER (\n        PARTITION BY service\n        ORDER BY toDate(timestamp)\n        ROWS BETWEEN 6 PRECEDING AND CURRENT ROW\n    )                   AS rolling_7d\nFROM demo.telemetry_events\nGROUP BY service, day\nORDER BY service, day;'
+// Card / progress key: core pack keeps bare ids so existing ch_chal_states progress survives
+function _chalUid(pack, c) {
+    return pack.id === 'core' ? String(c.id) : pack.id + '--' + c.id;
 }
-];
-
-let _chalStates = {};
 
-function loadChallenges() {
+async function loadChallenges() {
     try { _chalStates = JSON.parse(localStorage.getItem('ch_chal_states') || '{}'); } catch { _chalStates = {}; }
     const list = document.getElementById('challenges-list');
     if (!list) return;
-    list.innerHTML = CHALLENGES.map(buildChallengeCard).join('');
+    if (!_chalPacks.length) {
+        list.innerHTML = '<div class="chal-msg">⏳ Loading challenge packs…</div>';
+        try {
+            const data = await (await fetch(API + '/challenge-packs')).json();
+            _chalPacks = data.packs || [];
+        } catch (e) {
+            list.innerHTML = '<div class="chal-msg error">❌ Backend offline — start the server to load the challenges.</div>';
+            return;
+        }
+        CHALLENGES = _chalPacks.flatMap(function (pack) {
+            return pack.challenges.map(function (c) { return Object.assign({}, c, { pack: pack.id, uid: _chalUid(pack, c) }); });
+        });
+    }
+    list.innerHTML = _chalPacks.map(function (pack) {
+        const cards = CHALLENGES.filter(function (c) { return c.pack === pack.id; }).map(buildChallengeCard).join('');
+        return _chalPacks.length > 1 || pack.id !== 'core'
+            ? '<div class="chal-pack-header"><div class="chal-pack-title">' + escHtml(pack.title) + '</div>' +
+              (pack.description ? '<div class="chal-pack-desc">' + escHtml(pack.description) + '</div>' : '') +
+              (pack.author ? '<div class="chal-pack-desc">by ' + escHtml(pack.author) + '</div>' : '') + '</div>' + cards
+            : cards;
+    }).join('');
+    const total = document.getElementById('chal-total');
+    if (total) total.textContent = CHALLENGES.length;
     _updateChalCount();
 }
 
 function buildChallengeCard(c) {
-    const state = _chalStates[c.id] || {};
+    const state = _chalStates[c.uid] || {};
     const diffCls = c.difficulty === 'Beginner' ? 'diff-beginner' : c.difficulty === 'Intermediate' ? 'diff-intermediate' : 'diff-advanced';
-    return '<div class="chal-card glass' + (state.solved ? ' chal-solved' : '') + '" id="chal-' + c.id + '">' +
+    const broken = c.validation && c.validation.status === 'error';
+    return '<div class="chal-card glass' + (state.solved ? ' chal-solved' : '') + '" id="chal-' + c.uid + '">' +
         '<div class="chal-card-header">' +
         '<div class="chal-num">' + String(c.id).padStart(2, '0') + '</div>' +
         '<div style="flex:1">' +
-        '<div class="chal-title">' + c.title + (state.solved ? ' <span class="chal-done-badge">✅ Solved</span>' : '') + '</div>' +
+        '<div class="chal-title">' + escHtml(c.title) + (state.solved ? ' <span class="chal-done-badge">✅ Solved</span>' : '') + '</div>' +
         '<div style="display:flex;gap:8px;margin-top:4px">' +
         '<span class="diff-badge ' + diffCls + '">' + c.difficulty + '</span>' +
-        '<span style="font-size:11px;color:var(--text3)">Table: <code>' + c.table + '</code></span>' +
+        (c.table ? '<span style="font-size:11px;color:var(--text3)">Table: <code>' + escHtml(c.table) + '</code></span>' : '') +
+        (broken ? '<span class="chal-broken-badge" title="' + escHtml(c.validation.error || '') + '">⚠ Solution failed validation</span>' : '') +
         '</div>' +
         '</div>' +
         '</div>' +
-        (c.whyItMatters ? '<div class="chal-why"><span class="chal-why-icon">🏭</span><em>' + escHtml(c.whyItMatters) + '</em></div>' : '') +
+        (c.why_it_matters ? '<div class="chal-why"><span class="chal-why-icon">🏭</span><em>' + escHtml(c.why_it_matters) + '</em></div>' : '') +
         '<div class="chal-prompt">' + escHtml(c.prompt) + '</div>' +
-        '<textarea class="chal-editor" id="chal-ed-' + c.id + '" spellcheck="false" placeholder="-- Write your SQL here&#10;SELECT ...">' + escHtml(state.userSql || '') + '</textarea>' +
+        '<textarea class="chal-editor" id="chal-ed-' + c.uid + '" spellcheck="false" placeholder="-- Write your SQL here&#10;SELECT ...">' + escHtml(state.userSql || '') + '</textarea>' +
         '<div class="chal-action-row">' +
-        '<button class="btn btn-primary" onclick="runChallenge(' + c.id + ')">▶ Run</button>' +
-        '<button class="btn" onclick="chalToggle(\'hint\', ' + c.id + ')">💡 Hint</button>' +
-        '<button class="btn" onclick="chalToggle(\'sol\', ' + c.id + ')">🔑 Solution</button>' +
+        '<button class="btn btn-primary" onclick="runChallenge(\'' + c.uid + '\')">▶ Run</button>' +
+        '<button class="btn" onclick="chalToggle(\'hint\', \'' + c.uid + '\')">💡 Hint</button>' +
+        '<button class="btn" onclick="chalToggle(\'sol\', \'' + c.uid + '\')">🔑 Solution</button>' +
         '</div>' +
-        '<div class="chal-hint" id="chal-hint-' + c.id + '" style="display:none"><strong>Hint:</strong> ' + escHtml(c.hint) + '</div>' +
-        '<div class="chal-solution" id="chal-sol-' + c.id + '" style="display:none">' +
+        '<div class="chal-hint" id="chal-hint-' + c.uid + '" style="display:none"><strong>Hint:</strong> ' + escHtml(c.hint) + '</div>' +
+        '<div class="chal-solution" id="chal-sol-' + c.uid + '" style="display:none">' +
         '<div class="chal-sol-label">Sample Solution</div>' +
         '<pre class="chal-sol-pre">' + escHtml(c.solution) + '</pre>' +
-        '<button class="btn" style="font-size:11px;margin-top:6px" onclick="useSolution(' + c.id + ')">Use this ↑</button>' +
+        '<button class="btn" style="font-size:11px;margin-top:6px" onclick="useSolution(\'' + c.uid + '\')">Use this ↑</button>' +
         '</div>' +
-        '<div id="chal-result-' + c.id + '" class="chal-result"></div>' +
+        '<div id="chal-result-' + c.uid + '" class="chal-result"></div>' +
         '</div>';
 }
 
-function chalToggle(type, id) {
-    const el = document.getElementById('chal-' + type + '-' + id);
+function chalToggle(type, uid) {
+    const el = document.getElementById('chal-' + type + '-' + uid);
     if (el) el.style.display = el.style.display === 'none' ? '' : 'none';
 }
-function useSolution(id) {
-    const c = CHALLENGES.find(function (x) { return x.id === id; });
-    const ed = document.getElementById('chal-ed-' + id);
+function useSolution(uid) {
+    const c = CHALLENGES.find(function (x) { return x.uid === uid; });
+    const ed = document.getElementById('chal-ed-' + uid);
     if (c && ed) ed.value = c.solution;
-    chalToggle('sol', id);
+    chalToggle('sol', uid);
+}
+
+function _chalTable(cols, rows) {
+    return '<div class="chal-table-wrap">' +
+        '<table class="chal-tbl">' +
+        '<thead><tr>' + cols.map(function (c) { return '<th>' + escHtml(c) + '</th>'; }).join('') + '</tr></thead>' +
+        '<tbody>' + rows.map(function (row) {
+            return '<tr>' + row.map(function (v) { return '<td>' + escHtml(v == null ? '' : typeof v === 'object' ? JSON.stringify(v) : String(v)) + '</td>'; }).join('') + '</tr>';
+        }).join('') + '</tbody>' +
+        '</table>' +
+        '</div>';
 }
 
-async function runChallenge(id) {
-    const ed = document.getElementById('chal-ed-' + id);
-    const resEl = document.getElementById('chal-result-' + id);
-    if (!ed || !resEl) return;
+// Verdict + diff from POST /api/challenges/:id/grade
+function _chalVerdict(g) {
+    if (g.pass) {
+        const renamed = (g.columns && g.columns.renamed) || [];
+        return '<div class="chal-msg success">✅ Correct — your result matches the reference solution' +
+            (g.grading.ordered ? ', including row order' : '') + '.' +
+            (renamed.length ? '<div class="query-hint">Column names differ but were accepted: ' +
+                renamed.map(function (r) { return escHtml(r.actual) + ' → ' + escHtml(r.expected); }).join(', ') + '</div>' : '') +
+            '</div>';
+    }
+    let html = '<div class="chal-msg warn">✗ Not quite — ' + escHtml(g.reason) +
+        ' (expected ' + g.rows.expected + ' row' + (g.rows.expected === 1 ? '' : 's') + ', got ' + (g.preview.truncated ? 'more than ' + (g.rows.actual - 1) : g.rows.actual) + ')</div>';
+    if (g.columns && (g.columns.missing.length || g.columns.extra.length)) {
+        html += '<div class="chal-diff">' +
+            (g.columns.missing.length ? '<div><strong>Missing columns:</strong> <code>' + g.columns.missing.map(escHtml).join(', ') + '</code></div>' : '') +
+            (g.columns.extra.length ? '<div><strong>Unexpected columns:</strong> <code>' + g.columns.extra.map(escHtml).join(', ') + '</code></div>' : '') +
+            '</div>';
+    }
+    const diffRows = function (label, list, count) {
+        if (!list || !list.length) return '';
+        return '<div class="chal-diff"><strong>' + label + ' (' + count + ')</strong>' +
+            _chalTable(['#'].concat(g.expected_columns), list.map(function (d) { return [d.position].concat(d.row); })) + '</div>';
+    };
+    html += diffRows('Missing rows — expected but not in your result', g.missing_rows, g.missing_count);
+    html += diffRows('Extra rows — in your result but not expected', g.extra_rows, g.extra_count);
+    return html;
+}
+
+function _markChallengeSolved(uid, sql) {
+    if (_chalStates[uid] && _chalStates[uid].solved) return;
+    _chalStates[uid] = { solved: true, userSql: sql };
+    try { localStorage.setItem('ch_chal_states', JSON.stringify(_chalStates)); } catch { }
+    const card = document.getElementById('chal-' + uid);
+    if (card) {
+        card.classList.add('chal-solved');
+        const title = card.querySelector('.chal-title');
+        if (title && !title.querySelector('.chal-done-badge')) title.insertAdjacentHTML('beforeend', ' <span class="chal-done-badge">✅ Solved</span>');
+    }
+    _updateChalCount();
+}
+
+async function runChallenge(uid) {
+    const c = CHALLENGES.find(function (x) { return x.uid === uid; });
+    const ed = document.getElementById('chal-ed-' + uid);
+    const resEl = document.getElementById('chal-result-' + uid);
+    if (!c || !ed || !resEl) return;
     const sql = ed.value.trim();
     if (!sql) { resEl.innerHTML = '<div class="chal-msg warn">Write a SQL query first.</div>'; return; }
-    resEl.innerHTML = '<div class="chal-msg">⏳ Running against ClickHouse…</div>';
+    resEl.innerHTML = '<div class="chal-msg">⏳ Running and grading against ClickHouse…</div>';
     try {
-        const r = await fetch(API + '/query', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ sql }) });
+        const r = await fetch(API + '/challenge-packs/' + c.pack + '/challenges/' + encodeURIComponent(c.id) + '/grade', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ sql, query_id: newQueryId() }) });
         const data = await r.json();
-        if (data.error) { resEl.innerHTML = '<div class="chal-msg error">❌ ' + escHtml(data.error) + '</div>'; return; }
-        const rows = Array.isArray(data) ? data : (data.data || data.rows || []);
-        if (!rows.length) { resEl.innerHTML = '<div class="chal-msg">✅ Query ran OK — 0 rows returned.</div>'; return; }
-        const cols = Object.keys(rows[0]);
-        resEl.innerHTML =
-            '<div class="chal-rows-info">' + rows.length + ' row' + (rows.length === 1 ? '' : 's') + ' returned</div>' +
-            '<div class="chal-table-wrap">' +
-            '<table class="chal-tbl">' +
-            '<thead><tr>' + cols.map(function (c) { return '<th>' + escHtml(c) + '</th>'; }).join('') + '</tr></thead>' +
-            '<tbody>' + rows.slice(0, 100).map(function (row) {
-                return '<tr>' + cols.map(function (c) { return '<td>' + escHtml(String(row[c] == null ? '' : row[c])) + '</td>'; }).join('') + '</tr>';
-            }).join('') + '</tbody>' +
-            '</table>' +
-            '</div>';
-        // Mark solved
-        if (!(_chalStates[id] && _chalStates[id].solved)) {
-            _chalStates[id] = { solved: true, userSql: sql };
-            try { localStorage.setItem('ch_chal_states', JSON.stringify(_chalStates)); } catch { }
-            const card = document.getElementById('chal-' + id);
-            if (card) {
-                card.classList.add('chal-solved');
-                const title = card.querySelector('.chal-title');
-                if (title && !title.querySelector('.chal-done-badge')) title.insertAdjacentHTML('beforeend', ' <span class="chal-done-badge">✅ Solved</span>');
-            }
-            _updateChalCount();
-        }
+        if (data.error) { resEl.innerHTML = '<div class="chal-msg error">❌ ' + escHtml(data.error) + (data.hint ? '<div class="query-hint">🔒 ' + escHtml(data.hint) + '</div>' : '') + '</div>'; return; }
+        const p = data.preview;
+        resEl.innerHTML = _chalVerdict(data) +
+            '<div class="chal-rows-info">' + p.total + ' row' + (p.total === 1 ? '' : 's') + ' returned</div>' +
+            (p.rows.length ? _chalTable(p.columns.map(function (c) { return c.name; }), p.rows.map(function (row) { return Object.values(row); })) : '');
+        // Only a passing grade counts as solved
+        if (data.pass) _markChallengeSolved(uid, sql);
     } catch (e) { resEl.innerHTML = '<div class="chal-msg error">❌ Backend offline — start the server first.</div>'; }
 }
 
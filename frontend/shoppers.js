@@ -6,8 +6,15 @@
 const SP_API = window.API || 'http://localhost:3001/api';
 
 // ── Utility: simple table renderer ───────────────────────────────────────────
+// Rows behind each rendered spTable, keyed by id, so its export buttons can send them
+const spExportRows = new Map();
+let spExportSeq = 0;
+
 function spTable(rows, opts = {}) {
   if (!rows || !rows.length) return '<div class="sp-empty">No data returned. Make sure the database is seeded.</div>';
+  const exportId = ++spExportSeq;
+  spExportRows.set(exportId, rows);
+  if (spExportRows.size > 100) spExportRows.delete(spExportRows.keys().next().value);
   const keys = Object.keys(rows[0]);
   const moneyKeys = new Set(['price', 'usd', 'cost', 'gmv', 'revenue', 'margin', 'earned', 'spent', 'savings', 'paid', 'cashback']);
   const pctKeys = new Set(['pct', 'rate', 'pct_drop', 'conv_pct', 'conversion_pct', 'leakage_pct', 'stock_pct', 'avg_pct', 'avg_cashback_pct']);
@@ -31,7 +38,16 @@ function spTable(rows, opts = {}) {
     }
     return `<td class="${cls}">${display}</td>`;
   }).join('')}</tr>`).join('')}</tbody></table>
-    ${rows.length > limit ? `<div class="sp-more">Showing ${limit} of ${rows.length} rows</div>` : ''}`;
+    <div class="sp-more">${rows.length > limit ? `Showing ${limit} of ${rows.length} rows · ` : ''}${exportButtons('spExport', exportId)}</div>`;
+}
+
+/** Export every row of an spTable (not just the visible ones) in a ClickHouse output format. */
+function spExport(format, btn, exportId) {
+  const rows = spExportRows.get(exportId);
+  if (!rows) return alert('These results are stale — run the query again to export them.');
+  const card = btn.closest('.sp-card');
+  const filename = card ? card.id.replace('sp-card-', 'shoppers-uc') : 'shoppers';
+  downloadExport({ rows, filename }, format, btn);
 }
 
 // ── Utility: KPI card strip ───────────────────────────────────────────────────